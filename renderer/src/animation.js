@@ -0,0 +1,291 @@
+// animation.js
+// ==================
+// Файл: animation.js
+// Назначение: движок ключевых кадров для анимаций объектов сцены.
+// Описание: анимация объекта — это набор ключевых кадров со своим временем и
+// easing, плюс собственный интервал внутри сцены (start/end/delay). Каждое
+// анимируемое свойство (геометрия, масштаб, поворот, скос, точка опоры,
+// отражение, opacity, blur, color — см. ANIMATABLE) интерполируется между
+// соседними ключевыми кадрами. Старые анимации zoom/move/fade переводятся в эту
+// же модель (legacyTracks), поэтому page.js вычисляет все анимации одним кодом.
+// Анимация kenburns даёт служебную дорожку "kenburns" — прогресс 0..1 с easing;
+// окно кадрирования по этому прогрессу считает kenburns.js.
+// Модуль без DOM — его можно проверять в Node.
+// Экспортирует: ANIMATABLE, animationTracks, evaluateTracks, interpolateColor
+
+// Свойства, которые можно анимировать ключевыми кадрами
+export const ANIMATABLE = [
+  "x",
+  "y",
+  "w",
+  "h",
+  "scale",
+  "scaleX",
+  "scaleY",
+  "rotation",
+  "skewX",
+  "skewY",
+  "pivotX",
+  "pivotY",
+  "flipX",
+  "flipY",
+  "opacity",
+  "blur",
+  "color",
+];
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// "#rgb", "#rrggbb", "#rrggbbaa", "rgb(...)", "rgba(...)" -> [r, g, b, a] или null
+function parseColor(c) {
+  if (typeof c !== "string") return null;
+  const s = c.trim();
+  let m = s.match(/^#([0-9a-f]{3,8})$/i);
+  if (m) {
+    let hex = m[1];
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex
+        .split("")
+        .map((ch) => ch + ch)
+        .join("");
+    }
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    const n = (i) => parseInt(hex.slice(i, i + 2), 16);
+    return [n(0), n(2), n(4), hex.length === 8 ? n(6) / 255 : 1];
+  }
+  m = s.match(/^rgba?\(([^)]+)\)$/i);
+  if (m) {
+    const parts = m[1]
+      .split(/[\s,/]+/)
+      .filter(Boolean)
+      .map(parseFloat);
+    if (parts.length < 3 || parts.some((v) => !Number.isFinite(v))) return null;
+    return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+  }
+  return null;
+}
+
+/**
+ * Интерполяция цвета в RGBA. Если один из цветов не удаётся разобрать
+ * (например, именованный "red"), цвет переключается скачком на середине.
+ */
+export function interpolateColor(a, b, t) {
+  const ca = parseColor(a);
+  const cb = parseColor(b);
+  if (!ca || !cb) return t < 0.5 ? a : b;
+  const [r, g, bl] = [0, 1, 2].map((i) => Math.round(lerp(ca[i], cb[i], t)));
+  const alpha = Number(lerp(ca[3], cb[3], t).toFixed(4));
+  return `rgba(${r},${g},${bl},${alpha})`;
+}
+
+/**
+ * Интервал анимации { start, end } в секундах от начала сцены:
+ * - start (0), end (конец сцены) или duration — интервал анимации;
+ * - delay (0) — сдвигает интервал целиком, как animation-delay в CSS.
+ */
+function animationInterval(anim, sceneDur) {
+  const start = (anim.start || 0) + (anim.delay || 0);
+  const end =
+    typeof anim.duration === "number"
+      ? start + anim.duration
+      : (typeof anim.end === "number" ? anim.end : sceneDur) +
+        (anim.delay || 0);
+  return { start, end };
+}
+
+/**
+ * Нормализовать анимацию type: "keyframes" в дорожки по свойствам.
+ * Интервал — см. animationInterval; остальные поля:
+ * - easing — easing по умолчанию для ключевых кадров без своего easing;
+ * - keyframes — [{ offset 0..1 | time (сек от начала анимации), easing, x, opacity, ... }].
+ *   Кадры без offset/time распределяются равномерно (первый — 0, последний — 1).
+ *   easing кадра действует на отрезке от этого кадра до следующего.
+ */
+function keyframeTracks(anim, sceneDur) {
+  const { start, end } = animationInterval(anim, sceneDur);
+  const span = Math.max(0, end - start);
+  const kfs = anim.keyframes || [];
+  const times = kfs.map((kf, i) => {
+    if (typeof kf.time === "number") return start + kf.time;
+    if (typeof kf.offset === "number") return start + kf.offset * span;
+    return start + (kfs.length > 1 ? (i / (kfs.length - 1)) * span : 0);
+  });
+
+  const tracks = [];
+  for (const property of ANIMATABLE) {
+    const keyframes = [];
+    kfs.forEach((kf, i) => {
+      if (kf[property] === undefined) return;
+      keyframes.push({
+        time: times[i],
+        value: kf[property],
+        easing: kf.easing || anim.easing,
+      });
+    });
+    if (keyframes.length === 0) continue;
+    keyframes.sort((a, b) => a.time - b.time);
+    tracks.push({ property, begin: start, keyframes });
+  }
+  return tracks;
+}
+
+/**
+ * Дорожка прогресса Ken Burns: 0 в начале интервала анимации, 1 — в конце,
+ * с easing анимации. Окно кадрирования по прогрессу строит kenburns.js.
+ */
+function kenBurnsTrack(anim, sceneDur) {
+  const { start, end } = animationInterval(anim, sceneDur);
+  return {
+    property: "kenburns",
+    begin: start,
+    keyframes: [
+      { time: start, value: 0, easing: anim.easing },
+      { time: Math.max(start, end), value: 1 },
+    ],
+  };
+}
+
+/**
+ * Перевести старые анимации zoom/move/fade в дорожки ключевых кадров.
+ * Поведение совпадает с прежним: zoom и move идут через всю сцену со своим
+ * easing, move сдвигает объект относительно его x/y, fade — линейные
+ * появление (in) и исчезновение (out) в секундах от краёв сцены.
+ */
+function legacyTracks(anim, o, sceneDur) {
+  if (anim.type === "zoom") {
+    return [
+      {
+        property: "scale",
+        begin: 0,
+        keyframes: [
+          { time: 0, value: anim.from || 1, easing: anim.easing },
+          { time: sceneDur, value: anim.to || 1 },
+        ],
+      },
+    ];
+  }
+  if (anim.type === "move") {
+    // дорожка хранит смещение, а не позицию: одновременные move складываются
+    return ["x", "y"].map((p) => ({
+      property: p,
+      begin: 0,
+      keyframes: [
+        { time: 0, value: anim.from?.[p] || 0, easing: anim.easing },
+        { time: sceneDur, value: anim.to?.[p] || 0 },
+      ],
+      offset: o[p] || 0,
+    }));
+  }
+  if (anim.type === "fade") {
+    const fi = anim.in || 0;
+    const fo = anim.out || 0;
+    const keyframes = [];
+    if (fi > 0) keyframes.push({ time: 0, value: 0 }, { time: fi, value: 1 });
+    if (fo > 0) {
+      // если in и out перекрываются, исчезновение начинается после появления
+      const outStart = Math.max(fi, sceneDur - fo);
+      keyframes.push(
+        { time: outStart, value: 1 },
+        { time: Math.max(outStart, sceneDur), value: 0 }
+      );
+    }
+    if (keyframes.length === 0) return [];
+    // несколько fade (и fade поверх ключевых кадров opacity) перемножаются
+    return [{ property: "opacity", begin: 0, keyframes, multiply: true }];
+  }
+  return [];
+}
+
+/**
+ * Все дорожки анимаций объекта o в сцене длительностью sceneDur (сек).
+ * Дорожка: { property, begin, keyframes: [{ time, value, easing }], animation,
+ * multiply, offset }, время — в секундах от начала сцены, animation — номер
+ * анимации в o.animations, multiply — значение умножается на остальные (старый
+ * fade), offset — значение прибавляется к остальным, а без них — к offset
+ * (старый move: смещение относительно позиции объекта).
+ */
+export function animationTracks(o, sceneDur) {
+  const tracks = [];
+  (o.animations || []).forEach((anim, animation) => {
+    const own =
+      anim.type === "keyframes"
+        ? keyframeTracks(anim, sceneDur)
+        : anim.type === "kenburns"
+        ? [kenBurnsTrack(anim, sceneDur)]
+        : legacyTracks(anim, o, sceneDur);
+    for (const track of own) tracks.push({ ...track, animation });
+  });
+  return tracks;
+}
+
+// Значение одной дорожки на времени t (до первого кадра и после последнего — удерживается)
+function sampleTrack(track, t, ease) {
+  const kfs = track.keyframes;
+  if (t <= kfs[0].time) return kfs[0].value;
+  const last = kfs[kfs.length - 1];
+  if (t >= last.time) return last.value;
+  let i = 0;
+  while (i < kfs.length - 2 && t >= kfs[i + 1].time) i++;
+  const a = kfs[i];
+  const b = kfs[i + 1];
+  const span = b.time - a.time;
+  const p = ease(a.easing)(span > 0 ? (t - a.time) / span : 1);
+  if (track.property === "color") return interpolateColor(a.value, b.value, p);
+  // нечисловые значения (flipX/flipY) переключаются в момент следующего кадра
+  if (typeof a.value !== "number") return a.value;
+  return lerp(a.value, b.value, p);
+}
+
+/**
+ * Вычислить анимированные свойства на времени t (сек от начала сцены).
+ * ease(name) — функция, возвращающая easing по имени (name может быть undefined).
+ * Если на одно свойство есть несколько дорожек, действует та, что началась
+ * последней к моменту t (до начала всех — самая ранняя): так анимации одного
+ * свойства, идущие друг за другом, не перетирают друг друга. Дорожки с multiply
+ * (fade) не выбираются, а умножаются на результат, как раньше умножались fade;
+ * дорожки с offset (move) так же прибавляются к результату, поэтому
+ * одновременные move складываются. Остальные дорожки одного свойства, идущие
+ * одновременно, находит lint (см. lint.js).
+ * Возвращает объект только с анимированными свойствами: { x, opacity, ... }.
+ */
+export function evaluateTracks(tracks, t, ease) {
+  const chosen = new Map();
+  const multiplied = [];
+  const added = [];
+  for (const track of tracks) {
+    if (track.multiply) {
+      multiplied.push(track);
+      continue;
+    }
+    if (track.offset !== undefined) {
+      added.push(track);
+      continue;
+    }
+    const cur = chosen.get(track.property);
+    if (!cur) {
+      chosen.set(track.property, track);
+      continue;
+    }
+    const started = track.begin <= t;
+    const curStarted = cur.begin <= t;
+    if (
+      (started && (!curStarted || track.begin >= cur.begin)) ||
+      (!started && !curStarted && track.begin < cur.begin)
+    ) {
+      chosen.set(track.property, track);
+    }
+  }
+  const values = {};
+  for (const [property, track] of chosen) {
+    values[property] = sampleTrack(track, t, ease);
+  }
+  for (const track of added) {
+    values[track.property] =
+      (values[track.property] ?? track.offset) + sampleTrack(track, t, ease);
+  }
+  for (const track of multiplied) {
+    values[track.property] =
+      (values[track.property] ?? 1) * sampleTrack(track, t, ease);
+  }
+  return values;
+}
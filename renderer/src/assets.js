@@ -0,0 +1,248 @@
+// assets.js
+// ==================
+// Файл: assets.js
+// Назначение: локальный кэш внешних ассетов проекта (видео, изображения, аудио).
+// Описание: render.js перед рендером скачивает все http(s)-ресурсы проекта в
+// кэш и переписывает ссылки в проекте на локальные пути. Имя файла в кэше —
+// хэш URL (разные URL с одинаковым basename не перезаписывают друг друга),
+// рядом лежит .json с ETag/Last-Modified для условной перепроверки. Загрузка
+// идёт через временный файл и rename, поэтому оборванная загрузка не оставляет
+// битый файл. Загрузки выполняются параллельно (с ограничением), с таймаутом
+// и повторами с экспоненциальной задержкой. В режиме offline сеть не
+// используется, а отсутствие любого ресурса в кэше — ошибка.
+// Экспортирует: collectAssetUrls, rewriteAssetUrls, createAssetCache
+
+import fs from "fs";
+import path from "path";
+import http from "http";
+import https from "https";
+import crypto from "crypto";
+
+const isRemote = (src) => typeof src === "string" && /^https?:\/\//i.test(src);
+
+// Обойти все поля src проекта, которые могут ссылаться на внешние ресурсы
+function forEachSrc(proj, fn) {
+  // объекты сцен и развёрнутых шаблонов графики (graphics, см. templates.js)
+  for (const sc of [...(proj.videoTrack || []), ...(proj.graphics || [])]) {
+    for (const o of sc.objects || []) if (o.src) fn(o);
+  }
+  for (const ov of proj.overlays || []) if (ov.src) fn(ov);
+  if (Array.isArray(proj.audio?.tracks)) {
+    for (const t of proj.audio.tracks) if (t.src) fn(t);
+  }
+  if (proj.audio?.music?.src) fn(proj.audio.music);
+  // субтитры из файла: { src: "captions.srt" } (см. subtitles.js)
+  if (proj.subtitles?.src) fn(proj.subtitles);
+}
+
+// Собрать все внешние URL ассетов из проекта (видео, изображения, аудио, оверлеи)
+export function collectAssetUrls(proj) {
+  const urls = new Set();
+  forEachSrc(proj, (o) => {
+    if (isRemote(o.src)) urls.add(o.src);
+  });
+  return Array.from(urls);
+}
+
+// Переписать ссылки проекта по карте URL -> локальный путь (например, /assets/cache/...)
+export function rewriteAssetUrls(proj, map) {
+  forEachSrc(proj, (o) => {
+    if (map.has(o.src)) o.src = map.get(o.src);
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Ошибка HTTP-ответа; retryable — имеет ли смысл повторять запрос
+class HttpError extends Error {
+  constructor(url, status) {
+    super(`Failed to download ${url}: ${status}`);
+    this.status = status;
+    this.retryable = status >= 500 || status === 429;
+  }
+}
+
+/**
+ * Один GET-запрос с переходом по редиректам и таймаутом.
+ * Заголовки условного запроса (If-None-Match/If-Modified-Since) передаются в headers.
+ * Возвращает { status: 304 } или { status: 200, etag, lastModified } после того,
+ * как тело полностью записано в tmpPath.
+ */
+function request(url, { headers, tmpPath, timeoutMs, redirects = 5 }) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith("https://") ? https : http;
+    const req = client.get(url, { headers }, (res) => {
+      if (
+        res.statusCode >= 300 &&
+        res.statusCode < 400 &&
+        res.statusCode !== 304 &&
+        res.headers.location
+      ) {
+        res.resume();
+        if (redirects <= 0) {
+          reject(new Error(`Too many redirects for ${url}`));
+          return;
+        }
+        // следовать редиректу (location может быть относительным)
+        const next = new URL(res.headers.location, url).toString();
+        request(next, { headers, tmpPath, timeoutMs, redirects: redirects - 1 })
+          .then(resolve)
+          .catch(reject);
+        return;
+      }
+      if (res.statusCode === 304) {
+        res.resume();
+        resolve({ status: 304 });
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new HttpError(url, res.statusCode));
+        return;
+      }
+      const file = fs.createWriteStream(tmpPath);
+      res.pipe(file);
+      res.on("error", reject);
+      file.on("error", reject);
+      file.on("finish", () =>
+        file.close(() =>
+          resolve({
+            status: 200,
+            etag: res.headers.etag || null,
+            lastModified: res.headers["last-modified"] || null,
+          })
+        )
+      );
+    });
+    req.setTimeout(timeoutMs, () =>
+      req.destroy(new Error(`Timeout after ${timeoutMs}ms: ${url}`))
+    );
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Создать кэш ассетов.
+ * dir — папка кэша, urlPrefix — путь к ней на локальном сервере рендера.
+ * Возвращает { fetch(url), fetchAll(urls) }:
+ * - fetch(url) -> локальный путь для проекта (urlPrefix/<имя>);
+ * - fetchAll(urls) -> Map(url -> локальный путь) для успешно загруженных URL и
+ *   список ошибок { url, error }; загрузки идут параллельно, не более concurrency.
+ * Успешно полученный URL запоминается: при повторных fetch тем же кэшем
+ * (пакетный рендер, варианты проекта) он не перепроверяется по сети.
+ */
+export function createAssetCache({
+  dir,
+  urlPrefix,
+  concurrency = 4,
+  retries = 3,
+  timeoutMs = 30000,
+  offline = false,
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // имя в кэше: хэш URL + исходное расширение (по нему сервер выбирает Content-Type)
+  function nameFor(url) {
+    const hash = crypto.createHash("sha256").update(url).digest("hex");
+    let ext = "";
+    try {
+      ext = path.extname(new URL(url).pathname).toLowerCase();
+    } catch (e) {}
+    if (!/^\.[a-z0-9]{1,8}$/.test(ext)) ext = "";
+    return hash.slice(0, 24) + ext;
+  }
+
+  // уже скачанные или перепроверенные в этом кэше URL -> Promise(локальный путь)
+  const fetched = new Map();
+
+  function fetch(url) {
+    if (!fetched.has(url)) {
+      const p = load(url);
+      // неудачу не запоминаем: следующий рендер попробует снова
+      p.catch(() => fetched.delete(url));
+      fetched.set(url, p);
+    }
+    return fetched.get(url);
+  }
+
+  async function load(url) {
+    const name = nameFor(url);
+    const filePath = path.join(dir, name);
+    const metaPath = `${filePath}.json`;
+    const cached = fs.existsSync(filePath);
+    const local = `${urlPrefix}/${name}`;
+
+    if (offline) {
+      if (!cached) throw new Error(`not in asset cache (offline): ${url}`);
+      return local;
+    }
+
+    let meta = {};
+    if (cached) {
+      try {
+        meta = JSON.parse(fs.readFileSync(metaPath, "utf-8"));
+      } catch (e) {}
+    }
+    // для закэшированного файла спрашиваем сервер, изменился ли он
+    const headers = {};
+    if (cached && meta.etag) headers["If-None-Match"] = meta.etag;
+    if (cached && meta.lastModified)
+      headers["If-Modified-Since"] = meta.lastModified;
+
+    const tmpPath = `${filePath}.tmp-${process.pid}-${crypto
+      .randomBytes(4)
+      .toString("hex")}`;
+    let lastErr;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await sleep(500 * 2 ** (attempt - 1));
+      try {
+        const r = await request(url, { headers, tmpPath, timeoutMs });
+        if (r.status === 304) return local;
+        fs.renameSync(tmpPath, filePath);
+        fs.writeFileSync(
+          metaPath,
+          JSON.stringify({
+            url,
+            etag: r.etag,
+            lastModified: r.lastModified,
+            fetchedAt: new Date().toISOString(),
+          })
+        );
+        return local;
+      } catch (e) {
+        lastErr = e;
+        fs.rmSync(tmpPath, { force: true });
+        if (e instanceof HttpError && !e.retryable) break;
+      }
+    }
+    // сеть недоступна, но есть копия в кэше — лучше рендерить с ней, чем упасть
+    if (cached) {
+      console.warn(
+        `revalidation failed for ${url}, using cached copy:`,
+        lastErr && lastErr.message ? lastErr.message : lastErr
+      );
+      return local;
+    }
+    throw lastErr;
+  }
+
+  async function fetchAll(urls) {
+    const map = new Map();
+    const errors = [];
+    const queue = urls.slice();
+    const worker = async () => {
+      while (queue.length) {
+        const url = queue.shift();
+        try {
+          map.set(url, await fetch(url));
+        } catch (error) {
+          errors.push({ url, error });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    return { map, errors };
+  }
+
+  return { fetch, fetchAll };
+}
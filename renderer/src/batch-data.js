@@ -0,0 +1,231 @@
+// batch-data.js
+// ==================
+// Файл: batch-data.js
+// Назначение: чтение строк данных для пакетного рендера (batch.js).
+// Описание: файл данных — CSV (первая строка — имена полей) или JSON Lines
+// (по объекту на строку). Каждая строка данных становится набором значений
+// для подстановки "{{поле}}" в базовый project.json.
+// - CSV: разделитель — запятая (для .tsv — табуляция; если в заголовке нет
+//   запятых, но есть ";", — точка с запятой), значения в кавычках могут
+//   содержать разделители, переносы строк и удвоенные кавычки ""; значения —
+//   строки, а у колонки с типом в заголовке ("duration:number", "muted:boolean",
+//   "images:json") приводятся к этому типу;
+// - JSON Lines: значения сохраняют типы JSON (числа, логические, массивы),
+//   пустые строки и строки, начинающиеся с "//", пропускаются.
+// Ошибки собираются с номерами строк файла.
+// Экспортирует: BatchDataError, parseCsv, parseJsonLines, loadBatchRows
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * Ошибка чтения файла данных. errors — [{ line, message }],
+ * file — путь к файлу (для сообщений вида "news.csv:12: ...").
+ */
+export class BatchDataError extends Error {
+  constructor(file, errors) {
+    super(
+      `${file}: ${errors.length} data error(s)\n` +
+        errors
+          .map((e) => `  ${file}${e.line ? `:${e.line}` : ""}: ${e.message}`)
+          .join("\n")
+    );
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+// Разбить CSV на записи: [{ line, cells }] (line — строка файла, где запись начинается)
+function csvRecords(text, sep, errors) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  let i = 0;
+  const endRecord = () => {
+    cells.push(cell);
+    // пустые строки (в том числе в конце файла) не считаются записями
+    if (cells.length > 1 || cells[0] !== "") {
+      records.push({ line: start, cells });
+    }
+    cells = [];
+    cell = "";
+  };
+  while (i < text.length) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (c === '"') quoted = false;
+      else {
+        if (c === "\n") line++;
+        cell += c;
+      }
+      i++;
+      continue;
+    }
+    if (c === '"' && cell === "") quoted = true;
+    else if (c === sep) {
+      cells.push(cell);
+      cell = "";
+    } else if (c === "\r" || c === "\n") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      start = line;
+    } else cell += c;
+    i++;
+  }
+  if (quoted) {
+    errors.push({ line: start, message: "unterminated quoted value" });
+  }
+  endRecord();
+  return records;
+}
+
+// Привести значение CSV к типу колонки; undefined — значение не подходит
+const CSV_TYPES = {
+  string: (v) => v,
+  number: (v) => (v.trim() !== "" && isFinite(v) ? Number(v) : undefined),
+  boolean: (v) =>
+    /^(true|1|yes)$/i.test(v.trim())
+      ? true
+      : /^(false|0|no|)$/i.test(v.trim())
+      ? false
+      : undefined,
+  json: (v) => {
+    try {
+      return JSON.parse(v);
+    } catch (e) {
+      return undefined;
+    }
+  },
+};
+
+/**
+ * Разобрать CSV: первая запись — имена полей. sep — разделитель (без него —
+ * запятая, или ";", если в заголовке нет запятых). Возвращает { rows, errors }:
+ * rows — [{ line, values }], values — { поле: значение }, errors — [{ line, message }].
+ */
+export function parseCsv(text, sep = null) {
+  const errors = [];
+  const body = String(text).replace(/^\uFEFF/, "");
+  if (!sep) {
+    const head = body.split(/\r?\n/, 1)[0];
+    sep = !head.includes(",") && head.includes(";") ? ";" : ",";
+  }
+  const records = csvRecords(body, sep, errors);
+  if (records.length === 0) {
+    errors.push({ line: 1, message: "missing header row" });
+    return { rows: [], errors };
+  }
+  const [header, ...data] = records;
+  // "имя:тип" в заголовке задаёт тип колонки
+  const types = [];
+  const fields = header.cells.map((f, i) => {
+    const [name, type = "string"] = f.trim().split(":");
+    if (!(type in CSV_TYPES)) {
+      errors.push({
+        line: header.line,
+        message: `unknown type "${type}" of column "${name}" (known: ${Object.keys(
+          CSV_TYPES
+        ).join(", ")})`,
+      });
+    }
+    types[i] = CSV_TYPES[type] || CSV_TYPES.string;
+    return name;
+  });
+  fields.forEach((f, i) => {
+    if (!f) {
+      errors.push({
+        line: header.line,
+        message: `column ${i + 1} has no name`,
+      });
+    } else if (fields.indexOf(f) !== i) {
+      errors.push({ line: header.line, message: `duplicate column "${f}"` });
+    }
+  });
+  const rows = [];
+  for (const r of data) {
+    if (r.cells.length !== fields.length) {
+      errors.push({
+        line: r.line,
+        message: `expected ${fields.length} value(s), got ${r.cells.length}`,
+      });
+      continue;
+    }
+    const values = {};
+    fields.forEach((f, i) => {
+      values[f] = types[i](r.cells[i]);
+      if (values[f] === undefined) {
+        errors.push({
+          line: r.line,
+          message: `column "${f}": invalid value "${r.cells[i]}"`,
+        });
+      }
+    });
+    rows.push({ line: r.line, values });
+  }
+  return { rows, errors };
+}
+
+/**
+ * Разобрать JSON Lines: по объекту на строку. Возвращает { rows, errors }
+ * в том же виде, что parseCsv.
+ */
+export function parseJsonLines(text) {
+  const rows = [];
+  const errors = [];
+  String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r\n|\r|\n/)
+    .forEach((l, i) => {
+      const line = i + 1;
+      const s = l.trim();
+      if (!s || s.startsWith("//")) return;
+      let values;
+      try {
+        values = JSON.parse(s);
+      } catch (e) {
+        errors.push({ line, message: e.message });
+        return;
+      }
+      if (!values || typeof values !== "object" || Array.isArray(values)) {
+        errors.push({ line, message: "each line must be a JSON object" });
+        return;
+      }
+      rows.push({ line, values });
+    });
+  return { rows, errors };
+}
+
+/**
+ * Прочитать строки данных из файла: .csv и .tsv — CSV, остальное
+ * (.jsonl, .ndjson) — JSON Lines. Возвращает [{ line, values }];
+ * при ошибках разбора или пустом файле бросает BatchDataError.
+ */
+export function loadBatchRows(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    throw new BatchDataError(file, [{ line: 0, message: e.message }]);
+  }
+  const ext = path.extname(file).toLowerCase();
+  const { rows, errors } =
+    ext === ".csv"
+      ? parseCsv(text)
+      : ext === ".tsv"
+      ? parseCsv(text, "\t")
+      : parseJsonLines(text);
+  if (errors.length > 0) throw new BatchDataError(file, errors);
+  if (rows.length === 0) {
+    throw new BatchDataError(file, [{ line: 0, message: "no data rows" }]);
+  }
+  return rows;
+}
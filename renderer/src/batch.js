@@ -0,0 +1,229 @@
+// batch.js
+// ==================
+// Файл: batch.js
+// Назначение: CLI пакетного рендера — один базовый project.json и файл данных,
+// по ролику на строку.
+// Описание: базовый проект содержит подстановки "{{поле}}" (заголовок,
+// картинки, субтитры, озвучка); файл данных — CSV или JSON Lines
+// (см. batch-data.js). Для каждой строки из базового проекта собирается свой
+// проект (подстановка — как у параметров шаблонов графики, см. templates.js),
+// имя выходного файла строится по шаблону --out с теми же подстановками
+// ("{{variant}}" — id варианта, если в проекте есть project.variants).
+// Все строки рендерятся по очереди в одной сессии renderer.js: Chromium,
+// статический сервер и кэш ассетов общие, поэтому одинаковые картинки и
+// музыка скачиваются один раз. Ошибка в строке не останавливает остальные;
+// в конце печатается сводка (и при --report пишется JSON-отчёт), код выхода 1,
+// если хотя бы одна строка не отрендерилась.
+// Основные функции/блоки:
+// - projectForRow — проект строки данных
+// - outputForRow — путь выходного файла по шаблону --out
+// - цикл рендера с изоляцией ошибок и сводка
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Command } from "commander";
+import {
+  addRenderOptions,
+  createProjectAssetCache,
+  createRenderSession,
+  ProjectError,
+  renderProject,
+} from "./renderer.js";
+import { BatchDataError, loadBatchRows } from "./batch-data.js";
+import { substituteParams } from "./templates.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const program = new Command();
+program
+  .requiredOption(
+    "--in <file>",
+    "base project json with {{field}} placeholders"
+  )
+  .requiredOption("--data <file>", "rows: .csv, .tsv or .jsonl")
+  .option(
+    "--out <pattern>",
+    "output path pattern, e.g. out/{{index}}-{{slug}}.mp4",
+    "out/{{index}}.mp4"
+  )
+  .option("--rows <list>", "render only these rows, e.g. 1,4-6")
+  .option("--report <file>", "write a JSON summary of the batch");
+addRenderOptions(program).parse(process.argv);
+
+const opts = program.opts();
+const fromRoot = (p) => path.resolve(__dirname, "..", p);
+
+/**
+ * Значения подстановок строки: поля строки данных и index — номер строки
+ * (с 1); поле index в данных заменяет номер.
+ */
+function rowParams(row, index) {
+  return { index, ...row.values };
+}
+
+/**
+ * Проект строки: копия базового проекта base с подставленными значениями
+ * строки. Неизвестные поля — ProjectError со списком путей.
+ */
+function projectForRow(base, params, label) {
+  const errors = [];
+  const proj = substituteParams(base, params, "", errors);
+  if (errors.length > 0) {
+    throw new ProjectError(
+      `${label}: ${errors.length} placeholder error(s)\n` +
+        errors.map((e) => `  ${e.path || "/"}: ${e.message}`).join("\n")
+    );
+  }
+  return proj;
+}
+
+// Значение поля в имени файла: без разделителей пути и символов, запрещённых в именах
+const fileSafe = (v) =>
+  String(v)
+    .trim()
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, "-")
+    .replace(/\s+/g, "-");
+
+/**
+ * Путь выходного файла строки по шаблону pattern ("{{поле}}" заменяется
+ * значением, очищенным для имени файла). Неизвестное поле — ProjectError;
+ * "{{variant}}" остаётся для renderProject (id варианта проекта).
+ */
+function outputForRow(pattern, params, label) {
+  const unknown = [];
+  const out = pattern.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (m, name) => {
+    if (name in params) return fileSafe(params[name]);
+    if (name === "variant") return "{{variant}}";
+    unknown.push(name);
+    return m;
+  });
+  if (unknown.length > 0) {
+    throw new ProjectError(
+      `${label}: --out uses unknown field(s) ${unknown
+        .map((n) => `"{{${n}}}"`)
+        .join(", ")}`
+    );
+  }
+  return fromRoot(out);
+}
+
+// Номера строк из списка "1,4-6" (с 1); без списка — все строки
+function selectRows(list, count) {
+  if (!list) return Array.from({ length: count }, (_, i) => i + 1);
+  const picked = new Set();
+  for (const part of String(list).split(",")) {
+    const m = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!m) program.error(`error: invalid --rows item "${part}"`);
+    const from = Number(m[1]);
+    const to = m[2] ? Number(m[2]) : from;
+    for (let i = from; i <= Math.min(to, count); i++) picked.add(i);
+  }
+  return [...picked].sort((a, b) => a - b);
+}
+
+const rowLabel = (index, line) => `row ${index} (${opts.data}:${line})`;
+
+(async () => {
+  const basePath = fromRoot(opts.in);
+  const base = JSON.parse(fs.readFileSync(basePath, "utf-8"));
+  const rows = loadBatchRows(fromRoot(opts.data));
+  const selected = selectRows(opts.rows, rows.length);
+  if (selected.length === 0) {
+    program.error(
+      `error: --rows ${opts.rows} selects none of ${rows.length} row(s)`
+    );
+  }
+
+  const session = createRenderSession({
+    assetCache: createProjectAssetCache(basePath, opts),
+  });
+  const results = [];
+  const outputs = new Map(); // путь -> номер строки, чтобы строки не затирали друг друга
+  const started = Date.now();
+  try {
+    for (const [n, index] of selected.entries()) {
+      const row = rows[index - 1];
+      const label = rowLabel(index, row.line);
+      const t0 = Date.now();
+      const result = { row: index, line: row.line, ok: false, out: null };
+      results.push(result);
+      try {
+        const params = rowParams(row, index);
+        const outPath = outputForRow(opts.out, params, label);
+        result.out = outPath;
+        if (outputs.has(outPath)) {
+          throw new ProjectError(
+            `${label}: ${outPath} is already the output of row ${outputs.get(
+              outPath
+            )}`
+          );
+        }
+        outputs.set(outPath, index);
+        console.log(`\n[${n + 1}/${selected.length}] ${label} → ${result.out}`);
+        const rendered = await renderProject(
+          projectForRow(base, params, label),
+          { projectPath: basePath, outPath, opts, session, label }
+        );
+        if (rendered.outputs.some((o) => o.variant)) {
+          result.variants = rendered.outputs.map((o) => ({
+            variant: o.variant,
+            out: o.outPath,
+          }));
+        }
+        result.ok = true;
+      } catch (err) {
+        result.error = err instanceof ProjectError ? err.message : String(err);
+        console.error(err instanceof ProjectError ? err.message : err);
+      }
+      result.seconds = Math.round((Date.now() - t0) / 100) / 10;
+    }
+  } finally {
+    await session.close();
+  }
+
+  const failed = results.filter((r) => !r.ok);
+  const total = Math.round((Date.now() - started) / 100) / 10;
+  console.log(
+    `\nBatch: ${results.length - failed.length} rendered, ${
+      failed.length
+    } failed (of ${results.length} row(s)) in ${total}s`
+  );
+  for (const r of results) {
+    // в сводке — первая строка ошибки без повторения метки строки
+    const reason = r.ok
+      ? ""
+      : r.error.split("\n")[0].replace(`${rowLabel(r.row, r.line)}: `, "");
+    console.log(
+      r.ok
+        ? `  ✓ row ${r.row}  ${r.out}  (${r.seconds}s)`
+        : `  ✗ row ${r.row}  line ${r.line}: ${reason}`
+    );
+  }
+  if (opts.report) {
+    const reportPath = fromRoot(opts.report);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(
+      reportPath,
+      JSON.stringify(
+        {
+          project: opts.in,
+          data: opts.data,
+          startedAt: new Date(started).toISOString(),
+          seconds: total,
+          rendered: results.length - failed.length,
+          failed: failed.length,
+          rows: results,
+        },
+        null,
+        2
+      )
+    );
+    console.log(`Report written: ${reportPath}`);
+  }
+  if (failed.length > 0) process.exit(1);
+})().catch((err) => {
+  console.error(err instanceof BatchDataError ? err.message : err);
+  process.exit(1);
+});
@@ -0,0 +1,236 @@
+// easing.js
+// ==================
+// Файл: easing.js
+// Назначение: библиотека функций плавности (easing) для анимаций и переходов.
+// Описание: easing задаётся строкой в project.json. Поддерживаются:
+// - именованные функции: linear, easeIn/easeOut/easeInOut + Quad, Cubic, Quart,
+//   Expo, Back, Elastic, Bounce (например "easeOutBack"), а также прежние
+//   "easeInOut" (квадратичная) и "easeOut" (кубическая) и CSS-ключевые слова
+//   "ease", "ease-in", "ease-out", "ease-in-out";
+// - "cubic-bezier(x1, y1, x2, y2)" — как в CSS;
+// - "steps(n)" и "steps(n, jump-start|jump-end|jump-none|jump-both|start|end)";
+// - "spring" или "spring(stiffness, damping[, mass])" — затухающая пружина,
+//   растянутая на длительность анимации (по умолчанию spring(100, 10, 1)).
+// Неизвестная строка — ошибка проверки проекта (validate.js), а в странице
+// resolveEasing молча подставляет linear, чтобы рендер не падал.
+// Экспортирует: EASINGS, parseEasing, isEasing, resolveEasing
+
+const { pow, sqrt, sin, cos, exp, PI } = Math;
+
+// Построить in/out/inOut из функции «in»
+function family(easeIn) {
+  const easeOut = (t) => 1 - easeIn(1 - t);
+  const easeInOut = (t) =>
+    t < 0.5 ? easeIn(2 * t) / 2 : 1 - easeIn(2 - 2 * t) / 2;
+  return { easeIn, easeOut, easeInOut };
+}
+
+const BACK = 1.70158;
+
+function bounceOut(t) {
+  const n = 7.5625;
+  const d = 2.75;
+  if (t < 1 / d) return n * t * t;
+  if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+  if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+  return n * (t -= 2.625 / d) * t + 0.984375;
+}
+
+const families = {
+  Quad: family((t) => t * t),
+  Cubic: family((t) => t * t * t),
+  Quart: family((t) => t * t * t * t),
+  Expo: family((t) => (t === 0 ? 0 : pow(2, 10 * t - 10))),
+  Back: family((t) => (BACK + 1) * t * t * t - BACK * t * t),
+  Elastic: family((t) =>
+    t === 0 || t === 1
+      ? t
+      : -pow(2, 10 * t - 10) * sin((t * 10 - 10.75) * ((2 * PI) / 3))
+  ),
+  Bounce: family((t) => 1 - bounceOut(1 - t)),
+};
+
+/**
+ * Таблица именованных easing: t в [0..1] -> прогресс (может выходить за 0..1
+ * у Back/Elastic).
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  // прежние функции page.js — сохранены без изменений ради совместимости проектов
+  easeInOut: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeOut: (t) => 1 - pow(1 - t, 3),
+  easeIn: (t) => t * t * t,
+};
+for (const [name, f] of Object.entries(families)) {
+  EASINGS[`easeIn${name}`] = f.easeIn;
+  EASINGS[`easeOut${name}`] = f.easeOut;
+  EASINGS[`easeInOut${name}`] = f.easeInOut;
+}
+
+/**
+ * cubic-bezier(x1, y1, x2, y2) как в CSS: кривая из (0,0) в (1,1), по x ищем
+ * параметр кривой методом Ньютона (с бисекцией как запасным вариантом).
+ */
+function cubicBezier(x1, y1, x2, y2) {
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+  const curveX = (s) => ((ax * s + bx) * s + cx) * s;
+  const curveY = (s) => ((ay * s + by) * s + cy) * s;
+  const slopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+  function solve(x) {
+    let s = x;
+    for (let i = 0; i < 8; i++) {
+      const err = curveX(s) - x;
+      if (Math.abs(err) < 1e-7) return s;
+      const d = slopeX(s);
+      if (Math.abs(d) < 1e-6) break;
+      s -= err / d;
+    }
+    let lo = 0;
+    let hi = 1;
+    s = x;
+    for (let i = 0; i < 50; i++) {
+      const v = curveX(s);
+      if (Math.abs(v - x) < 1e-7) break;
+      if (v < x) lo = s;
+      else hi = s;
+      s = (lo + hi) / 2;
+    }
+    return s;
+  }
+
+  return (t) => (t <= 0 ? 0 : t >= 1 ? 1 : curveY(solve(t)));
+}
+
+// CSS-ключевые слова — частные случаи cubic-bezier
+const CSS_KEYWORDS = {
+  ease: [0.25, 0.1, 0.25, 1],
+  "ease-in": [0.42, 0, 1, 1],
+  "ease-out": [0, 0, 0.58, 1],
+  "ease-in-out": [0.42, 0, 0.58, 1],
+};
+
+/**
+ * steps(n, position) как в CSS: n ступеней; position определяет, где прыжок —
+ * в начале интервала (jump-start/start), в конце (jump-end/end, по умолчанию),
+ * нигде по краям (jump-none) или на обоих краях (jump-both).
+ */
+function steps(n, position = "jump-end") {
+  const pos = { start: "jump-start", end: "jump-end" }[position] || position;
+  const jumps = pos === "jump-none" ? n - 1 : pos === "jump-both" ? n + 1 : n;
+  const offset = pos === "jump-start" || pos === "jump-both" ? 1 : 0;
+  return (t) => {
+    if (t >= 1) return 1;
+    if (t <= 0) return offset / jumps;
+    return Math.min(1, (Math.floor(t * n) + offset) / jumps);
+  };
+}
+
+/**
+ * Пружина (масса mass, жёсткость stiffness, затухание damping) из 0 в 1.
+ * Аналитическое решение затухающего осциллятора; время пружины до затухания
+ * (отклонение < 0.1%) растягивается на всю длительность анимации.
+ */
+function spring(stiffness = 100, damping = 10, mass = 1) {
+  const w0 = sqrt(stiffness / mass);
+  const zeta = damping / (2 * sqrt(stiffness * mass));
+  let x;
+  if (zeta < 1) {
+    const wd = w0 * sqrt(1 - zeta * zeta);
+    x = (t) =>
+      1 -
+      exp(-zeta * w0 * t) * (cos(wd * t) + ((zeta * w0) / wd) * sin(wd * t));
+  } else if (zeta === 1) {
+    x = (t) => 1 - exp(-w0 * t) * (1 + w0 * t);
+  } else {
+    const r = w0 * sqrt(zeta * zeta - 1);
+    const r1 = -zeta * w0 + r;
+    const r2 = -zeta * w0 - r;
+    x = (t) => 1 - (r2 * exp(r1 * t) - r1 * exp(r2 * t)) / (r2 - r1);
+  }
+  // длительность до затухания: последний момент, когда отклонение > 0.001
+  const dt = 1 / 240;
+  let settle = dt;
+  for (let t = 0; t <= 30; t += dt) {
+    if (Math.abs(1 - x(t)) > 0.001) settle = t + dt;
+  }
+  return (t) => (t <= 0 ? 0 : t >= 1 ? 1 : x(t * settle));
+}
+
+const cache = new Map();
+
+// Числовые аргументы "a, b, c" (пустая строка — без аргументов)
+function numbers(args) {
+  if (!args.trim()) return [];
+  return args.split(",").map((a) => (a.trim() === "" ? NaN : Number(a)));
+}
+
+function build(spec) {
+  if (Object.prototype.hasOwnProperty.call(EASINGS, spec)) return EASINGS[spec];
+  if (Object.prototype.hasOwnProperty.call(CSS_KEYWORDS, spec))
+    return cubicBezier(...CSS_KEYWORDS[spec]);
+  if (spec === "spring") return spring();
+  const m = spec.match(/^\s*([a-z-]+)\s*\(([^)]*)\)\s*$/i);
+  if (!m) return null;
+  const [, fn, args] = m;
+  if (fn === "cubic-bezier") {
+    const p = numbers(args);
+    if (p.length !== 4 || p.some((v) => !Number.isFinite(v))) return null;
+    // как в CSS: x-координаты опорных точек должны лежать в [0, 1]
+    if (p[0] < 0 || p[0] > 1 || p[2] < 0 || p[2] > 1) return null;
+    return cubicBezier(...p);
+  }
+  if (fn === "steps") {
+    const [count, position] = args.split(",").map((a) => a.trim());
+    const n = Number(count);
+    const positions = [
+      undefined,
+      "start",
+      "end",
+      "jump-start",
+      "jump-end",
+      "jump-none",
+      "jump-both",
+    ];
+    if (!Number.isInteger(n) || n < 1 || !positions.includes(position))
+      return null;
+    if (position === "jump-none" && n < 2) return null;
+    return steps(n, position);
+  }
+  if (fn === "spring") {
+    const p = numbers(args);
+    if (p.length > 3 || p.some((v) => !Number.isFinite(v) || v <= 0))
+      return null;
+    return spring(...p);
+  }
+  return null;
+}
+
+/**
+ * Разобрать описание easing. Возвращает функцию t -> прогресс или null, если
+ * строка не распознана. undefined/пустая строка — linear.
+ */
+export function parseEasing(spec) {
+  if (spec === undefined || spec === null || spec === "") return EASINGS.linear;
+  if (typeof spec !== "string") return null;
+  if (!cache.has(spec)) cache.set(spec, build(spec));
+  return cache.get(spec);
+}
+
+// Корректно ли описание easing (для проверки проекта)
+export function isEasing(spec) {
+  return parseEasing(spec) !== null;
+}
+
+/**
+ * easing по описанию, а для неизвестного — fallback (по умолчанию linear).
+ * Используется в странице: проект уже проверен, но рендер не должен падать.
+ */
+export function resolveEasing(spec, fallback = EASINGS.linear) {
+  return parseEasing(spec) || fallback;
+}
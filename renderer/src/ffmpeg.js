@@ -0,0 +1,299 @@
+// ffmpeg.js
+// ==================
+// Файл: ffmpeg.js
+// Назначение: сборка аргументов ffmpeg и запуск процессов ffmpeg для render.js.
+// Описание: здесь собраны вспомогательные функции, которые раньше жили в конце
+// render.js: построение входов/фильтров для аудиодорожек проекта, запуск ffmpeg
+// «до завершения» и потоковый приёмник кадров, в который кадры пишутся через
+// stdin по мере рендера (с учётом back-pressure).
+// Экспортирует: resolveLocalPath, buildAudioArgs, buildAudioMixArgs,
+// buildEncodeArgs, buildSegmentArgs, pipeVideoInput, framesVideoInput,
+// concatVideoInput, execFFmpeg, createFFmpegSink
+
+import path from "path";
+import { spawn } from "child_process";
+import { audioArgs, segmentFormat, videoArgs } from "./output.js";
+
+/**
+ * Разрешить путь к локальному ресурсу проекта.
+ * Если src начинается с '/' — путь относительный к папке project.json (например, /assets/...),
+ * поэтому добавляем префикс '.'; иначе разрешаем как обычный относительный путь.
+ */
+export function resolveLocalPath(src, projectDir) {
+  return src.startsWith("/")
+    ? path.resolve(projectDir, `.${src}`)
+    : path.resolve(projectDir, src);
+}
+
+// удалённые URL передаются в ffmpeg как есть, локальные пути — разрешаются
+function audioInput(src, projectDir) {
+  return /^https?:\/\//i.test(src) ? src : resolveLocalPath(src, projectDir);
+}
+
+/**
+ * Построить входы и filter_complex для аудио проекта.
+ * Поддерживаются две формы в project.json:
+ * 1) audio.tracks = [ { id, src, offset, volumePercent } ]
+ * 2) audio.music = { src, offset, gain } (устаревшая)
+ * firstInput — индекс первого аудиовхода (вход 0 — это кадры видео).
+ * fromSec/totalSec — окно проекта (сек), которое попадёт в итоговый файл;
+ * аудио обрезается по нему и сдвигается к нулю.
+ * Возвращает { inputs, filters, label } или null, если аудио в проекте нет.
+ * inputs — аргументы ffmpeg (-i ...), filters — цепочки для filter_complex,
+ * label — имя выходного аудиопотока (например "[out]").
+ */
+export function buildAudioArgs(
+  audio,
+  { projectDir, fromSec = 0, totalSec, firstInput = 1 }
+) {
+  // обрезка по окну; asetpts нужен, только если окно начинается не с нуля
+  const trim =
+    fromSec > 0
+      ? `atrim=${fromSec}:${totalSec},asetpts=PTS-STARTPTS`
+      : `atrim=0:${totalSec}`;
+  if (Array.isArray(audio?.tracks) && audio.tracks.length > 0) {
+    const tracks = audio.tracks;
+    const inputs = [];
+    for (const t of tracks) inputs.push("-i", audioInput(t.src, projectDir));
+
+    const trackFilters = tracks.map((t, idx) => {
+      const inIndex = idx + firstInput;
+      const offsetMs = Math.round((t.offset || 0) * 1000);
+      const volFrac =
+        typeof t.volumePercent === "number"
+          ? (Math.max(0, t.volumePercent) / 100).toFixed(6)
+          : t.gain && typeof t.gain === "number"
+          ? Math.pow(10, t.gain / 20).toFixed(6)
+          : "1.000000";
+      // после volume добавляем apad для каждой дорожки, чтобы можно было смешать до длины проекта
+      return `[${inIndex}:a]adelay=${offsetMs}|${offsetMs},volume=${volFrac},apad[a${idx}]`;
+    });
+    const amixInputs = tracks.map((_, idx) => `[a${idx}]`).join("");
+    // обрезаем итоговый микс по длительности проекта (в секундах), чтобы избежать удлинения
+    const mix = `${amixInputs}amix=inputs=${tracks.length}:normalize=0:duration=longest,${trim}[out]`;
+    return { inputs, filters: [...trackFilters, mix], label: "[out]" };
+  }
+
+  if (audio?.music?.src) {
+    const a = audio.music;
+    const inputs = [];
+    // -itsoffset влияет на следующий -i, поэтому добавляем его перед соответствующим входом
+    if (a.offset && a.offset > 0) inputs.push("-itsoffset", String(a.offset));
+    inputs.push("-i", audioInput(a.src, projectDir));
+
+    // громкость (legacy gain в dB), затем pad и обрезка по длительности проекта
+    const singleFilters = [];
+    if (typeof a.gain === "number") {
+      singleFilters.push(`volume=${Math.pow(10, a.gain / 20).toFixed(3)}`);
+    }
+    singleFilters.push("apad");
+    singleFilters.push(trim);
+    return {
+      inputs,
+      filters: [`[${firstInput}:a]${singleFilters.join(",")}[out]`],
+      label: "[out]",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Аргументы ffmpeg для сведения аудио проекта в один файл outPath (WAV,
+ * 32-bit float — без потерь и без клиппинга до кодирования) по окну
+ * fromSec..totalSec. Готовый свод передаётся в buildEncodeArgs как audioMix,
+ * когда один проект кодируется в несколько файлов (варианты проекта).
+ * Возвращает null, если аудио в проекте нет.
+ */
+export function buildAudioMixArgs(
+  audio,
+  { projectDir, fromSec = 0, totalSec, outPath }
+) {
+  const a = buildAudioArgs(audio, {
+    projectDir,
+    fromSec,
+    totalSec,
+    firstInput: 0,
+  });
+  if (!a) return null;
+  return [
+    "-y",
+    ...a.inputs,
+    "-filter_complex",
+    a.filters.join(";"),
+    "-map",
+    a.label,
+    "-c:a",
+    "pcm_f32le",
+    "-f",
+    "wav",
+    outPath,
+  ];
+}
+
+// Вход для кадров, которые пишутся в stdin ffmpeg (PNG-поток из page.screenshot)
+export function pipeVideoInput(fps) {
+  return [
+    "-f",
+    "image2pipe",
+    "-framerate",
+    String(fps),
+    "-c:v",
+    "png",
+    "-i",
+    "pipe:0",
+  ];
+}
+
+// Вход для кадров, сохранённых на диск как frame_%06d.png (отладочный режим)
+export function framesVideoInput(fps, framesDir) {
+  return [
+    "-framerate",
+    String(fps),
+    "-i",
+    path.join(framesDir, "frame_%06d.png"),
+  ];
+}
+
+/**
+ * Собрать полный список аргументов ffmpeg для итогового файла.
+ * videoInput — аргументы входа 0 (см. pipeVideoInput/framesVideoInput/concatVideoInput).
+ * output — настройки вывода из resolveOutput (кодек, качество, контейнер).
+ * copyVideo — не перекодировать видео (склейка сегментов воркеров).
+ * audioMix — готовый свод аудио по окну рендера (см. buildAudioMixArgs):
+ * подключается как есть вместо дорожек audio.
+ * Сначала идут все входы, затем filter_complex/map, затем параметры кодеков —
+ * ffmpeg трактует опции перед -i как опции входа, поэтому порядок важен.
+ */
+export function buildEncodeArgs({
+  videoInput,
+  audio,
+  projectDir,
+  fromSec,
+  totalSec,
+  outPath,
+  output,
+  copyVideo = false,
+  audioMix = null,
+}) {
+  const ff = ["-y", ...videoInput];
+  // форматы без звука (GIF) аудио не подключают вовсе
+  const aCodec = audioArgs(output);
+  const a = !aCodec
+    ? null
+    : audioMix
+    ? { inputs: ["-i", audioMix], filters: [], label: "1:a" }
+    : buildAudioArgs(audio, { projectDir, fromSec, totalSec, firstInput: 1 });
+
+  if (a) {
+    ff.push(...a.inputs);
+    if (a.filters.length > 0) ff.push("-filter_complex", a.filters.join(";"));
+    ff.push("-map", "0:v", "-map", a.label);
+  } else if (aCodec) {
+    // аудио нет: добавляем тихий вход lavfi anullsrc (он станет входом 1),
+    // чтобы в итоговом файле была тишина на всю длительность проекта
+    ff.push(
+      "-f",
+      "lavfi",
+      "-i",
+      "anullsrc=channel_layout=stereo:sample_rate=44100"
+    );
+    ff.push("-map", "0:v", "-map", "1:a");
+  }
+
+  ff.push(...(copyVideo ? ["-c:v", "copy"] : videoArgs(output)));
+  if (aCodec) {
+    ff.push(...aCodec);
+    // останавливаемся на самом коротком входе (кадрах рендера), чтобы более длинный
+    // аудиофайл или бесконечный anullsrc не удлиняли итоговое видео
+    ff.push("-shortest");
+  } else {
+    ff.push("-an");
+  }
+  // moov-атом в начале файла — ролик начинает проигрываться до полной загрузки
+  if (output.muxer === "mp4" || output.muxer === "mov") {
+    ff.push("-movflags", "+faststart");
+  }
+  // контейнер задаём явно: расширение --out может с ним не совпадать
+  ff.push("-f", output.muxer, outPath);
+  return ff;
+}
+
+// Вход из списка сегментов для concat demuxer (файл со строками file '...')
+export function concatVideoInput(listPath) {
+  return ["-f", "concat", "-safe", "0", "-i", listPath];
+}
+
+/**
+ * Аргументы для кодирования одного сегмента (диапазона кадров) без аудио.
+ * Как правило, сегменты кодируются теми же параметрами, что и итоговый файл,
+ * поэтому потом склеиваются concat demuxer-ом без перекодирования (-c:v copy);
+ * аудио добавляется один раз на этапе склейки (см. segmentFormat в output.js).
+ */
+export function buildSegmentArgs({ videoInput, outPath, output }) {
+  return ["-y", ...videoInput, "-an", ...segmentFormat(output).args, outPath];
+}
+
+// Запустить ffmpeg и дождаться завершения (stdio наследуется от процесса Node)
+export function execFFmpeg(args) {
+  return new Promise((res, rej) => {
+    const p = spawn("ffmpeg", args, { stdio: "inherit" });
+    p.on("error", rej);
+    p.on("exit", (code) =>
+      code === 0 ? res() : rej(new Error("ffmpeg exit " + code))
+    );
+  });
+}
+
+/**
+ * Запустить долгоживущий ffmpeg, который читает кадры из stdin.
+ * Возвращает { write(buf), end(), abort() }:
+ * - write() ждёт события 'drain', если буфер stdin переполнен (back-pressure),
+ *   чтобы рендер не накапливал кадры в памяти быстрее, чем ffmpeg их кодирует;
+ * - end() закрывает stdin и ждёт завершения ffmpeg;
+ * - abort() завершает ffmpeg, если он ещё работает (рендер упал), и ждёт выхода
+ *   процесса; после end() ничего не делает.
+ * Если ffmpeg упал посреди рендера, следующий write() выбросит ошибку.
+ */
+export function createFFmpegSink(args) {
+  const p = spawn("ffmpeg", args, { stdio: ["pipe", "inherit", "inherit"] });
+  let failure = null;
+  const exited = new Promise((res, rej) => {
+    p.on("error", rej);
+    p.on("exit", (code) =>
+      code === 0 ? res() : rej(new Error("ffmpeg exit " + code))
+    );
+  });
+  // запоминаем ошибку, чтобы не получить unhandled rejection до вызова end()
+  exited.catch((e) => {
+    failure = failure || e;
+  });
+  // EPIPE, если ffmpeg закрыл stdin раньше времени
+  p.stdin.on("error", (e) => {
+    failure = failure || e;
+  });
+
+  return {
+    async write(buf) {
+      if (failure) throw failure;
+      if (p.stdin.write(buf)) return;
+      await Promise.race([
+        new Promise((r) => p.stdin.once("drain", r)),
+        exited,
+      ]);
+      if (failure) throw failure;
+    },
+    async end() {
+      p.stdin.end();
+      await exited;
+    },
+    async abort() {
+      failure = failure || new Error("ffmpeg aborted");
+      if (p.exitCode === null && p.signalCode === null) {
+        p.stdin.destroy();
+        p.kill("SIGKILL");
+      }
+      await exited.catch(() => {});
+    },
+  };
+}
@@ -0,0 +1,129 @@
+// karaoke.js
+// ==================
+// Файл: karaoke.js
+// Назначение: пословная подсветка субтитров (караоке).
+// Описание: у реплики субтитров может быть массив слов
+// words: [{ text, start, end }] (время — секунды таймлайна, как у реплики).
+// Пока реплика на экране, подсвечивается текущее слово: цветом, плашкой за
+// словом и/или увеличением (scale) с коротким «выскакиванием». window — сколько
+// слов показывать одновременно (скользящее окно вокруг текущего слова).
+// Если у слов нет времени (или words не задан, а subtitleStyle.karaoke включён),
+// время реплики делится между словами пропорционально числу символов.
+// Модуль без DOM: время и окно считаются здесь, рисует drawSubtitle (page.js).
+// Экспортирует: KARAOKE_DEFAULTS, resolveKaraoke, subtitleWords, activeWord,
+// wordWindow, wordScale
+
+/**
+ * Параметры подсветки по умолчанию: color — цвет текущего слова; background —
+ * заливка плашки за ним (null — без плашки), paddingX/paddingY и radius — её
+ * отступы и скругление; scale — увеличение текущего слова (1 — без),
+ * pop — длительность «выскакивания» в секундах; window — число видимых слов
+ * (null — вся реплика).
+ */
+export const KARAOKE_DEFAULTS = {
+  color: "#ffd400",
+  background: null,
+  paddingX: 10,
+  paddingY: 4,
+  radius: 12,
+  scale: 1,
+  pop: 0.15,
+  window: null,
+};
+
+// Параметры подсветки: subtitleStyle.karaoke поверх значений по умолчанию
+export function resolveKaraoke(spec) {
+  return {
+    ...KARAOKE_DEFAULTS,
+    ...(spec && typeof spec === "object" ? spec : {}),
+  };
+}
+
+const timed = (w) => typeof w.start === "number" && typeof w.end === "number";
+// «вес» слова — число символов без пробелов (не меньше 1)
+const weight = (w) => Math.max(1, w.text.replace(/\s+/g, "").length);
+
+// Разбить текст реплики на слова; br — после слова в тексте был перенос строки
+function splitWords(text) {
+  const words = [];
+  String(text)
+    .split("\n")
+    .forEach((line) => {
+      const parts = line.split(/\s+/).filter(Boolean);
+      parts.forEach((p) => words.push({ text: p }));
+      if (parts.length) words[words.length - 1].br = true;
+    });
+  if (words.length) delete words[words.length - 1].br;
+  return words;
+}
+
+/**
+ * Слова реплики sub с временем: [{ text, start, end, br? }].
+ * Берутся из sub.words, а без него — из sub.text. Слова без start/end
+ * получают время пропорционально числу символов: промежуток между концом
+ * предыдущего слова со временем (или началом реплики) и началом следующего
+ * (или концом реплики).
+ */
+export function subtitleWords(sub) {
+  const words = sub.words?.length
+    ? sub.words.map((w) => ({ ...w, text: String(w.text) }))
+    : splitWords(sub.text);
+  let i = 0;
+  while (i < words.length) {
+    if (timed(words[i])) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < words.length && !timed(words[j])) j++;
+    const from = i > 0 ? words[i - 1].end : sub.start;
+    const to = Math.max(from, j < words.length ? words[j].start : sub.end);
+    const group = words.slice(i, j);
+    const total = group.reduce((a, w) => a + weight(w), 0);
+    let t = from;
+    for (const w of group) {
+      w.start = t;
+      t += ((to - from) * weight(w)) / total;
+      w.end = t;
+    }
+    i = j;
+  }
+  return words;
+}
+
+/**
+ * Номер текущего слова на времени t (сек): последнее начавшееся слово —
+ * подсветка держится до начала следующего. -1, если ни одно ещё не началось.
+ */
+export function activeWord(words, t) {
+  let active = -1;
+  words.forEach((w, i) => {
+    if (w.start <= t) active = i;
+  });
+  return active;
+}
+
+/**
+ * Окно видимых слов { first, last } (last не включается) из count слов:
+ * size слов с текущим словом active посередине, у краёв реплики окно
+ * упирается в первое или последнее слово. Без size — все слова.
+ */
+export function wordWindow(count, active, size) {
+  if (!(size > 0) || size >= count) return { first: 0, last: count };
+  const first = Math.min(
+    Math.max(0, active - Math.floor((size - 1) / 2)),
+    count - size
+  );
+  return { first, last: first + size };
+}
+
+/**
+ * Масштаб текущего слова word на времени t: за karaoke.pop секунд от начала
+ * слова растёт от 1 до karaoke.scale по кривой ease и дальше держится.
+ */
+export function wordScale(karaoke, word, t, ease) {
+  const scale = karaoke.scale ?? 1;
+  if (scale === 1) return 1;
+  const p = karaoke.pop > 0 ? Math.min(1, (t - word.start) / karaoke.pop) : 1;
+  return 1 + (scale - 1) * ease(Math.max(0, p));
+}
@@ -0,0 +1,162 @@
+// kenburns.js
+// ==================
+// Файл: kenburns.js
+// Назначение: эффект Ken Burns — плавный наезд/панорама по изображению или видео.
+// Описание: анимация { "type": "kenburns" } двигает окно кадрирования
+// (прямоугольник в пикселях исходного медиа) от from к to; окно растягивается
+// на рамку объекта. Движение задаётся одним из способов:
+// - from/to — прямоугольники { x, y, w, h } в пикселях исходника;
+// - from/to — масштаб (1 — всё медиа в режиме cover) и focus { x, y } (доли
+//   медиа) — наезд/отъезд вокруг фокусной точки, которая остаётся на месте;
+// - auto: true — направление и фокус выбираются по размерам медиа и seed
+//   (по умолчанию — хэш src). Выбор детерминирован: проект всегда рендерится
+//   одинаково, а фотографии длинного слайдшоу двигаются по-разному.
+// Окно всегда приводится к пропорциям рамки и не выходит за края медиа.
+// Прогресс 0..1 (с easing) вычисляет animation.js, окно — kenBurnsView.
+// Модуль без DOM — его можно проверять в Node.
+// Экспортирует: kenBurnsView
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+// Масштаб по умолчанию в конце наезда (from/to не заданы)
+const DEFAULT_ZOOM = 1.1;
+// Масштаб наезда в режиме auto
+const AUTO_ZOOM = 1.15;
+// Во сколько раз пропорции медиа должны отличаться от рамки, чтобы auto выбрал панораму
+const AUTO_PAN_RATIO = 1.15;
+
+/**
+ * Окно «всё медиа» в режиме cover для рамки с пропорциями aspect (w / h).
+ * fx/fy — к какому краю прижато окно по лишней стороне (0.5 — по центру).
+ */
+function coverView(mw, mh, aspect, fx = 0.5, fy = 0.5) {
+  let w = mw;
+  let h = mw / aspect;
+  if (h > mh) {
+    h = mh;
+    w = mh * aspect;
+  }
+  return { x: (mw - w) * fx, y: (mh - h) * fy, w, h };
+}
+
+// Привести прямоугольник к пропорциям рамки (расширяя вокруг центра) и удержать внутри медиа
+function fitRect(r, mw, mh, aspect) {
+  let w = Math.max(r.w, 1);
+  let h = Math.max(r.h, 1);
+  if (w / h < aspect) w = h * aspect;
+  else h = w / aspect;
+  if (w > mw) {
+    w = mw;
+    h = w / aspect;
+  }
+  if (h > mh) {
+    h = mh;
+    w = h * aspect;
+  }
+  const cx = r.x + r.w / 2;
+  const cy = r.y + r.h / 2;
+  return {
+    x: clamp(cx - w / 2, 0, mw - w),
+    y: clamp(cy - h / 2, 0, mh - h),
+    w,
+    h,
+  };
+}
+
+// Окно с масштабом zoom относительно base: фокусная точка (доли медиа) остаётся на месте
+function zoomView(base, mw, mh, aspect, zoom, focus) {
+  const px = focus.x * mw;
+  const py = focus.y * mh;
+  const z = zoom > 0 ? zoom : 1;
+  return fitRect(
+    {
+      x: px - (px - base.x) / z,
+      y: py - (py - base.y) / z,
+      w: base.w / z,
+      h: base.h / z,
+    },
+    mw,
+    mh,
+    aspect
+  );
+}
+
+// Хэш строки (FNV-1a) — seed по умолчанию для auto
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Детерминированный генератор случайных чисел 0..1 (mulberry32)
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Окна режима auto. Если медиа заметно шире (выше) рамки — панорама вдоль
+ * длинной стороны от края к краю; иначе — наезд или отъезд вокруг фокуса
+ * в центральной части кадра. Направление и фокус берутся из seed.
+ */
+function autoViews(mw, mh, aspect, seed) {
+  const rnd = random(seed);
+  const reverse = rnd() < 0.5;
+  const focus = { x: 0.3 + 0.4 * rnd(), y: 0.3 + 0.4 * rnd() };
+  const mediaAspect = mw / mh;
+  let from;
+  let to;
+  if (mediaAspect > aspect * AUTO_PAN_RATIO) {
+    from = coverView(mw, mh, aspect, 0, 0.5);
+    to = coverView(mw, mh, aspect, 1, 0.5);
+  } else if (mediaAspect < aspect / AUTO_PAN_RATIO) {
+    from = coverView(mw, mh, aspect, 0.5, 0);
+    to = coverView(mw, mh, aspect, 0.5, 1);
+  } else {
+    const full = coverView(mw, mh, aspect);
+    from = full;
+    to = zoomView(full, mw, mh, aspect, AUTO_ZOOM, focus);
+  }
+  return reverse ? { from: to, to: from } : { from, to };
+}
+
+// Начальное и конечное окна анимации anim
+function kenBurnsViews(anim, mw, mh, aspect, src) {
+  if (anim.auto) {
+    const seed = typeof anim.seed === "number" ? anim.seed : hashString(src);
+    return autoViews(mw, mh, aspect, seed);
+  }
+  const focus = { x: anim.focus?.x ?? 0.5, y: anim.focus?.y ?? 0.5 };
+  const full = coverView(mw, mh, aspect, focus.x, focus.y);
+  const view = (v, zoom) =>
+    v && typeof v === "object"
+      ? fitRect(v, mw, mh, aspect)
+      : zoomView(full, mw, mh, aspect, typeof v === "number" ? v : zoom, focus);
+  return { from: view(anim.from, 1), to: view(anim.to, DEFAULT_ZOOM) };
+}
+
+/**
+ * Окно кадрирования { x, y, w, h } (пиксели исходного медиа mw x mh) для
+ * анимации anim при прогрессе p (0..1, уже с easing). boxW/boxH — размер рамки
+ * объекта: окно имеет те же пропорции. src — seed по умолчанию для auto.
+ */
+export function kenBurnsView(anim, mw, mh, boxW, boxH, p, src = "") {
+  const aspect = boxW > 0 && boxH > 0 ? boxW / boxH : mw / mh;
+  const { from, to } = kenBurnsViews(anim, mw, mh, aspect, src);
+  return {
+    x: lerp(from.x, to.x, p),
+    y: lerp(from.y, to.y, p),
+    w: lerp(from.w, to.w, p),
+    h: lerp(from.h, to.h, p),
+  };
+}
@@ -0,0 +1,253 @@
+// layout.js
+// ==================
+// Файл: layout.js
+// Назначение: размещение объектов независимо от разрешения проекта.
+// Описание: x/y/w/h объектов и оверлеев (а также x/y/w/h ключевых кадров и
+// сдвиги move) — пиксели или строки с единицами: "50%" — доля родителя
+// (x, w — его ширины, y, h — высоты), "10vw"/"10vh" — доля ширины/высоты
+// кадра, "24px" — пиксели. Родитель объекта — весь кадр, а при safeArea —
+// безопасная зона: кадр без полей под интерфейс платформы (SAFE_AREAS или
+// свои доли { top, bottom, left, right }); x и y отсчитываются от его левого
+// верхнего угла. anchor — какая точка объекта стоит в (x, y): "top-left"
+// (по умолчанию), "center", "bottom-center" и т. д. (порядок слов любой:
+// "center-bottom" — то же самое). Если x или y не задан, объект прижимается
+// той же точкой к родителю (anchor "bottom-right" — в правый нижний угол), а
+// margin отодвигает его от краёв внутрь.
+// layoutProject один раз переводит всё это в пиксели кадра; смещение по
+// anchor применяет page.js после анимаций (рамка текста известна только после
+// вёрстки). Модуль без DOM.
+// Экспортирует: SAFE_AREAS, ANCHORS, resolveLength, parseAnchor,
+// anchorOrigin, safeAreaInsets, safeAreaRect, layoutProject
+
+/**
+ * Безопасные зоны платформ в долях кадра: поля сверху/снизу/слева/справа,
+ * которые закрывает интерфейс приложения (подписи, кнопки, прогресс-бар).
+ * Значения приблизительные, по рекомендациям платформ для кадра 9:16;
+ * "title-safe" и "action-safe" — классические зоны для 16:9 и 1:1.
+ */
+export const SAFE_AREAS = {
+  none: { top: 0, bottom: 0, left: 0, right: 0 },
+  reels: { top: 0.14, bottom: 0.35, left: 0.06, right: 0.06 },
+  stories: { top: 0.14, bottom: 0.2, left: 0.06, right: 0.06 },
+  shorts: { top: 0.12, bottom: 0.22, left: 0.06, right: 0.16 },
+  tiktok: { top: 0.08, bottom: 0.25, left: 0.06, right: 0.12 },
+  "title-safe": { top: 0.1, bottom: 0.1, left: 0.1, right: 0.1 },
+  "action-safe": { top: 0.05, bottom: 0.05, left: 0.05, right: 0.05 },
+};
+
+// Допустимые значения anchor (для схемы): вертикаль-горизонталь и наоборот
+export const ANCHORS = [
+  "top-left",
+  "top-center",
+  "top-right",
+  "center-left",
+  "center",
+  "center-right",
+  "bottom-left",
+  "bottom-center",
+  "bottom-right",
+  "left-top",
+  "center-top",
+  "right-top",
+  "left-center",
+  "right-center",
+  "left-bottom",
+  "center-bottom",
+  "right-bottom",
+  "top",
+  "bottom",
+  "left",
+  "right",
+];
+
+/**
+ * Длина в пикселях: число — как есть, "N%" — доля base, "Nvw"/"Nvh" —
+ * доля ширины/высоты кадра frame { width, height }, "Npx" — пиксели.
+ * undefined и нераспознанные строки возвращаются как undefined.
+ */
+export function resolveLength(value, base, frame) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string") return undefined;
+  const m = value.trim().match(/^(-?\d+(?:\.\d+)?)(%|vw|vh|px)?$/);
+  if (!m) return undefined;
+  const n = Number(m[1]);
+  if (m[2] === "%") return (n / 100) * base;
+  if (m[2] === "vw") return (n / 100) * frame.width;
+  if (m[2] === "vh") return (n / 100) * frame.height;
+  return n;
+}
+
+/**
+ * Точка привязки anchor как доли рамки объекта: { x, y } из 0, 0.5, 1
+ * (0, 0 — левый верхний угол, 0.5, 0.5 — центр).
+ */
+export function parseAnchor(anchor) {
+  const words = String(anchor || "top-left").split("-");
+  const has = (w) => words.includes(w);
+  return {
+    x: has("left") ? 0 : has("right") ? 1 : has("center") ? 0.5 : 0,
+    y: has("top") ? 0 : has("bottom") ? 1 : has("center") ? 0.5 : 0,
+  };
+}
+
+/**
+ * Левый верхний угол рамки w x h, у которой точка anchor стоит в (x, y).
+ */
+export function anchorOrigin(anchor, x, y, w, h) {
+  const a = parseAnchor(anchor);
+  return { x: x - a.x * (w || 0), y: y - a.y * (h || 0) };
+}
+
+/**
+ * Поля безопасной зоны в долях кадра { top, bottom, left, right }.
+ * spec — имя из SAFE_AREAS, число (одинаково со всех сторон), объект с
+ * долями или true — безопасная зона проекта (projectSpec, project.safeArea).
+ * Без spec — без полей.
+ */
+export function safeAreaInsets(spec, projectSpec) {
+  if (spec === true) {
+    return projectSpec === true || projectSpec === undefined
+      ? { ...SAFE_AREAS.none }
+      : safeAreaInsets(projectSpec);
+  }
+  if (typeof spec === "string")
+    return { ...(SAFE_AREAS[spec] || SAFE_AREAS.none) };
+  if (typeof spec === "number") {
+    return { top: spec, bottom: spec, left: spec, right: spec };
+  }
+  return {
+    top: spec?.top || 0,
+    bottom: spec?.bottom || 0,
+    left: spec?.left || 0,
+    right: spec?.right || 0,
+  };
+}
+
+/**
+ * Прямоугольник безопасной зоны { x, y, w, h } в кадре frame { width, height }.
+ */
+export function safeAreaRect(spec, frame, projectSpec) {
+  const s = safeAreaInsets(spec, projectSpec);
+  return {
+    x: frame.width * s.left,
+    y: frame.height * s.top,
+    w: frame.width * (1 - s.left - s.right),
+    h: frame.height * (1 - s.top - s.bottom),
+  };
+}
+
+// Отступы margin в пикселях: длина (одинаково со всех сторон) или { top, bottom, left, right }
+function margins(margin, parent, frame) {
+  const side = (v, base) => resolveLength(v, base, frame) || 0;
+  if (margin && typeof margin === "object") {
+    return {
+      top: side(margin.top, parent.h),
+      bottom: side(margin.bottom, parent.h),
+      left: side(margin.left, parent.w),
+      right: side(margin.right, parent.w),
+    };
+  }
+  return {
+    top: side(margin, parent.h),
+    bottom: side(margin, parent.h),
+    left: side(margin, parent.w),
+    right: side(margin, parent.w),
+  };
+}
+
+// Точка привязки у родителя по одной оси: a — доля (0, 0.5, 1), отступы — внутрь
+function edge(a, start, size, marginStart, marginEnd) {
+  if (a === 0) return start + marginStart;
+  if (a === 1) return start + size - marginEnd;
+  return start + size / 2;
+}
+
+// Перевести геометрию объекта (или оверлея) o в пиксели кадра
+function layoutObject(o, frame, projectSafeArea) {
+  const parent = safeAreaRect(o.safeArea, frame, projectSafeArea);
+  const px = (v) => resolveLength(v, parent.w, frame);
+  const py = (v) => resolveLength(v, parent.h, frame);
+  const a = parseAnchor(o.anchor);
+  const m = margins(o.margin, parent, frame);
+  const out = { ...o };
+  out.w = px(o.w);
+  out.h = py(o.h);
+  out.x =
+    o.x !== undefined
+      ? parent.x + px(o.x)
+      : edge(a.x, parent.x, parent.w, m.left, m.right);
+  out.y =
+    o.y !== undefined
+      ? parent.y + py(o.y)
+      : edge(a.y, parent.y, parent.h, m.top, m.bottom);
+  for (const k of ["w", "h"]) if (out[k] === undefined) delete out[k];
+  // текст без anchor и без y прижимается к краю рамкой, как остальные объекты
+  // (y текста без anchor — середина первой строки, см. drawObject в page.js)
+  if (o.type === "text" && !o.anchor && o.y === undefined) {
+    out.anchor = "top-left";
+  }
+
+  if (Array.isArray(o.animations)) {
+    out.animations = o.animations.map((anim) => {
+      if (anim.type === "keyframes" && Array.isArray(anim.keyframes)) {
+        return {
+          ...anim,
+          keyframes: anim.keyframes.map((kf) => {
+            const k = { ...kf };
+            if (kf.x !== undefined) k.x = parent.x + px(kf.x);
+            if (kf.y !== undefined) k.y = parent.y + py(kf.y);
+            if (kf.w !== undefined) k.w = px(kf.w);
+            if (kf.h !== undefined) k.h = py(kf.h);
+            return k;
+          }),
+        };
+      }
+      if (anim.type === "move") {
+        // move — сдвиг относительно x/y объекта, поэтому без начала родителя
+        const shift = (p) =>
+          p && {
+            ...p,
+            ...(p.x !== undefined && { x: px(p.x) }),
+            ...(p.y !== undefined && { y: py(p.y) }),
+          };
+        return { ...anim, from: shift(anim.from), to: shift(anim.to) };
+      }
+      return anim;
+    });
+  }
+  return out;
+}
+
+/**
+ * Перевести проценты, единицы, безопасные зоны и отсутствующие x/y объектов
+ * сцен, вставок графики и оверлеев в пиксели кадра project.width x height.
+ * После этого x/y — координаты точки anchor в кадре. Возвращает новый проект,
+ * исходный не изменяется.
+ */
+export function layoutProject(project) {
+  const frame = {
+    width: project.project.width,
+    height: project.project.height,
+  };
+  const safeArea = project.project.safeArea;
+  const scenes = (list) =>
+    list &&
+    list.map((sc) =>
+      sc.objects
+        ? {
+            ...sc,
+            objects: sc.objects.map((o) => layoutObject(o, frame, safeArea)),
+          }
+        : sc
+    );
+  return {
+    ...project,
+    videoTrack: scenes(project.videoTrack),
+    graphics: scenes(project.graphics),
+    overlays:
+      project.overlays &&
+      project.overlays.map((ov) =>
+        ov.newsTitle && !ov.src ? ov : layoutObject(ov, frame, safeArea)
+      ),
+  };
+}
@@ -0,0 +1,327 @@
+// lint.js
+// ==================
+// Файл: lint.js
+// Назначение: проверка таймлайна проекта (lint) до рендера.
+// Описание: схема (validate.js) проверяет только форму project.json, а типичные
+// ошибки монтажа проходят её без проблем: дыры между сценами (рендерятся цветом
+// фона), наложение сцен, субтитры, которые перекрываются или выходят за
+// project.videoLength, оверлеи с end раньше start, аудиодорожки, смещённые за
+// конец ролика. lintProject находит такие места и возвращает предупреждения со
+// временем и id. Интервалы трактуются так же, как в buildActiveObjects (page.js):
+// элемент виден на [start, end), т.е. сцена 0–6 и сцена 6–9.6 стыкуются без дыры.
+// Анимации zoom/move без from или to тоже отмечаются: вместо них молча берутся
+// значения по умолчанию.
+// Анимации объектов одного свойства, идущие одновременно (например, два
+// keyframes с x), тоже предупреждение: из них действует только начавшаяся
+// последней (fade перемножаются, move складываются — они не в счёт).
+// Экспортирует: lintProject, formatLintIssues
+
+import { animationTracks } from "./animation.js";
+
+// Допуск сравнения времён (сек): 6.0 и 5.9999999 из JSON считаем одним моментом
+const EPS = 1e-6;
+
+const fmt = (sec) => `${Number(sec.toFixed(3))}s`;
+
+/**
+ * Длительность ролика так же, как её считает render.js: project.videoLength,
+ * если задана и > 0, иначе конец последней сцены.
+ */
+function projectLength(proj) {
+  const vl = proj.project?.videoLength;
+  if (typeof vl === "number" && vl > 0) return vl;
+  return Math.max(...(proj.videoTrack || []).map((s) => s.end), 0);
+}
+
+/**
+ * Анимации объекта o, которые одновременно меняют одни и те же свойства:
+ * пары дорожек (см. animationTracks) с пересекающимися интервалами. fade
+ * (multiply) и move (offset) не в счёт: они перемножаются и складываются. Возвращает
+ * [{ properties, a, b, start, end }] — свойства, номера анимаций и общий
+ * интервал (сек от начала сцены).
+ */
+function overlappingAnimations(o, sceneDur) {
+  const tracks = animationTracks(o, sceneDur).filter(
+    (t) => !t.multiply && t.offset === undefined
+  );
+  const last = (t) => t.keyframes[t.keyframes.length - 1].time;
+  const pairs = new Map();
+  tracks.forEach((a, i) => {
+    for (const b of tracks.slice(i + 1)) {
+      if (a.property !== b.property || a.animation === b.animation) continue;
+      const start = Math.max(a.begin, b.begin);
+      const end = Math.min(last(a), last(b));
+      if (end <= start + EPS) continue;
+      const key = `${a.animation}/${b.animation}`;
+      const pair = pairs.get(key);
+      if (pair) {
+        pair.properties.push(a.property);
+        pair.start = Math.min(pair.start, start);
+        pair.end = Math.max(pair.end, end);
+      } else {
+        pairs.set(key, {
+          properties: [a.property],
+          a: a.animation,
+          b: b.animation,
+          start,
+          end,
+        });
+      }
+    }
+  });
+  return [...pairs.values()];
+}
+
+// Подпись сцены для сообщений: id её объектов, если они есть
+function sceneId(sc) {
+  const ids = (sc.objects || []).map((o) => o.id).filter(Boolean);
+  return ids.length ? ids.join(", ") : null;
+}
+
+/**
+ * Проверить таймлайн проекта (проект должен быть корректен по схеме).
+ * Возвращает массив предупреждений { path, id, start, end, message }, где
+ * path — JSON pointer до элемента, start/end — интервал проблемы в секундах,
+ * id — id элемента (или null). Порядок — по разделам проекта, внутри — по времени.
+ */
+export function lintProject(proj) {
+  const issues = [];
+  const total = projectLength(proj);
+  const add = (path, id, start, end, message) =>
+    issues.push({ path, id: id || null, start, end, message });
+
+  // --- сцены videoTrack: пустые, дыры, наложения, выход за длину ролика ---
+  const scenes = (proj.videoTrack || [])
+    .map((sc, i) => ({ sc, path: `/videoTrack/${i}` }))
+    .sort((a, b) => a.sc.start - b.sc.start);
+  let coveredUntil = 0;
+  let prev = null;
+  for (const { sc, path } of scenes) {
+    const id = sceneId(sc);
+    if (sc.end <= sc.start + EPS) {
+      add(path, id, sc.start, sc.end, "scene is empty (end <= start)");
+      continue;
+    }
+    if (sc.start > coveredUntil + EPS) {
+      add(
+        path,
+        id,
+        coveredUntil,
+        sc.start,
+        `gap of ${fmt(
+          sc.start - coveredUntil
+        )} before this scene (background only)`
+      );
+    } else if (prev && sc.start < coveredUntil - EPS) {
+      add(
+        path,
+        id,
+        sc.start,
+        Math.min(coveredUntil, sc.end),
+        `overlaps ${prev.path}` +
+          (sceneId(prev.sc) ? ` (${sceneId(prev.sc)})` : "")
+      );
+    }
+    if (sc.end > total + EPS) {
+      add(
+        path,
+        id,
+        total,
+        sc.end,
+        `scene runs past the end of the video (${fmt(total)})`
+      );
+    }
+    if (sc.end > coveredUntil) {
+      coveredUntil = sc.end;
+      prev = { sc, path };
+    }
+  }
+  if (scenes.length > 0 && coveredUntil < total - EPS) {
+    add(
+      "/videoTrack",
+      null,
+      coveredUntil,
+      total,
+      `no scene covers the end of the video (${fmt(
+        total - coveredUntil
+      )} of background)`
+    );
+  }
+
+  // --- субтитры: пустые, наложения соседних, выход за длину ролика, слова вне реплики ---
+  // субтитры из файла ({ src }) проверяются после загрузки (loadSubtitles в
+  // subtitles.js): локальный файл — до lint, файл по URL — в renderer.js, когда
+  // он скачан в кэш ассетов (tools/lint.js его не скачивает и не проверяет)
+  const subs = (Array.isArray(proj.subtitles) ? proj.subtitles : [])
+    .map((s, i) => ({ s, path: `/subtitles/${i}` }))
+    .sort((a, b) => a.s.start - b.s.start);
+  let prevSub = null;
+  for (const { s, path } of subs) {
+    if (s.end <= s.start + EPS) {
+      add(path, null, s.start, s.end, "subtitle is never shown (end <= start)");
+      continue;
+    }
+    if (prevSub && s.start < prevSub.s.end - EPS) {
+      add(
+        path,
+        null,
+        s.start,
+        Math.min(prevSub.s.end, s.end),
+        `overlaps ${prevSub.path}; only one subtitle is shown at a time`
+      );
+    }
+    if (s.end > total + EPS) {
+      add(
+        path,
+        null,
+        Math.max(s.start, total),
+        s.end,
+        `subtitle runs past the end of the video (${fmt(total)})`
+      );
+    }
+    (s.words || []).forEach((w, j) => {
+      const outside =
+        (typeof w.start === "number" && w.start < s.start - EPS) ||
+        (typeof w.end === "number" && w.end > s.end + EPS);
+      if (outside) {
+        add(
+          `${path}/words/${j}`,
+          w.text,
+          w.start ?? s.start,
+          w.end ?? s.end,
+          "word is timed outside its subtitle"
+        );
+      }
+    });
+    if (!prevSub || s.end > prevSub.s.end) prevSub = { s, path };
+  }
+
+  // --- вставки шаблонов графики (после expandGraphics): пустые, за концом ролика ---
+  (proj.graphics || []).forEach((g, i) => {
+    const path = `/graphics/${i}`;
+    const id = g.id || g.template;
+    if (typeof g.end !== "number") return;
+    if (g.end <= g.start + EPS) {
+      add(path, id, g.start, g.end, "graphic is never shown (end <= start)");
+    } else if (g.end > total + EPS) {
+      add(
+        path,
+        id,
+        Math.max(g.start, total),
+        g.end,
+        `graphic runs past the end of the video (${fmt(total)})`
+      );
+    }
+  });
+
+  // --- анимации объектов сцен и вставок: zoom/move без from/to, одно свойство
+  // в двух анимациях сразу ---
+  const animated = [
+    ...(proj.videoTrack || []).map((sc, i) => ({
+      sc,
+      path: `/videoTrack/${i}`,
+    })),
+    ...(proj.graphics || []).map((sc, i) => ({ sc, path: `/graphics/${i}` })),
+  ];
+  for (const { sc, path } of animated) {
+    if (typeof sc.end !== "number" || !Array.isArray(sc.objects)) continue;
+    sc.objects.forEach((o, j) => {
+      (o.animations || []).forEach((anim, b) => {
+        if (anim.type !== "zoom" && anim.type !== "move") return;
+        // значения по умолчанию — как в legacyTracks (animation.js)
+        const dflt = anim.type === "zoom" ? "1" : "the object position";
+        for (const key of ["from", "to"]) {
+          if (anim[key] !== undefined) continue;
+          add(
+            `${path}/objects/${j}/animations/${b}`,
+            o.id,
+            sc.start,
+            sc.end,
+            `${anim.type} has no "${key}"; it defaults to ${dflt}`
+          );
+        }
+      });
+      for (const ov of overlappingAnimations(o, sc.end - sc.start)) {
+        add(
+          `${path}/objects/${j}/animations/${ov.b}`,
+          o.id,
+          sc.start + ov.start,
+          sc.start + ov.end,
+          `animates ${ov.properties
+            .map((p) => `"${p}"`)
+            .join(", ")} at the same time as animation ${
+            ov.a
+          }; only the later-starting one applies`
+        );
+      }
+    });
+  }
+
+  // --- оверлеи: перевёрнутый интервал, выход за длину ролика ---
+  (proj.overlays || []).forEach((ov, i) => {
+    const path = `/overlays/${i}`;
+    // newsTitle — строка или объект (текст может быть не задан)
+    const news =
+      typeof ov.newsTitle === "string" ? ov.newsTitle : ov.newsTitle?.text;
+    const id = ov.id || news || ov.src || `overlay ${i}`;
+    if (ov.end < ov.start - EPS) {
+      add(
+        path,
+        id,
+        ov.end,
+        ov.start,
+        "end is before start; the overlay is never shown"
+      );
+    } else if (ov.end <= ov.start + EPS) {
+      add(path, id, ov.start, ov.end, "overlay is never shown (end == start)");
+    } else if (ov.start >= total - EPS) {
+      add(
+        path,
+        id,
+        ov.start,
+        ov.end,
+        `overlay starts after the end of the video (${fmt(total)})`
+      );
+    }
+  });
+
+  // --- аудио: дорожки, которые начинаются после конца ролика ---
+  const audioItems = (proj.audio?.tracks || []).map((t, i) => ({
+    t,
+    path: `/audio/tracks/${i}`,
+  }));
+  if (proj.audio?.music)
+    audioItems.push({ t: proj.audio.music, path: "/audio/music" });
+  for (const { t, path } of audioItems) {
+    const offset = t.offset || 0;
+    if (offset >= total - EPS) {
+      add(
+        path,
+        t.id || t.src,
+        offset,
+        offset,
+        `offset ${fmt(offset)} is past the end of the video (${fmt(
+          total
+        )}); the track is silent`
+      );
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Отформатировать предупреждения по одному на строку:
+ * "  warning 9.6s–10s /videoTrack/3 (image-1): gap of 0.4s before this scene ..."
+ * level — "warning" или "error" (в режиме --strict).
+ */
+export function formatLintIssues(issues, level = "warning") {
+  return issues
+    .map(
+      (i) =>
+        `  ${level} ${fmt(i.start)}–${fmt(i.end)} ${i.path}` +
+        (i.id ? ` (${i.id})` : "") +
+        `: ${i.message}`
+    )
+    .join("\n");
+}
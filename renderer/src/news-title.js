@@ -0,0 +1,189 @@
+// news-title.js
+// ==================
+// Файл: news-title.js
+// Назначение: параметры новостного заголовка (баннера) оверлея с newsTitle.
+// Описание: баннер — скруглённая полоса, которая вырастает вверх от
+// фиксированного нижнего края, показывает заголовок (и необязательные строки
+// kicker над ним и subtitle под ним), затем текст гаснет и полоса
+// сворачивается. newsTitle — строка заголовка или объект
+// { text, kicker, subtitle, preset, ...стиль, timing }. Пресет "default"
+// повторяет прежний дизайн для кадра 1080x1920; размеры пресета заданы в
+// пикселях этого базового кадра (baseWidth x baseHeight) и масштабируются
+// под размер проекта; x и bottom можно задать и в единицах layout.js
+// ("85%" — доля кадра). С safeArea баннер не выходит за безопасную зону.
+// Каждый оверлей с newsTitle рисуется по своему расписанию (start/end оверлея).
+// Модуль без DOM: здесь — стиль, геометрия и фазы, рисует page.js.
+// Экспортирует: NEWS_TITLE_PRESETS, NEWS_TITLE_TIMING, resolveNewsTitle,
+// newsTitleTimeline, newsTitleGeometry
+
+import { resolveLength, safeAreaRect } from "./layout.js";
+
+/**
+ * Длительности фаз по умолчанию (секунды): grow — полоса вырастает,
+ * delay — пауза перед текстом, textFade — текст проявляется, hold — текст на
+ * экране, textOut — текст гаснет, collapse — полоса сворачивается.
+ */
+export const NEWS_TITLE_TIMING = {
+  grow: 0.3,
+  delay: 0.1,
+  textFade: 0.2,
+  hold: 4,
+  textOut: 0.2,
+  collapse: 0.3,
+};
+
+/**
+ * Пресеты оформления. Размеры — в пикселях базового кадра baseWidth x baseHeight:
+ * width — ширина полосы, height — высота в свёрнутом состоянии, expandedHeight —
+ * в развёрнутом ("auto" — по тексту), bottom — нижний край полосы, x — левый
+ * край (null — по центру), paddingX/paddingTop — отступы текста внутри полосы,
+ * paddingBottom — отступ под текстом при expandedHeight: "auto"; gap — между
+ * строками kicker, заголовка и subtitle; safeArea — безопасная зона
+ * (см. layout.js), null — весь кадр.
+ */
+export const NEWS_TITLE_PRESETS = {
+  default: {
+    baseWidth: 1080,
+    baseHeight: 1920,
+    color: "#F8604A",
+    width: 804,
+    height: 146,
+    expandedHeight: 473,
+    radius: 73,
+    bottom: 1542,
+    x: null,
+    paddingX: 50,
+    paddingTop: 50,
+    paddingBottom: 50,
+    fontFamily: "YSText, system-ui",
+    fontWeight: 400,
+    fontSize: 70,
+    lineHeight: 1.1,
+    textColor: "#ffffff",
+    kickerFontSize: 40,
+    kickerFontWeight: 700,
+    kickerColor: "rgba(255,255,255,0.85)",
+    subtitleFontSize: 44,
+    subtitleFontWeight: 400,
+    subtitleColor: "rgba(255,255,255,0.85)",
+    gap: 16,
+    safeArea: null,
+  },
+};
+
+/**
+ * Заголовок оверлея ov: { text, kicker, subtitle, style, timing } — стиль
+ * пресета с полями newsTitle поверх него, timing в секундах.
+ * null, если у оверлея нет заголовка.
+ */
+export function resolveNewsTitle(ov) {
+  const spec =
+    typeof ov.newsTitle === "string" ? { text: ov.newsTitle } : ov.newsTitle;
+  if (!spec || !spec.text) return null;
+  const { text, kicker, subtitle, preset, timing, ...overrides } = spec;
+  const style = {
+    ...(NEWS_TITLE_PRESETS[preset] || NEWS_TITLE_PRESETS.default),
+  };
+  for (const [k, v] of Object.entries(overrides)) {
+    if (v !== undefined) style[k] = v;
+  }
+  return {
+    text,
+    kicker: kicker || null,
+    subtitle: subtitle || null,
+    style,
+    timing: { ...NEWS_TITLE_TIMING, ...timing },
+  };
+}
+
+/**
+ * Фазы анимации в мс от начала оверлея. Если у оверлея на всё меньше времени,
+ * чем сумма фаз, фазы сжимаются пропорционально; остаток (и погрешность
+ * округления) достаётся сворачиванию, чтобы баннер закончился ровно к end.
+ * Возвращает { startMs, grow, textStart, textFade, textOutStart, textOut,
+ * collapseStart, collapse, total }.
+ */
+export function newsTitleTimeline(ov, timing) {
+  const phases = ["grow", "delay", "textFade", "hold", "textOut", "collapse"];
+  const ms = Object.fromEntries(
+    phases.map((p) => [p, Math.max(0, timing[p] ?? 0) * 1000])
+  );
+  const defaultTotal = phases.reduce((a, p) => a + ms[p], 0);
+
+  const startMs =
+    typeof ov.start === "number" ? Math.round(ov.start * 1000) : 1000;
+  const endMs =
+    typeof ov.end === "number"
+      ? Math.round(ov.end * 1000)
+      : startMs + defaultTotal;
+  const available = Math.max(1, endMs - startMs);
+  const scale = available < defaultTotal ? available / defaultTotal : 1;
+
+  const grow = Math.max(1, Math.round(ms.grow * scale));
+  const delay = Math.max(0, Math.round(ms.delay * scale));
+  const textFade = Math.max(1, Math.round(ms.textFade * scale));
+  const hold = Math.max(0, Math.round(ms.hold * scale));
+  const textOut = Math.max(1, Math.round(ms.textOut * scale));
+  let collapse = Math.max(1, Math.round(ms.collapse * scale));
+  const sum = grow + delay + textFade + hold + textOut + collapse;
+  if (sum !== available) collapse = Math.max(1, collapse + available - sum);
+
+  const textStart = grow + delay;
+  const textOutStart = textStart + textFade + hold;
+  const collapseStart = textOutStart + textOut;
+  return {
+    startMs,
+    grow,
+    textStart,
+    textFade,
+    textOutStart,
+    textOut,
+    collapseStart,
+    collapse,
+    total: collapseStart + collapse,
+  };
+}
+
+/**
+ * Геометрия баннера стиля style в кадре W x H (пиксели проекта): размеры
+ * пресета умножаются на k = min(W / baseWidth, H / baseHeight), нижний край
+ * и x — пропорционально кадру (строки с единицами — доли кадра). С
+ * style.safeArea (projectSafeArea — project.safeArea для safeArea: true)
+ * баннер сужается до ширины безопасной зоны, центрируется в ней и
+ * поднимается над её нижним краем. Возвращает { k, x, bottom, width, height,
+ * expandedHeight, radius, paddingX, paddingTop, paddingBottom, gap }
+ * (expandedHeight может быть "auto").
+ */
+export function newsTitleGeometry(style, W, H, projectSafeArea) {
+  const frame = { width: W, height: H };
+  const k = Math.min(W / style.baseWidth, H / style.baseHeight);
+  const area = style.safeArea
+    ? safeAreaRect(style.safeArea, frame, projectSafeArea)
+    : { x: 0, y: 0, w: W, h: H };
+  const width = Math.min(style.width * k, area.w);
+  const bottom =
+    typeof style.bottom === "string"
+      ? resolveLength(style.bottom, H, frame)
+      : (style.bottom * H) / style.baseHeight;
+  return {
+    k,
+    width,
+    x:
+      typeof style.x === "number"
+        ? (style.x * W) / style.baseWidth
+        : typeof style.x === "string"
+        ? resolveLength(style.x, W, frame)
+        : area.x + (area.w - width) / 2,
+    bottom: Math.min(bottom, area.y + area.h),
+    height: style.height * k,
+    expandedHeight:
+      typeof style.expandedHeight === "number"
+        ? style.expandedHeight * k
+        : "auto",
+    radius: style.radius * k,
+    paddingX: style.paddingX * k,
+    paddingTop: style.paddingTop * k,
+    paddingBottom: style.paddingBottom * k,
+    gap: style.gap * k,
+  };
+}
@@ -0,0 +1,271 @@
+// output.js
+// ==================
+// Файл: output.js
+// Назначение: профили кодирования итогового файла (кодек, качество, контейнер).
+// Описание: секция `output` в project.json и флаги CLI render.js описывают,
+// чем и во что кодировать видео. Здесь они сводятся в один объект настроек
+// (resolveOutput) и превращаются в аргументы ffmpeg (videoArgs/audioArgs).
+// Поддерживаются H.264/MP4, H.265/MP4, VP9/WebM, ProRes 4444 (с альфа-каналом)
+// и анимированный GIF, а также именованные профили ("reels", "youtube", "archive").
+// Экспортирует: OutputError, CODECS, OUTPUT_PROFILES, resolveOutput, videoArgs,
+// audioArgs, segmentFormat
+
+/**
+ * Ошибка настроек вывода (неизвестный профиль, кодек или контейнер, кодек в
+ * неподходящем контейнере, alpha без поддержки): ошибка пользователя, render.js
+ * печатает её без стека (renderer.js оборачивает её в ProjectError).
+ */
+export class OutputError extends Error {}
+
+/**
+ * Описание поддерживаемых кодеков:
+ * - container — контейнер по умолчанию (он же muxer ffmpeg и расширение файла);
+ * - containers — контейнеры, в которые ffmpeg умеет записать этот кодек;
+ * - audio — аудиокодек по умолчанию (null — формат без звука);
+ * - alpha — поддерживает ли кодек прозрачность;
+ * - copySegments — можно ли склеивать сегменты воркеров без перекодирования.
+ */
+export const CODECS = {
+  h264: {
+    container: "mp4",
+    containers: ["mp4", "mov", "mkv"],
+    audio: "aac",
+    alpha: false,
+    copySegments: true,
+  },
+  h265: {
+    container: "mp4",
+    containers: ["mp4", "mov", "mkv"],
+    audio: "aac",
+    alpha: false,
+    copySegments: true,
+  },
+  vp9: {
+    container: "webm",
+    containers: ["webm", "mkv", "mp4"],
+    audio: "libopus",
+    alpha: true,
+    copySegments: true,
+  },
+  prores: {
+    container: "mov",
+    containers: ["mov", "mkv"],
+    audio: "pcm_s16le",
+    alpha: true,
+    copySegments: true,
+  },
+  gif: {
+    container: "gif",
+    containers: ["gif"],
+    audio: null,
+    alpha: false,
+    copySegments: false,
+  },
+};
+
+// Имена контейнеров -> muxer ffmpeg
+const MUXERS = {
+  mp4: "mp4",
+  mov: "mov",
+  webm: "webm",
+  gif: "gif",
+  mkv: "matroska",
+};
+
+/**
+ * Именованные профили. Значения профиля перекрываются полями секции `output`
+ * проекта, а те — флагами CLI.
+ * - reels: вертикальные ролики для соцсетей (H.264, умеренный битрейт звука);
+ * - youtube: H.264 повышенного качества со звуком 320k;
+ * - archive: мастер-копия ProRes 4444 с несжатым звуком.
+ */
+export const OUTPUT_PROFILES = {
+  reels: { codec: "h264", crf: 20, preset: "slow", audioBitrate: "192k" },
+  youtube: { codec: "h264", crf: 16, preset: "slow", audioBitrate: "320k" },
+  archive: { codec: "prores" },
+};
+
+/**
+ * Свести настройки вывода: профиль <- секция output проекта <- флаги CLI.
+ * draft — черновой режим: самые быстрые настройки кодека и пониженное качество.
+ * Бросает OutputError для неизвестного профиля/кодека/контейнера, для кодека
+ * в контейнере, который его не поддерживает (см. CODECS), и для alpha с
+ * кодеком, который не умеет прозрачность.
+ */
+export function resolveOutput(projectOutput = {}, cli = {}, { draft } = {}) {
+  const profileName = cli.profile || projectOutput.profile;
+  let profile = {};
+  if (profileName) {
+    profile = OUTPUT_PROFILES[profileName];
+    if (!profile) {
+      throw new OutputError(
+        `unknown output profile "${profileName}" (known: ${Object.keys(
+          OUTPUT_PROFILES
+        ).join(", ")})`
+      );
+    }
+  }
+  const defined = (o) =>
+    Object.fromEntries(Object.entries(o).filter(([, v]) => v !== undefined));
+  const out = {
+    codec: "h264",
+    ...profile,
+    ...defined(projectOutput),
+    ...defined(cli),
+  };
+  delete out.profile;
+
+  const codec = CODECS[out.codec];
+  if (!codec) {
+    throw new OutputError(
+      `unknown output codec "${out.codec}" (known: ${Object.keys(CODECS).join(
+        ", "
+      )})`
+    );
+  }
+  out.container = out.container || codec.container;
+  if (!MUXERS[out.container]) {
+    throw new OutputError(`unknown output container "${out.container}"`);
+  }
+  if (!codec.containers.includes(out.container)) {
+    throw new OutputError(
+      `codec "${out.codec}" cannot be written to container "${
+        out.container
+      }" (use ${codec.containers.join(", ")})`
+    );
+  }
+  if (out.alpha && !codec.alpha) {
+    throw new OutputError(`codec "${out.codec}" does not support alpha`);
+  }
+  if (out.audioCodec === undefined) out.audioCodec = codec.audio;
+  out.muxer = MUXERS[out.container];
+  out.draft = !!draft;
+  return out;
+}
+
+// Скорость/качество кодеков семейства x264/x265 (в черновике — ultrafast и CRF 28)
+function x26xArgs(out, defaults) {
+  const args = [];
+  if (out.bitrate) args.push("-b:v", String(out.bitrate));
+  else args.push("-crf", String(out.draft ? 28 : out.crf ?? defaults.crf));
+  args.push("-preset", out.draft ? "ultrafast" : out.preset || "medium");
+  return args;
+}
+
+// Профиль H.264 задаём только для 8-битного 4:2:0 (high); для остальных
+// pixelFormat (yuv444p — high444, 10 бит — high10, ...) libx264 выбирает
+// профиль сам, а "high" с ними ffmpeg отвергает
+function h264Profile(pixelFormat) {
+  return pixelFormat === "yuv420p" || pixelFormat === "yuvj420p"
+    ? ["-profile:v", "high"]
+    : [];
+}
+
+// ProRes: 4444 (профиль 4) для 4:4:4 и альфа-канала, HQ (профиль 3) для 4:2:2
+function proresProfile(pixelFormat) {
+  return /^yuv422p/.test(pixelFormat) ? "3" : "4";
+}
+
+/**
+ * Аргументы видеокодека для итогового файла (или сегмента воркера).
+ * Для GIF палитра строится по самому ролику (palettegen + paletteuse),
+ * иначе 256 цветов дают заметный шум.
+ */
+export function videoArgs(out) {
+  switch (out.codec) {
+    case "h264": {
+      const pixelFormat = out.pixelFormat || "yuv420p";
+      return [
+        "-c:v",
+        "libx264",
+        "-pix_fmt",
+        pixelFormat,
+        ...h264Profile(pixelFormat),
+        ...x26xArgs(out, { crf: 18 }),
+      ];
+    }
+    case "h265":
+      return [
+        "-c:v",
+        "libx265",
+        "-pix_fmt",
+        out.pixelFormat || "yuv420p",
+        ...x26xArgs(out, { crf: 23 }),
+        // тег hvc1 нужен, чтобы H.265 в MP4 воспроизводился на устройствах Apple
+        "-tag:v",
+        "hvc1",
+      ];
+    case "vp9": {
+      // для VP9 «preset» — это cpu-used (0 — медленно и качественно, 8 — быстро)
+      const args = [
+        "-c:v",
+        "libvpx-vp9",
+        "-pix_fmt",
+        out.pixelFormat || (out.alpha ? "yuva420p" : "yuv420p"),
+        "-row-mt",
+        "1",
+      ];
+      if (out.draft) args.push("-deadline", "realtime", "-cpu-used", "8");
+      else {
+        const cpuUsed = Number.isFinite(Number(out.preset)) ? out.preset : 2;
+        args.push("-deadline", "good", "-cpu-used", String(cpuUsed));
+      }
+      // режим постоянного качества VP9 требует -b:v 0
+      if (out.bitrate) args.push("-b:v", String(out.bitrate));
+      else
+        args.push("-crf", String(out.draft ? 40 : out.crf ?? 31), "-b:v", "0");
+      return args;
+    }
+    case "prores": {
+      // prores_ks, по умолчанию ProRes 4444; альфа-канал хранится в yuva444p10le
+      const pixelFormat =
+        out.pixelFormat || (out.alpha ? "yuva444p10le" : "yuv444p10le");
+      return [
+        "-c:v",
+        "prores_ks",
+        "-profile:v",
+        proresProfile(pixelFormat),
+        "-pix_fmt",
+        pixelFormat,
+        "-vendor",
+        "apl0",
+      ];
+    }
+    case "gif":
+      return [
+        "-vf",
+        "split[s0][s1];[s0]palettegen=stats_mode=diff[p];[s1][p]paletteuse=dither=bayer",
+        "-loop",
+        "0",
+      ];
+  }
+  return [];
+}
+
+// Аргументы аудиокодека (null — формат без звука, аудио не подключается)
+export function audioArgs(out) {
+  if (!out.audioCodec) return null;
+  const args = ["-c:a", out.audioCodec];
+  if (!/^pcm_/.test(out.audioCodec)) {
+    args.push("-b:a", String(out.audioBitrate || "192k"));
+  }
+  return args;
+}
+
+/**
+ * Формат сегментов для параллельного рендера (--workers).
+ * Обычно сегменты кодируются итоговым кодеком и склеиваются без перекодирования.
+ * GIF так склеить нельзя (палитра у каждого сегмента своя), поэтому сегменты
+ * пишутся без потерь в FFV1/MKV, а итоговый кодек применяется при склейке.
+ * Возвращает { ext, args, copy }.
+ */
+export function segmentFormat(out) {
+  if (CODECS[out.codec].copySegments) {
+    return { ext: out.container, args: videoArgs(out), copy: true };
+  }
+  return {
+    ext: "mkv",
+    args: ["-c:v", "ffv1", "-pix_fmt", out.alpha ? "bgra" : "bgr0"],
+    copy: false,
+  };
+}
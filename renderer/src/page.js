@@ -9,6 +9,36 @@
 // Этот файл содержит много утилитарных функций и сложных блоков; для
 // удобства начинающего программиста везде добавлены поясняющие комментарии.
 
+import {
+  composeTransition,
+  findOutgoingScene,
+  transitionWindow,
+} from "./transitions.js";
+import { animationTracks, evaluateTracks } from "./animation.js";
+import { EASINGS, resolveEasing } from "./easing.js";
+import { kenBurnsView } from "./kenburns.js";
+import { layoutText, textRuns, drawTextRuns, drawTextLayout } from "./text.js";
+import { textAnimationUnit, textUnitState } from "./text-animation.js";
+import {
+  resolveSubtitleStyle,
+  subtitleBox,
+  subtitleFont,
+  subtitleTextWidth,
+} from "./subtitle-style.js";
+import {
+  resolveKaraoke,
+  subtitleWords,
+  activeWord,
+  wordWindow,
+  wordScale,
+} from "./karaoke.js";
+import {
+  resolveNewsTitle,
+  newsTitleTimeline,
+  newsTitleGeometry,
+} from "./news-title.js";
+import { anchorOrigin, layoutProject, parseAnchor } from "./layout.js";
+
 // Ожидается, что ресурсы указаны полными URL или абсолютными путями; локальный
 // резолвер путей не требуется.
 // Отключить шумные логи в продакшн-режиме. Установите в false для включения предупреждений/ошибок при отладке.
@@ -125,14 +155,6 @@ function loadVideo(src, muted = true) {
   });
 }
 
-// простые easing (функции плавности для анимаций)
-const Easings = {
-  linear: (t) => t,
-  easeInOut: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
-  // ease-out cubic
-  easeOut: (t) => 1 - Math.pow(1 - t, 3),
-};
-
 /**
  * Линейная интерполяция между a и b по параметру t в диапазоне [0..1].
  * Используется для плавного перехода числовых значений.
@@ -141,39 +163,38 @@ function lerp(a, b, t) {
   return a + (b - a) * t;
 }
 
-// вычисляем альфу для fade in/out
-/**
- * Вычислить альфу (прозрачность) для эффектов fade-in / fade-out.
- * localT - текущее локальное время анимации в миллисекундах,
- * durMs - полная длительность, fade - объект { in, out } в секундах.
- */
-function fadeAlpha(localT, durMs, fade) {
-  if (!fade) return 1;
-  const fi = (fade.in || 0) * 1000,
-    fo = (fade.out || 0) * 1000;
-  if (fi > 0 && localT < fi) return localT / fi; // в пределах fade-in — линейно растём
-  if (fo > 0 && localT > durMs - fo) return Math.max(0, (durMs - localT) / fo); // fade-out
-  return 1; // иначе полностью непрозрачный
-}
-
 // Загрузить и проиндексировать все ресурсы, упомянутые в проекте.
 // Возвращает объект { images, logos, videos }, где каждое значение — Map(src -> element).
 /**
  * Загрузить все ресурсы, упомянутые в `project` (изображения, лого, видео).
- * Возвращает объект { images: Map, logos: Map, videos: Map }.
+ * Возвращает объект { images: Map, logos: Map, videos: Map, frames: Map }
+ * (frames — последовательности кадров, извлечённые ffmpeg-ом: base -> frames).
  * Мы используем Map(src -> element) чтобы быстро доставать загруженный ресурс по URL.
  */
 async function loadResources(project) {
-  const res = { images: new Map(), videos: new Map(), logos: new Map() };
+  const res = {
+    images: new Map(),
+    videos: new Map(),
+    logos: new Map(),
+    frames: new Map(),
+  };
 
   const imgSrcs = new Set();
   const vidSrcs = new Set();
   const logoSrcs = new Set();
 
-  for (const sc of project.videoTrack || []) {
+  // объекты сцен и развёрнутых шаблонов графики (graphics, см. templates.js)
+  for (const sc of [
+    ...(project.videoTrack || []),
+    ...(project.graphics || []),
+  ]) {
     for (const o of sc.objects || []) {
       if (o.type === "image") imgSrcs.add(o.src);
-      if (o.type === "video") vidSrcs.add(o.src);
+      // видео с извлечёнными ffmpeg-ом кадрами (o.frames) не требует <video>:
+      // кадры загружаются по мере рендера (см. loadVideoFrame)
+      if (o.type === "video" && o.frames)
+        res.frames.set(o.frames.base, o.frames);
+      else if (o.type === "video") vidSrcs.add(o.src);
     }
   }
   for (const ov of project.overlays || []) {
@@ -256,6 +277,41 @@ async function loadResources(project) {
   return res;
 }
 
+// Небольшой кэш загруженных кадров видео: URL кадра -> Promise<Image>.
+// Держим несколько последних кадров, чтобы не копить в памяти весь ролик.
+const frameCache = new Map();
+const FRAME_CACHE_SIZE = 8;
+
+function cachedFrame(url) {
+  let p = frameCache.get(url);
+  if (!p) {
+    p = loadImage(url);
+    // не оставляем в кэше неудачную загрузку, чтобы повторить её на следующем кадре
+    p.catch(() => frameCache.delete(url));
+    frameCache.set(url, p);
+    while (frameCache.size > FRAME_CACHE_SIZE) {
+      frameCache.delete(frameCache.keys().next().value);
+    }
+  }
+  return p;
+}
+
+/**
+ * Загрузить кадр видео, извлечённый ffmpeg-ом (см. video-frames.js в render.js).
+ * frames = { base, count, fps }: кадр k соответствует локальному времени k / fps,
+ * поэтому номер кадра вычисляется из localMs без какой-либо перемотки.
+ * Следующий кадр начинаем грузить заранее — последовательный рендер его запросит.
+ */
+async function loadVideoFrame(frames, localMs) {
+  const idx = Math.min(
+    frames.count - 1,
+    Math.max(0, Math.round((localMs / 1000) * frames.fps))
+  );
+  const url = (i) => `${frames.base}${String(i).padStart(6, "0")}.png`;
+  if (idx + 1 < frames.count) cachedFrame(url(idx + 1)).catch(() => {});
+  return cachedFrame(url(idx));
+}
+
 // Перемотать видео до целевого времени и дождаться готовности нового кадра (с резервными вариантами).
 // По возможности используем requestVideoFrameCallback; иначе откатываемся к onseeked + таймаут.
 function seekVideoAndWait(v, target) {
@@ -354,75 +410,166 @@ function seekVideoAndWait(v, target) {
   });
 }
 
+// Объекты одной сцены на времени ms с вычисленными анимациями.
+// layer — к какому слою перехода относится сцена ("out"/"in") или undefined.
+// Локальное время может выйти за конец сцены: уходящая сцена перехода
+// продолжает жить после своего end (см. transitions.js).
+function sceneObjects(sc, ms, layer) {
+  const objects = [];
+  const local = ms - sc.start * 1000;
+  const dur = (sc.end - sc.start) * 1000;
+
+  for (const o of sc.objects || []) {
+    const base = {
+      x: o.x,
+      y: o.y,
+      w: o.w,
+      h: o.h,
+      z: o.z || 0,
+      a: 1,
+      type: o.type,
+      id: o.id,
+      style: o.style,
+      text: o.text,
+      anchor: o.anchor,
+      fit: o.fit,
+      focus: o.focus,
+      fitBackground: o.fitBackground,
+      fill: o.fill,
+      radius: o.radius,
+      kenburns: kenBurnsOf(o),
+      // анимация текста по символам/словам/строкам (если их несколько — последняя)
+      textAnimation: (o.animations || [])
+        .filter((a) => a.type === "text")
+        .pop(),
+      // локальное время сцены (мс) — по нему выбирается кадр видео
+      localMs: local,
+      frames: o.frames,
+      sourceFps: o.sourceFps,
+      layer,
+    };
+    // все анимации (ключевые кадры и старые zoom/move/fade) — через один движок
+    const v = evaluateTracks(
+      animationTracks(o, dur / 1000),
+      local / 1000,
+      (name) => resolveEasing(name)
+    );
+
+    // x/y — точка anchor (см. layout.js); рамку текста сдвигает drawObject после вёрстки
+    const w = v.w ?? o.w;
+    const h = v.h ?? o.h;
+    const at =
+      o.type === "text"
+        ? { x: v.x ?? o.x, y: v.y ?? o.y }
+        : anchorOrigin(o.anchor, v.x ?? o.x, v.y ?? o.y, w, h);
+    objects.push({
+      ...base,
+      src: o.src,
+      x: at.x,
+      y: at.y,
+      w,
+      h,
+      ...transformFields(o, v),
+      blur: v.blur || 0,
+      color: v.color,
+      kenburnsProgress: v.kenburns,
+      a: v.opacity ?? 1,
+    });
+  }
+  return objects;
+}
+
+/**
+ * Анимация kenburns объекта (если их несколько — последняя) или undefined.
+ * focus анимации по умолчанию берётся из focus объекта.
+ */
+function kenBurnsOf(o) {
+  const kb = (o.animations || []).filter((a) => a.type === "kenburns").pop();
+  if (!kb) return undefined;
+  return kb.focus || !o.focus ? kb : { ...kb, focus: o.focus };
+}
+
+/**
+ * Поля трансформации объекта: анимированное значение (v, см. animation.js)
+ * перекрывает статическое поле объекта (o), иначе — значение по умолчанию.
+ * rotation и skew — в градусах, pivot — нормированная точка опоры внутри
+ * рамки объекта (0.5, 0.5 — центр), flipX/flipY — зеркалирование.
+ */
+function transformFields(o, v) {
+  return {
+    scale: v.scale ?? o.scale ?? 1,
+    scaleX: v.scaleX ?? o.scaleX ?? 1,
+    scaleY: v.scaleY ?? o.scaleY ?? 1,
+    rotation: v.rotation ?? o.rotation ?? 0,
+    skewX: v.skewX ?? o.skew?.x ?? 0,
+    skewY: v.skewY ?? o.skew?.y ?? 0,
+    pivotX: v.pivotX ?? o.pivot?.x ?? 0.5,
+    pivotY: v.pivotY ?? o.pivot?.y ?? 0.5,
+    flipX: !!(v.flipX ?? o.flipX),
+    flipY: !!(v.flipY ?? o.flipY),
+  };
+}
+
+/**
+ * Активный на времени ms переход между сценами или null.
+ * Возвращает { scene, outgoing, type, direction, t }: scene — входящая сцена,
+ * outgoing — уходящая (null — переход от фона), t — прогресс 0..1 с учётом easing.
+ */
+function activeTransition(project, ms) {
+  const track = project.videoTrack || [];
+  for (const sc of track) {
+    if (ms < sc.start * 1000 || ms >= sc.end * 1000) continue;
+    const w = transitionWindow(sc);
+    if (!w || ms >= w.end * 1000) continue;
+    const tr = sc.transition;
+    const p = (ms - w.start * 1000) / ((w.end - w.start) * 1000);
+    return {
+      scene: sc,
+      outgoing: findOutgoingScene(track, sc),
+      type: tr.type || "crossfade",
+      direction: tr.direction || "left",
+      t: resolveEasing(tr.easing || "easeInOut")(Math.min(1, Math.max(0, p))),
+    };
+  }
+  return null;
+}
+
 // Построить плоский список активных объектов на заданном времени (ms). НЕ выполняет отрисовку.
+// Во время перехода в список попадают объекты обеих сцен (с полем layer "out"/"in").
 function buildActiveObjects(project, ms) {
   const activeObjects = [];
+  const tr = activeTransition(project, ms);
 
   for (const sc of project.videoTrack || []) {
     if (ms < sc.start * 1000 || ms >= sc.end * 1000) continue;
-    const local = ms - sc.start * 1000;
-    const dur = (sc.end - sc.start) * 1000;
-
-    for (const o of sc.objects || []) {
-      const base = {
-        x: o.x,
-        y: o.y,
-        w: o.w,
-        h: o.h,
-        z: o.z || 0,
-        a: 1,
-        type: o.type,
-        id: o.id,
-        style: o.style,
-        text: o.text,
-      };
-      let scale = 1,
-        tx = 0,
-        ty = 0,
-        alpha = 1;
-
-      for (const anim of o.animations || []) {
-        if (anim.type === "zoom") {
-          const t = Easings[anim.easing || "linear"](
-            Math.min(1, Math.max(0, local / dur))
-          );
-          scale = lerp(anim.from || 1, anim.to || 1, t);
-          // (seek-хелпер удалён отсюда и вынесен в верхний уровень)
-        }
-        if (anim.type === "move") {
-          const t = Easings[anim.easing || "linear"](
-            Math.min(1, Math.max(0, local / dur))
-          );
-          tx = lerp(anim.from?.x || 0, anim.to?.x || 0, t);
-          ty = lerp(anim.from?.y || 0, anim.to?.y || 0, t);
-        }
-        if (anim.type === "fade") {
-          alpha *= fadeAlpha(local, dur, anim);
-        }
-      }
+    const layer = tr && tr.scene === sc ? "in" : undefined;
+    activeObjects.push(...sceneObjects(sc, ms, layer));
+  }
+  if (tr && tr.outgoing) {
+    activeObjects.push(...sceneObjects(tr.outgoing, ms, "out"));
+  }
 
-      activeObjects.push({
-        ...base,
-        src: o.src,
-        scale,
-        tx,
-        ty,
-        a: alpha,
-      });
-    }
+  // вставки шаблонов графики — как сцены поверх videoTrack (время — от start вставки)
+  for (const g of project.graphics || []) {
+    if (!g.objects || ms < g.start * 1000 || ms >= g.end * 1000) continue;
+    activeObjects.push(...sceneObjects(g, ms));
   }
 
   for (const ov of project.overlays || []) {
     if (ms < ov.start * 1000 || ms >= ov.end * 1000) continue;
+    const at = anchorOrigin(ov.anchor, ov.x, ov.y, ov.w, ov.h);
     activeObjects.push({
       type: "image",
       src: ov.src,
-      x: ov.x,
-      y: ov.y,
+      x: at.x,
+      y: at.y,
       w: ov.w,
       h: ov.h,
       z: ov.z || 100,
       a: ov.opacity ?? 1,
+      fit: ov.fit,
+      focus: ov.focus,
+      ...transformFields(ov, {}),
     });
   }
 
@@ -430,14 +577,349 @@ function buildActiveObjects(project, ms) {
   return activeObjects;
 }
 
+// Залить canvas фоном проекта; при прозрачном выводе — очистить до прозрачного
+function fillBackground(ctx, project, width, height) {
+  if (project.project.transparent) {
+    ctx.clearRect(0, 0, width, height);
+    return;
+  }
+  ctx.fillStyle = project.project.background || "#000";
+  ctx.fillRect(0, 0, width, height);
+}
+
+// Стиль субтитров проекта (пресет + project.subtitleStyle) в пикселях кадра, вычисляется один раз
+const subtitleStyles = new WeakMap();
+function subtitleStyle(project) {
+  if (!subtitleStyles.has(project)) {
+    const { width, height, safeArea } = project.project;
+    subtitleStyles.set(
+      project,
+      resolveSubtitleStyle(project.subtitleStyle, { width, height, safeArea })
+    );
+  }
+  return subtitleStyles.get(project);
+}
+
+// Слова реплики со временем (karaoke.js), вычисляются один раз на реплику
+const subtitleWordCache = new WeakMap();
+function wordsOf(sub) {
+  if (!subtitleWordCache.has(sub))
+    subtitleWordCache.set(sub, subtitleWords(sub));
+  return subtitleWordCache.get(sub);
+}
+
+// Найти субтитр, активный на времени ms (или undefined)
+function findSubtitle(project, ms) {
+  return (project.subtitles || []).find(
+    (s) => ms / 1000 >= s.start && ms / 1000 < s.end
+  );
+}
+
+/**
+ * Будет ли на кадре ms что-то нарисовано: хотя бы один активный объект с
+ * загруженным ресурсом, текст или прямоугольник (в том числе из шаблонов
+ * графики), новостной заголовок на экране или субтитр. Кадры «без содержимого»
+ * не трогают canvas и оставляют на нём предыдущий кадр (см. renderFrameInternal),
+ * поэтому render.js использует эту проверку, чтобы восстановить состояние canvas
+ * перед рендером диапазона кадров.
+ */
+function frameHasContent(project, ms, activeObjects, sub, res) {
+  if (sub) return true;
+  if ((project.overlays || []).some((ov) => newsTitleActive(ov, ms))) {
+    return true;
+  }
+  return activeObjects.some(
+    (ao) =>
+      ao.type === "text" ||
+      ao.type === "rect" ||
+      (ao.type === "image" &&
+        (res.images.get(ao.src) || res.logos.get(ao.src))) ||
+      (ao.type === "video" && (ao.frames || res.videos.get(ao.src)))
+  );
+}
+
 /**
  * Построить плоский список объектов, которые активны на заданном времени (ms).
  * Возвращаемый формат подходит для рендерера: каждый объект содержит
  * геометрию (x,y,w,h), тип (image|video|text), z-индекс, альфу и трансформации.
  * Пояснение для новичка:
  * - Проект описан как набор сцен (`videoTrack`), каждая сцена имеет start/end в секундах.
- * - Мы вычисляем local = ms - scene.start и применяем анимации по типу (zoom/move/fade).
+ * - Мы вычисляем local = ms - scene.start и применяем анимации (см. animation.js).
+ */
+
+/**
+ * Применить трансформацию объекта к контексту. Рамка объекта (x, y, w, h) задана
+ * в координатах проекта; все преобразования выполняются вокруг точки опоры
+ * (pivot) внутри рамки в порядке: поворот, скос, масштаб (со знаком для flip).
+ * После вызова объект рисуется в своих обычных координатах.
+ */
+function applyTransform(ctx, o, x, y, w, h) {
+  const px = x + w * o.pivotX;
+  const py = y + h * o.pivotY;
+  const rad = Math.PI / 180;
+  ctx.translate(px, py);
+  if (o.rotation) ctx.rotate(o.rotation * rad);
+  if (o.skewX || o.skewY) {
+    ctx.transform(1, Math.tan(o.skewY * rad), Math.tan(o.skewX * rad), 1, 0, 0);
+  }
+  const k = o.scale ?? 1;
+  ctx.scale(
+    k * (o.scaleX ?? 1) * (o.flipX ? -1 : 1),
+    k * (o.scaleY ?? 1) * (o.flipY ? -1 : 1)
+  );
+  ctx.translate(-px, -py);
+}
+
+// Сколько пикселей canvas в одном пикселе проекта при текущей трансформации
+function pixelScale(ctx) {
+  const m = ctx.getTransform();
+  return Math.hypot(m.a, m.b) || 1;
+}
+
+/**
+ * Нарисовать медиа (изображение, кадр или <video> с исходным размером mw x mh)
+ * в рамку объекта с учётом o.fit:
+ * - "fill" (по умолчанию) — растянуть на всю рамку, пропорции не сохраняются;
+ * - "cover" — заполнить рамку с сохранением пропорций, лишнее обрезается;
+ * - "contain" — вписать целиком, свободные поля остаются пустыми или
+ *   заполняются размытой копией того же медиа (o.fitBackground);
+ * - "none" — исходный размер без масштабирования, обрезка по рамке.
+ * o.focus { x, y } (0..1, по умолчанию центр) — какая точка медиа остаётся
+ * в кадре при обрезке и к какому краю прижимается медиа при contain.
+ */
+function drawMedia(ctx, o, media, mw, mh) {
+  const fit = o.fit || "fill";
+  if (o.kenburns && mw > 0 && mh > 0) {
+    // Ken Burns: окно кадрирования исходника растягивается на рамку (fit не действует)
+    const r = kenBurnsView(
+      o.kenburns,
+      mw,
+      mh,
+      o.w,
+      o.h,
+      o.kenburnsProgress ?? 0,
+      o.src
+    );
+    ctx.drawImage(media, r.x, r.y, r.w, r.h, o.x, o.y, o.w, o.h);
+    return;
+  }
+  // пока размер неизвестен (метаданные не загружены) — ведём себя как fill
+  if (fit === "fill" || !(mw > 0 && mh > 0)) {
+    ctx.drawImage(media, o.x, o.y, o.w, o.h);
+    return;
+  }
+  const fx = o.focus?.x ?? 0.5;
+  const fy = o.focus?.y ?? 0.5;
+  const cover = Math.max(o.w / mw, o.h / mh);
+  const k =
+    fit === "cover"
+      ? cover
+      : fit === "contain"
+      ? Math.min(o.w / mw, o.h / mh)
+      : 1;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(o.x, o.y, o.w, o.h);
+  ctx.clip();
+  if (fit === "contain" && o.fitBackground) {
+    drawBlurredBackdrop(ctx, o, media, mw * cover, mh * cover, fx, fy);
+  }
+  const dw = mw * k;
+  const dh = mh * k;
+  ctx.drawImage(media, o.x + (o.w - dw) * fx, o.y + (o.h - dh) * fy, dw, dh);
+  ctx.restore();
+}
+
+/**
+ * Фон для fit: "contain": копия того же медиа в режиме cover (размер dw x dh),
+ * размытая и слегка затемнённая. o.fitBackground — "blur" или
+ * { blur: 40, dim: 0.25 } (радиус размытия в пикселях проекта и затемнение 0..1).
+ * Копия чуть увеличена, чтобы размытие не проявляло прозрачные края рамки.
+ */
+function drawBlurredBackdrop(ctx, o, media, dw, dh, fx, fy) {
+  const opts = typeof o.fitBackground === "object" ? o.fitBackground : {};
+  const blur = opts.blur ?? 40;
+  const dim = opts.dim ?? 0.25;
+  const w = dw * 1.1;
+  const h = dh * 1.1;
+  ctx.save();
+  // размытие фона складывается с собственным blur объекта
+  const own = ctx.filter && ctx.filter !== "none" ? ctx.filter + " " : "";
+  ctx.filter = `${own}blur(${blur * pixelScale(ctx)}px)`;
+  ctx.drawImage(media, o.x + (o.w - w) * fx, o.y + (o.h - h) * fy, w, h);
+  ctx.restore();
+  if (dim > 0) {
+    ctx.fillStyle = `rgba(0,0,0,${dim})`;
+    ctx.fillRect(o.x, o.y, o.w, o.h);
+  }
+}
+
+// Нарисовать один активный объект (image/video/text/rect) с его трансформациями и альфой
+async function drawObject(ctx, o, res, project) {
+  ctx.save();
+  ctx.globalAlpha = o.a ?? 1;
+  if (o.blur > 0) {
+    // filter работает в пикселях canvas, а blur задан в пикселях проекта
+    ctx.filter = `blur(${o.blur * pixelScale(ctx)}px)`;
+  }
+  if (o.type === "image") {
+    const img = res.images.get(o.src) || res.logos.get(o.src);
+    if (img) {
+      applyTransform(ctx, o, o.x, o.y, o.w, o.h);
+      try {
+        drawMedia(ctx, o, img, img.naturalWidth, img.naturalHeight);
+      } catch (e) {
+        if (!QUIET) console.error("[Draw Error] image", o.src, e);
+      }
+    }
+  } else if (o.type === "video" && o.frames) {
+    // точный кадр, заранее извлечённый ffmpeg-ом
+    let frame = null;
+    try {
+      frame = await loadVideoFrame(o.frames, o.localMs);
+    } catch (e) {
+      if (!QUIET) console.error("[Frame Load Error] video", o.src, e);
+    }
+    if (frame) {
+      applyTransform(ctx, o, o.x, o.y, o.w, o.h);
+      try {
+        drawMedia(ctx, o, frame, frame.naturalWidth, frame.naturalHeight);
+      } catch (e) {
+        if (!QUIET) console.error("[Draw Error] video", o.src, e);
+      }
+    }
+  } else if (o.type === "video") {
+    const v = res.videos.get(o.src);
+    if (v) {
+      // compute target by frame index to avoid rounding collisions when using ms
+      const timeSec = Math.max(0, o.localMs / 1000);
+      // реальная частота кадров ролика (ffprobe в render.js), иначе — fps проекта
+      const fps = o.sourceFps || project.project?.fps || 30;
+      const frameIndex = Math.round(timeSec * fps);
+      const target = frameIndex / fps;
+      // если текущее время отличается более чем на полкадра — выполняем seek
+      if (Math.abs((v.currentTime || 0) - target) > 1 / (fps * 2)) {
+        try {
+          await seekVideoAndWait(v, target);
+        } catch (e) {}
+      }
+      applyTransform(ctx, o, o.x, o.y, o.w, o.h);
+      try {
+        drawMedia(ctx, o, v, v.videoWidth, v.videoHeight);
+      } catch (e) {
+        if (!QUIET) console.error("[Draw Error] video", o.src, e);
+      }
+    }
+  } else if (o.type === "text") {
+    const style = o.style || {};
+    const pad = style.pad || 10;
+    const radius = style.radius || 12;
+    const anchor = parseAnchor(o.anchor);
+    // w/h объекта задают рамку текста (с отступами style.pad); без них рамка
+    // подстраивается под текст, а строки переносятся только по "\n"
+    const boxW = o.w > 0 ? o.w : undefined;
+    const boxH = o.h > 0 ? o.h : undefined;
+    const layout = layoutText(ctx, o.text || "", {
+      font: style.font,
+      width: boxW && boxW - pad * 2,
+      height: boxH && boxH - pad * 1.5,
+      wrap: style.wrap,
+      lineHeight: style.lineHeight,
+      letterSpacing: style.letterSpacing,
+      maxLines: style.maxLines,
+      fit: style.fit,
+      minFontSize: style.minFontSize,
+    });
+    const bw = boxW ?? layout.width + pad * 2;
+    const bh = boxH ?? layout.height + pad * 1.5;
+    // без anchor текст стоит, как до появления привязки: x — левый край рамки,
+    // y — середина первой строки
+    const { x, y } = o.anchor
+      ? anchorOrigin(o.anchor, o.x, o.y, bw, bh)
+      : { x: o.x, y: o.y - pad * 0.75 - layout.fontSize / 2 };
+    // рамка текста (она же плашка style.bg) — по ней работает тот же
+    // конвейер трансформаций, что и у изображений и видео
+    applyTransform(ctx, o, x, y, bw, bh);
+    if (style.bg) {
+      roundRect(ctx, x, y, bw, bh, radius);
+      ctx.fillStyle = style.bg;
+      ctx.fill();
+    }
+    const box = {
+      x: x + pad,
+      y: y + pad * 0.75,
+      w: bw - pad * 2,
+      h: bh - pad * 1.5,
+    };
+    const textStyle = {
+      align:
+        style.align ||
+        (anchor.x === 0.5 ? "center" : anchor.x === 1 ? "right" : "left"),
+      verticalAlign: style.verticalAlign,
+      color: o.color || style.color || "#fff",
+      stroke: style.stroke,
+      shadow: style.shadow,
+    };
+    const anim = o.textAnimation;
+    if (anim) {
+      // каждая единица (символ, слово, строка) появляется в своё время
+      const runs = textRuns(
+        ctx,
+        layout,
+        box,
+        textStyle,
+        textAnimationUnit(anim)
+      );
+      const count = runs.length ? runs[runs.length - 1].index + 1 : 0;
+      drawTextRuns(ctx, layout, runs, textStyle, (i) =>
+        textUnitState(
+          anim,
+          i,
+          count,
+          o.localMs / 1000,
+          (name) => resolveEasing(name),
+          layout.lineHeight
+        )
+      );
+    } else {
+      drawTextLayout(ctx, layout, box, textStyle);
+    }
+  } else if (o.type === "rect") {
+    // прямоугольник (плашки шаблонов графики); color из ключевых кадров важнее fill
+    applyTransform(ctx, o, o.x, o.y, o.w, o.h);
+    roundRect(
+      ctx,
+      o.x,
+      o.y,
+      o.w,
+      o.h,
+      Math.min(o.radius || 0, o.w / 2, o.h / 2)
+    );
+    ctx.fillStyle = o.color || o.fill || "#fff";
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+// Offscreen-слои для сцен перехода (переиспользуются между кадрами)
+const transitionLayers = [];
+
+/**
+ * Нарисовать объекты одной сцены в offscreen-слой размером с основной canvas.
+ * Слой заливается фоном проекта (при прозрачном выводе — остаётся прозрачным)
+ * и получает ту же трансформацию масштаба, что и основной контекст.
  */
+async function renderSceneLayer(i, ctx, project, objects, res, width, height) {
+  let layer = transitionLayers[i];
+  if (!layer) layer = transitionLayers[i] = document.createElement("canvas");
+  if (layer.width !== ctx.canvas.width) layer.width = ctx.canvas.width;
+  if (layer.height !== ctx.canvas.height) layer.height = ctx.canvas.height;
+  const lctx = layer.getContext("2d");
+  lctx.setTransform(ctx.getTransform());
+  fillBackground(lctx, project, width, height);
+  for (const o of objects) await drawObject(lctx, o, res, project);
+  return layer;
+}
 
 // Внутренний рендерер, используемый обёрткой renderFrame. Поведение сохранено.
 async function renderFrameInternal(
@@ -449,244 +931,181 @@ async function renderFrameInternal(
   height,
   background
 ) {
-  // Служебный список для активных объектов
-  const activeListDebug = [];
   const activeObjects = buildActiveObjects(project, ms);
+  const sub = findSubtitle(project, ms);
 
-  for (const ao of activeObjects) {
-    const hasRes =
-      (ao.type === "image" &&
-        (res.images.get(ao.src) || res.logos.get(ao.src))) ||
-      (ao.type === "video" && res.videos.get(ao.src));
-    activeListDebug.push({
-      id: ao.id,
-      type: ao.type,
-      src: ao.src,
-      has: !!hasRes,
-    });
-  }
-
-  // Проверяем, есть ли активный субтитр для текущего времени
-  const sub = (project.subtitles || []).find(
-    (s) => ms / 1000 >= s.start && ms / 1000 < s.end
-  );
-
-  const anyHas = activeListDebug.some((a) => a.has);
   // Если нет визуальных ресурсов и нет субтитра, заранее завершаем рендеринг.
   // Это позволяет избежать внезапных чёрных кадров во время переходов
   // (например, когда видео перекладывается на нужное время). Мы сохраняем
   // предыдущий содержимое canvas, если оно есть; очищаем только при первом кадре.
-  if (!anyHas && !sub) {
-    if (!window.__lastRendered) {
-      ctx.fillStyle = background || "#000";
-      ctx.fillRect(0, 0, width, height);
-    }
+  if (!frameHasContent(project, ms, activeObjects, sub, res)) {
+    if (!window.__lastRendered) fillBackground(ctx, project, width, height);
     return;
   }
 
   // Подготавливаем канву к рисованию нового кадра: заливаем фоном, чтобы
   // избежать артефактов от предыдущих кадров. Отмечаем, что уже есть
   // отрисованный кадр, чтобы последующие пустые кадры могли сохранить его.
-  ctx.fillStyle = background || "#000";
-  ctx.fillRect(0, 0, width, height);
+  fillBackground(ctx, project, width, height);
   window.__lastRendered = true;
 
-  // Находим оверлей с новостным заголовком и желаемый z-уровень (по умолчанию 100)
-  const newsOverlay = (project.overlays || []).find(
-    (o) => typeof o.newsTitle === "string"
-  );
-  const newsZ = newsOverlay
-    ? typeof newsOverlay.z === "number"
-      ? newsOverlay.z
-      : 100
-    : null;
-
-  // Рисуем активные объекты и вставляем новостной заголовок, когда встречаем объект с более высоким z
-  let newsDrawn = false;
-  for (const o of activeObjects) {
-    // Если новость ещё не нарисована и текущий объект имеет z больше newsZ — рисуем новость
-    if (newsOverlay && !newsDrawn && (o.z || 0) > (newsZ ?? 0)) {
-      try {
-        drawNewsTitle(ctx, project, ms, width, height);
-      } catch (e) {
-        // Если здесь происходит ошибка — мы ловим её, чтобы рендер не падал.
-        // Для начинающего: всегда оборачивайте потенциально хрупкие вызовы в try/catch
-        // если хотите, чтобы основной процесс продолжил работу при ошибке вспомогательного кода.
-        if (!QUIET) console.warn("drawNewsTitle failed", e);
-      }
-      newsDrawn = true;
-    }
-
-    ctx.save();
-    ctx.globalAlpha = o.a ?? 1;
-    if (o.type === "image") {
-      const img = res.images.get(o.src) || res.logos.get(o.src);
-      if (img) {
-        const cx = o.x + o.w / 2,
-          cy = o.y + o.h / 2;
-        ctx.translate(cx + (o.tx || 0), cy + (o.ty || 0));
-        ctx.scale(o.scale || 1, o.scale || 1);
-        try {
-          ctx.drawImage(img, -o.w / 2, -o.h / 2, o.w, o.h);
-        } catch (e) {
-          if (!QUIET) console.error("[Draw Error] image", o.src, e);
-        }
-      }
-    } else if (o.type === "video") {
-      const v = res.videos.get(o.src);
-      if (v) {
-        const scene = project.videoTrack.find(
-          (sc) => ms >= sc.start * 1000 && ms < sc.end * 1000
-        );
-        const localMs = ms - ((scene && scene.start * 1000) || 0);
-        // compute target by frame index to avoid rounding collisions when using ms
-        const timeSec = Math.max(0, localMs / 1000);
-        const fps = 30; // предполагаем номинальные 30fps; можно сделать динамическим позже
-        const frameIndex = Math.round(timeSec * fps);
-        const target = frameIndex / fps;
-        // если текущее время отличается более чем на полкадра — выполняем seek
-        if (Math.abs((v.currentTime || 0) - target) > 1 / (fps * 2)) {
-          try {
-            await seekVideoAndWait(v, target);
-          } catch (e) {}
-        }
-        const cx = o.x + o.w / 2,
-          cy = o.y + o.h / 2;
-        ctx.translate(cx + (o.tx || 0), cy + (o.ty || 0));
-        ctx.scale(o.scale || 1, o.scale || 1);
-        try {
-          ctx.drawImage(v, -o.w / 2, -o.h / 2, o.w, o.h);
-        } catch (e) {
-          if (!QUIET) console.error("[Draw Error] video", o.src, e);
-        }
-      }
-    } else if (o.type === "text") {
-      const text = o.text || "";
-      const style = o.style || {};
-      const font = style.font || "600 42px YSText";
-      const color = style.color || "#fff";
-      const pad = style.pad || 10;
-      const radius = style.radius || 12;
-      ctx.font = font;
-      ctx.textBaseline = "middle";
-      ctx.textAlign = o.anchor?.startsWith("center") ? "center" : "left";
-      const metrics = ctx.measureText(text);
-      const tw = metrics.width;
-      const th = parseInt(font.match(/(\d+)px/)?.[1] || "42", 10) + pad * 1.5;
-      if (style.bg) {
-        const x = o.anchor?.startsWith("center") ? o.x - (tw / 2 + pad) : o.x;
-        const y = o.anchor?.endsWith("bottom") ? o.y - th : o.y;
-        roundRect(ctx, x, y, tw + pad * 2, th, radius);
-        ctx.fillStyle = style.bg;
-        ctx.fill();
-      }
-      if (style.shadow) {
-        ctx.shadowColor = "rgba(0,0,0,0.6)";
-        ctx.shadowBlur = 6;
-        ctx.shadowOffsetY = 2;
-      }
-      ctx.fillStyle = color;
-      const ty = o.anchor?.endsWith("bottom") ? o.y - th / 2 : o.y;
-      ctx.fillText(text, o.anchor?.startsWith("center") ? o.x : o.x + pad, ty);
-    }
-    ctx.restore();
+  // Оверлеи с новостным заголовком по возрастанию z-уровня (по умолчанию 100)
+  const newsOverlays = (project.overlays || [])
+    .filter((o) => o.newsTitle)
+    .sort((a, b) => newsZ(a) - newsZ(b));
+
+  // Переход между сценами: каждая сцена рисуется в свой слой, слои смешиваются
+  // на основной canvas, а оверлеи, новостной заголовок и субтитры рисуются поверх
+  const tr = activeTransition(project, ms);
+  let drawList = activeObjects;
+  if (tr) {
+    const outLayer = await renderSceneLayer(
+      0,
+      ctx,
+      project,
+      activeObjects.filter((o) => o.layer === "out"),
+      res,
+      width,
+      height
+    );
+    const inLayer = await renderSceneLayer(
+      1,
+      ctx,
+      project,
+      activeObjects.filter((o) => o.layer === "in"),
+      res,
+      width,
+      height
+    );
+    composeTransition(ctx, outLayer, inLayer, width, height, {
+      ...tr,
+      transparent: !!project.project.transparent,
+    });
+    drawList = activeObjects.filter((o) => !o.layer);
   }
 
-  // Если новостной оверлей ещё не отрисован (например, у него z выше всех объектов), рисуем его здесь
-  if (newsOverlay && !newsDrawn) {
+  // Рисуем заголовок ov; ошибка в нём не должна ронять рендер всего кадра
+  const drawNews = (ov) => {
     try {
-      drawNewsTitle(ctx, project, ms, width, height);
+      drawNewsTitle(ctx, ov, ms, width, height, project.project.safeArea);
     } catch (e) {
+      // Если здесь происходит ошибка — мы ловим её, чтобы рендер не падал.
+      // Для начинающего: всегда оборачивайте потенциально хрупкие вызовы в try/catch
+      // если хотите, чтобы основной процесс продолжил работу при ошибке вспомогательного кода.
       if (!QUIET) console.warn("drawNewsTitle failed", e);
     }
+  };
+
+  // Рисуем активные объекты и вставляем новостные заголовки, когда встречаем объект с более высоким z
+  let newsDrawn = 0;
+  for (const o of drawList) {
+    while (
+      newsDrawn < newsOverlays.length &&
+      (o.z || 0) > newsZ(newsOverlays[newsDrawn])
+    ) {
+      drawNews(newsOverlays[newsDrawn++]);
+    }
+
+    await drawObject(ctx, o, res, project);
   }
 
+  // Заголовки, которые ещё не отрисованы (например, у них z выше всех объектов), рисуем здесь
+  newsOverlays.slice(newsDrawn).forEach(drawNews);
+
   // В конце рисуем субтитры поверх всего
-  if (sub) drawSubtitle(ctx, width, height, sub.text);
+  if (sub)
+    drawSubtitle(ctx, width, height, sub, subtitleStyle(project), ms / 1000);
 }
 
-// Рисует новостной заголовок с анимацией по таймлайну, описанному в требованиях проекта.
-function drawNewsTitle(ctx, project, ms, W, H) {
-  if (!project || !Array.isArray(project.overlays)) return;
-  const ov = project.overlays.find((o) => typeof o.newsTitle === "string");
-  if (!ov || !ov.newsTitle) return;
-
-  // Временные параметры анимации (в мс)
-  // значения по умолчанию согласно спецификации
-  const DEF = {
-    grow: 300,
-    delay: 100,
-    textFade: 200,
-    hold: 4000,
-    textOut: 200,
-    collapse: 300,
-  };
-  const defaultTotal =
-    DEF.grow + DEF.delay + DEF.textFade + DEF.hold + DEF.textOut + DEF.collapse;
-
-  // Поля start/end в оверлее заданы в секундах (project.json).
-  // start — начало анимации; end — момент, к которому должна завершиться исчезающая часть.
-  // Если end не указан — используем start + defaultTotal.
-  const startMs =
-    typeof ov.start === "number" ? Math.round(ov.start * 1000) : 1000;
-  const endMs =
-    typeof ov.end === "number"
-      ? Math.round(ov.end * 1000)
-      : startMs + defaultTotal;
-
-  // clamp endMs >= startMs + minimal (1ms)
-  const available = Math.max(1, endMs - startMs);
-
-  // если доступное время меньше чем defaultTotal — масштабируем длительности пропорционально
-  const scale = available < defaultTotal ? available / defaultTotal : 1;
-  // compute scaled durations and ensure they sum to available (adjust last)
-  const growDur = Math.max(1, Math.round(DEF.grow * scale));
-  const textDelay = Math.max(0, Math.round(DEF.delay * scale));
-  const textDur = Math.max(1, Math.round(DEF.textFade * scale));
-  const holdAfterText = Math.max(0, Math.round(DEF.hold * scale));
-  const textOutDur = Math.max(1, Math.round(DEF.textOut * scale));
-  // collapse will be adjusted to fill remainder
-  let collapseDur = Math.max(1, Math.round(DEF.collapse * scale));
-
-  // ensure total sums to available (fix rounding drift)
-  const sumSoFar =
-    growDur + textDelay + textDur + holdAfterText + textOutDur + collapseDur;
-  if (sumSoFar !== available) {
-    collapseDur += available - sumSoFar;
-    if (collapseDur < 1) collapseDur = 1;
-  }
+// z-уровень новостного заголовка (по умолчанию 100)
+function newsZ(ov) {
+  return typeof ov.z === "number" ? ov.z : 100;
+}
+
+// Виден ли новостной заголовок оверлея ov на времени ms
+function newsTitleActive(ov, ms) {
+  const news = resolveNewsTitle(ov);
+  if (!news) return false;
+  const tl = newsTitleTimeline(ov, news.timing);
+  return ms >= tl.startMs && ms - tl.startMs <= tl.total;
+}
+
+/**
+ * Рисует новостной заголовок оверлея ov на времени ms (см. news-title.js):
+ * полоса вырастает вверх от нижнего края, текст проявляется, держится, гаснет,
+ * и полоса сворачивается. projectSafeArea — project.safeArea (для safeArea: true).
+ */
+function drawNewsTitle(ctx, ov, ms, W, H, projectSafeArea) {
+  const news = resolveNewsTitle(ov);
+  if (!news) return;
+  const tl = newsTitleTimeline(ov, news.timing);
+  const local = ms - tl.startMs;
+  if (local < 0 || local > tl.total) return;
+
+  const { style } = news;
+  const g = newsTitleGeometry(style, W, H, projectSafeArea);
+  const textW = g.width - g.paddingX * 2;
+  const font = (size, weight) =>
+    `${weight} ${size * g.k}px ${style.fontFamily}`;
+
+  // Вёрстка текста сверху вниз: kicker, заголовок, subtitle (через gap);
+  // число строк заголовка ограничено высотой развёрнутого баннера
+  ctx.save();
+  const kicker = news.kicker
+    ? layoutText(ctx, news.kicker, {
+        font: font(style.kickerFontSize, style.kickerFontWeight),
+        width: textW,
+        lineHeight: style.lineHeight,
+        maxLines: 1,
+      })
+    : null;
+  const subtitle = news.subtitle
+    ? layoutText(ctx, news.subtitle, {
+        font: font(style.subtitleFontSize, style.subtitleFontWeight),
+        width: textW,
+        lineHeight: style.lineHeight,
+        maxLines: 2,
+      })
+    : null;
+  const extra =
+    (kicker ? kicker.height + g.gap : 0) +
+    (subtitle ? subtitle.height + g.gap : 0);
+  const titleLineH = style.fontSize * g.k * style.lineHeight;
+  const title = layoutText(ctx, news.text, {
+    font: font(style.fontSize, style.fontWeight),
+    width: textW,
+    lineHeight: style.lineHeight,
+    maxLines:
+      g.expandedHeight === "auto"
+        ? undefined
+        : Math.max(
+            1,
+            Math.floor((g.expandedHeight - g.paddingTop - extra) / titleLineH)
+          ),
+  });
+  ctx.restore();
 
-  // Относительные тайминги (в миллисекундах) относительно startMs
-  const textStartRel = growDur + textDelay;
-  const textVisibleAtRel = textStartRel + textDur;
-  const disappearStartRel = textVisibleAtRel + holdAfterText;
-  const textOutStartRel = disappearStartRel;
-  const barCollapseStartRel = textOutStartRel + textOutDur;
-  const totalDurationRel = barCollapseStartRel + collapseDur;
-
-  const local = ms - startMs;
-  if (local < 0 || local > totalDurationRel) return;
-
-  // Геометрия полосы (баннера)
-  const barW = 804;
-  const barInitH = 146;
-  const barFinalH = 473;
-  const radius = 73;
-  // Низ полосы фиксирован; входные координаты ориентированы на верх в свернутом состоянии
-  const initTop = 1396; // начальная координата top
-  const barBottom = initTop + barInitH; // фиксированная координата bottom
+  // Геометрия полосы (баннера): низ фиксирован, высота растёт вверх
+  const barInitH = g.height;
+  const barFinalH =
+    g.expandedHeight === "auto"
+      ? Math.max(
+          barInitH,
+          g.paddingTop + extra + title.height + g.paddingBottom
+        )
+      : g.expandedHeight;
 
   // Вычисляем текущую высоту полосы и её прозрачность (alpha)
   let barH = barInitH;
   let barAlpha = 0;
-  if (local <= growDur) {
-    const t = Easings.easeOut(Math.min(1, local / growDur));
+  if (local <= tl.grow) {
+    const t = EASINGS.easeOut(Math.min(1, local / tl.grow));
     barH = lerp(barInitH, barFinalH, t);
     barAlpha = t;
-  } else if (local >= barCollapseStartRel) {
+  } else if (local >= tl.collapseStart) {
     // collapsing
-    const t2 = Math.min(1, (local - barCollapseStartRel) / collapseDur);
-    const t = 1 - Easings.easeOut(t2); // reverse easing
+    const t2 = Math.min(1, (local - tl.collapseStart) / tl.collapse);
+    const t = 1 - EASINGS.easeOut(t2); // reverse easing
     barH = lerp(barInitH, barFinalH, t);
     barAlpha = Math.max(0, 1 - t2);
   } else {
@@ -695,81 +1114,60 @@ function drawNewsTitle(ctx, project, ms, W, H) {
     barAlpha = 1;
   }
 
-  const barX = Math.round((W - barW) / 2);
-  const barY = Math.round(barBottom - barH);
+  const barX = Math.round(g.x);
+  const barY = Math.round(g.bottom - barH);
 
   // Рисуем полосу с рассчитанной прозрачностью
   ctx.save();
   ctx.globalAlpha = barAlpha;
-  roundRect(ctx, barX, barY, barW, Math.max(1, Math.round(barH)), radius);
-  ctx.fillStyle = "#F8604A";
+  roundRect(
+    ctx,
+    barX,
+    barY,
+    Math.round(g.width),
+    Math.max(1, Math.round(barH)),
+    g.radius
+  );
+  ctx.fillStyle = style.color;
   ctx.fill();
   ctx.restore();
 
   // Плавность появления/исчезновения текста (fade in/out)
   let textAlpha = 0;
-  if (local < textStartRel) {
+  if (local < tl.textStart) {
     textAlpha = 0;
-  } else if (local >= textStartRel && local <= textStartRel + textDur) {
-    const t = Math.min(1, (local - textStartRel) / textDur);
-    textAlpha = Easings.easeInOut(t);
-  } else if (local > textStartRel + textDur && local < textOutStartRel) {
+  } else if (local <= tl.textStart + tl.textFade) {
+    const t = Math.min(1, (local - tl.textStart) / tl.textFade);
+    textAlpha = EASINGS.easeInOut(t);
+  } else if (local < tl.textOutStart) {
     textAlpha = 1;
-  } else if (
-    local >= textOutStartRel &&
-    local <= textOutStartRel + textOutDur
-  ) {
-    const t = Math.min(1, (local - textOutStartRel) / textOutDur);
-    textAlpha = 1 - Easings.easeInOut(t);
-  } else if (local > textOutStartRel + textOutDur) {
-    textAlpha = 0;
+  } else if (local <= tl.textOutStart + tl.textOut) {
+    const t = Math.min(1, (local - tl.textOutStart) / tl.textOut);
+    textAlpha = 1 - EASINGS.easeInOut(t);
   }
 
   if (textAlpha <= 0) return;
 
-  // Рисуем блок с текстом (заголовком)
-  const text = ov.newsTitle;
-  const fontSize = 70;
-  const lineHeight = Math.round(fontSize * 1.1); // 77
-  const textW = 704;
-  // Центрируем контейнер текста по горизонтали, но внутри оставляем текст выровненным по левому краю
-  const containerX = Math.round((W - textW) / 2);
-  const textX = containerX; // начало рисования текста, выровненного по левому краю
-  const textTopOffset = 50; // отступ сверху внутри полосы (в пикселях)
-  const textY = barY + textTopOffset;
-
+  // Рисуем блок с текстом: выровнен по левому краю, с отступами внутри полосы
+  const textX = Math.round(barX + g.paddingX);
+  let textY = barY + g.paddingTop;
   ctx.save();
   ctx.globalAlpha = textAlpha;
-  ctx.fillStyle = "#ffffff";
-  ctx.font = `400 ${fontSize}px YSText, system-ui`;
-  ctx.textBaseline = "top";
-  ctx.textAlign = "left";
-
-  // Простая развертка слов на строки так, чтобы они помещались в ширину textW
-  const words = String(text).split(/\s+/);
-  const lines = [];
-  let cur = "";
-  for (const w of words) {
-    const candidate = cur ? cur + " " + w : w;
-    const m = ctx.measureText(candidate).width;
-    if (m <= textW || !cur) {
-      cur = candidate;
-    } else {
-      lines.push(cur);
-      cur = w;
-    }
-  }
-  if (cur) lines.push(cur);
-
-  // Ограничиваем число строк, чтобы не выйти за пределы баннера
-  const maxLines = Math.floor((barFinalH - textTopOffset) / lineHeight);
-  const drawLines = lines.slice(0, Math.max(1, maxLines));
-
-  for (let i = 0; i < drawLines.length; i++) {
-    const ly = textY + i * lineHeight;
-    ctx.fillText(drawLines[i], textX, ly);
+  const lines = [
+    [kicker, style.kickerColor],
+    [title, style.textColor],
+    [subtitle, style.subtitleColor],
+  ];
+  for (const [layout, color] of lines) {
+    if (!layout) continue;
+    drawTextLayout(
+      ctx,
+      layout,
+      { x: textX, y: textY, w: textW },
+      { align: "left", color }
+    );
+    textY += layout.height + g.gap;
   }
-
   ctx.restore();
 }
 
@@ -782,12 +1180,26 @@ function drawNewsTitle(ctx, project, ms, W, H) {
 
 // Инициализация рендера: настроить canvas, загрузить ресурсы и экспонировать API, используемое Puppeteer.
 async function init() {
-  const project = window.__PROJECT__;
+  // проценты, безопасные зоны и привязки — в пиксели кадра проекта (layout.js)
+  const project = layoutProject(window.__PROJECT__);
   const { width, height, background } = project.project;
   const canvas = document.getElementById("c");
-  canvas.width = width;
-  canvas.height = height;
-  const ctx = canvas.getContext("2d", { alpha: false });
+  // Размер canvas может отличаться от размера проекта (черновой рендер, --scale):
+  // тогда вся отрисовка идёт в координатах проекта через масштабирующую трансформацию.
+  canvas.width = project.project.renderWidth || width;
+  canvas.height = project.project.renderHeight || height;
+  // Прозрачный фон (вывод с альфа-каналом, например ProRes 4444): canvas с альфой,
+  // а странице и canvas убираем собственные фоны из page.html
+  const transparent = !!project.project.transparent;
+  if (transparent) {
+    document.documentElement.style.background = "transparent";
+    document.body.style.background = "transparent";
+    canvas.style.background = "transparent";
+  }
+  const ctx = canvas.getContext("2d", { alpha: transparent });
+  const applyRenderScale = () =>
+    ctx.setTransform(canvas.width / width, 0, 0, canvas.height / height, 0, 0);
+  applyRenderScale();
 
   const res = await loadResources(project);
 
@@ -891,6 +1303,7 @@ async function init() {
   // экспонируем API для Puppeteer — сохраняем интерфейс: renderFrame(ms) и getPNG()
   window.__renderer = {
     async renderFrame(ms) {
+      applyRenderScale();
       await renderFrameInternal(
         ctx,
         project,
@@ -904,6 +1317,23 @@ async function init() {
     getPNG() {
       return document.getElementById("c").toDataURL("image/png");
     },
+    // есть ли на кадре ms что рисовать (см. frameHasContent)
+    hasContent(ms) {
+      return frameHasContent(
+        project,
+        ms,
+        buildActiveObjects(project, ms),
+        findSubtitle(project, ms),
+        res
+      );
+    },
+    // сбросить canvas в начальное состояние (как перед самым первым кадром),
+    // например после прогревочных кадров
+    reset() {
+      window.__lastRendered = false;
+      applyRenderScale();
+      fillBackground(ctx, project, width, height);
+    },
     // экспонируем контроллер аудио для Puppeteer — удобно для тестов или ручного управления
     audioController,
   };
@@ -914,6 +1344,7 @@ async function init() {
         images: Array.from(res.images.keys()),
         logos: Array.from(res.logos.keys()),
         videos: Array.from(res.videos.keys()),
+        frames: Array.from(res.frames.keys()),
       };
     };
   } catch (e) {
@@ -931,38 +1362,163 @@ function roundRect(ctx, x, y, w, h, r) {
   ctx.closePath();
 }
 
-function drawSubtitle(ctx, W, H, text) {
-  const pad = 14,
-    radius = 69,
-    font = "54px YSText, system-ui";
+/**
+ * Нарисовать реплику sub стилем style (см. subtitle-style.js) на времени t (сек):
+ * текст переносится по словам в ширину плашки, плашка растёт по высоте вместе
+ * с ним. Под плашкой — размытый фон кадра (style.blur) и заливка
+ * style.background. Если у реплики есть words или включён style.karaoke,
+ * текущее слово подсвечивается (см. karaoke.js).
+ */
+function drawSubtitle(ctx, W, H, sub, style, t) {
+  const karaoke =
+    style.karaoke || sub.words?.length ? resolveKaraoke(style.karaoke) : null;
+  let text = sub.text;
+  let words = null;
+  let win = null;
+  if (karaoke) {
+    words = wordsOf(sub);
+    win = wordWindow(words.length, activeWord(words, t), karaoke.window);
+    // видимые слова; переносы строк исходного текста сохраняются
+    text = words
+      .slice(win.first, win.last)
+      .map((w, i, all) =>
+        i === all.length - 1 ? w.text : w.text + (w.br ? "\n" : " ")
+      )
+      .join("");
+  }
+
   ctx.save();
-  ctx.font = font;
-  ctx.textBaseline = "middle";
-  ctx.textAlign = "center";
-  const tw = ctx.measureText(text).width;
-  const bw = 796,
-    bh = 138;
-  const x = (W - bw) / 2,
-    y = 1400;
+  const layout = layoutText(ctx, text, {
+    font: subtitleFont(style),
+    width: subtitleTextWidth(style, W),
+    lineHeight: style.lineHeight,
+    letterSpacing: style.letterSpacing,
+    maxLines: style.maxLines,
+  });
+  const box = subtitleBox(style, layout.width, layout.height, W, H);
+  const { x, y, w: bw, h: bh, radius } = box;
 
-  // Простая логика размытия: если доступен нативный ctx.filter — используем его, иначе — fallback через заливку.
-  const blurPx = 64; // поменяйте при необходимости
+  if (style.blur > 0)
+    drawSubtitleBackdrop(ctx, x, y, bw, bh, radius, style.blur);
+
+  // tint + текст
+  if (style.background) {
+    ctx.save();
+    roundRect(ctx, x, y, bw, bh, radius);
+    ctx.fillStyle = style.background;
+    ctx.fill();
+    ctx.restore();
+  }
+
+  const inner = {
+    x: x + style.paddingX,
+    y: y + style.paddingY,
+    w: bw - style.paddingX * 2,
+    h: bh - style.paddingY * 2,
+  };
+  const textStyle = {
+    align: style.align,
+    verticalAlign: "middle",
+    color: style.color,
+    stroke: style.stroke,
+    shadow: style.shadow,
+  };
+  if (karaoke) {
+    drawKaraokeText(ctx, layout, inner, textStyle, words, win, karaoke, t);
+  } else {
+    drawTextLayout(ctx, layout, inner, textStyle);
+  }
+  ctx.restore();
+}
+
+/**
+ * Текст реплики с подсветкой текущего слова: цвет karaoke.color, плашка
+ * karaoke.background за словом и увеличение karaoke.scale.
+ * words — слова реплики со временем, win — видимое окно { first, last }.
+ */
+function drawKaraokeText(ctx, layout, box, style, words, win, karaoke, t) {
+  ctx.save();
+  ctx.font = layout.font;
+  if ("letterSpacing" in ctx) ctx.letterSpacing = `${layout.letterSpacing}px`;
+  const runs = textRuns(ctx, layout, box, style, "word");
+  ctx.restore();
+
+  // слово текста (run.word, см. textRuns) -> номер слова реплики (слово из
+  // words может содержать пробелы, а слово, перенесённое по буквам, даёт
+  // несколько фрагментов с одним run.word)
+  const wordOf = [];
+  for (let i = win.first; i < win.last; i++) {
+    const tokens = words[i].text.split(/\s+/).filter(Boolean);
+    tokens.forEach(() => wordOf.push(i));
+  }
+  const active = activeWord(words, t);
+  if (active < 0) {
+    drawTextRuns(ctx, layout, runs, style);
+    return;
+  }
+  const scale = wordScale(
+    karaoke,
+    words[active],
+    t,
+    resolveEasing("easeOutBack")
+  );
+
+  if (karaoke.background) {
+    // плашка за словом — по одной на строку, если слово перенеслось
+    const spans = new Map();
+    for (const r of runs) {
+      if (wordOf[r.word] !== active) continue;
+      const s = spans.get(r.line);
+      spans.set(r.line, {
+        x0: Math.min(s ? s.x0 : r.x, r.x),
+        x1: Math.max(s ? s.x1 : 0, r.x + r.width),
+        y: r.y,
+      });
+    }
+    ctx.save();
+    ctx.fillStyle = karaoke.background;
+    for (const { x0, x1, y } of spans.values()) {
+      const w = (x1 - x0 + karaoke.paddingX * 2) * scale;
+      const h = (layout.fontSize + karaoke.paddingY * 2) * scale;
+      roundRect(
+        ctx,
+        (x0 + x1) / 2 - w / 2,
+        y - h / 2,
+        w,
+        h,
+        Math.min(karaoke.radius * scale, h / 2)
+      );
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  drawTextRuns(ctx, layout, runs, style, (i, r) =>
+    wordOf[r.word] === active ? { color: karaoke.color, scale } : null
+  );
+}
 
+// Размытый фон кадра под плашкой субтитра (blurPx — в пикселях проекта)
+function drawSubtitleBackdrop(ctx, x, y, bw, bh, radius, blurPx) {
+  // Простая логика размытия: если доступен нативный ctx.filter — используем его, иначе — fallback через заливку.
   try {
     const off = document.createElement("canvas");
     // ограничиваем значение размытия в безопасном диапазоне
     const safe = Math.max(0, Math.min(80, Math.round(blurPx)));
+    // Размытие работает с пикселями canvas, а координаты бокса заданы в пикселях
+    // проекта; при уменьшенном рендере (--scale) пересчитываем их через коэффициент k.
+    const k = ctx.getTransform().a || 1;
     // добавочный отступ вокруг области, чтобы учесть распространение размытия (при необходимости настройте множитель)
-    const pad = Math.ceil(safe * 2);
-    off.width = Math.max(1, Math.floor(bw + pad * 2));
-    off.height = Math.max(1, Math.floor(bh + pad * 2));
+    const pad = Math.ceil(safe * 2 * k);
+    off.width = Math.max(1, Math.floor(bw * k + pad * 2));
+    off.height = Math.max(1, Math.floor(bh * k + pad * 2));
     const oc = off.getContext("2d");
 
     if (oc && typeof oc.filter !== "undefined") {
-      oc.filter = `blur(${safe}px)`;
+      oc.filter = `blur(${safe * k}px)`;
       // координаты источника: стараемся начать с x-pad, но ограничиваем в границах canvas
-      const sx = Math.max(0, Math.floor(x - pad));
-      const sy = Math.max(0, Math.floor(y - pad));
+      const sx = Math.max(0, Math.floor(x * k - pad));
+      const sy = Math.max(0, Math.floor(y * k - pad));
       const sw = Math.max(0, Math.min(ctx.canvas.width - sx, off.width));
       const sh = Math.max(0, Math.min(ctx.canvas.height - sy, off.height));
       // отрисовываем расширенную область в offscreen и применяем размытие
@@ -974,8 +1530,10 @@ function drawSubtitle(ctx, W, H, text) {
       ctx.save();
       roundRect(ctx, x, y, bw, bh, radius);
       ctx.clip();
-      // размещаем размытый offscreen таким образом, чтобы его (pad,pad) совпадал с (x,y)
-      ctx.drawImage(off, Math.floor(x - pad), Math.floor(y - pad));
+      // offscreen уже в пикселях canvas: рисуем без трансформации ровно туда,
+      // откуда была взята исходная область (его (pad,pad) совпадает с (x,y))
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.drawImage(off, sx, sy);
       ctx.restore();
     } else {
       // лёгкий и надёжный fallback — полупрозрачная заливка
@@ -990,17 +1548,6 @@ function drawSubtitle(ctx, W, H, text) {
     roundRect(ctx, x, y, bw, bh, radius);
     ctx.fill();
   }
-
-  // tint + текст (как было)
-  ctx.save();
-  roundRect(ctx, x, y, bw, bh, radius);
-  ctx.fillStyle = "rgba(0,0,0,0.35)";
-  ctx.fill();
-  ctx.restore();
-
-  ctx.fillStyle = "#fff";
-  ctx.fillText(text, W / 2, y + bh / 2);
-  ctx.restore();
 }
 
 // Примечание: здесь нет локальной заглушки проекта. Puppeteer должен вставить `window.__PROJECT__`.
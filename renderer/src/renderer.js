@@ -0,0 +1,1014 @@
+// renderer.js
+// ==================
+// Файл: renderer.js
+// Назначение: рендер одного проекта в видео или кадр — общая часть render.js и batch.js.
+// Описание: renderProject проверяет проект (схема, субтитры, шаблоны графики,
+// lint), скачивает внешние ассеты в кэш, извлекает кадры видео, рендерит кадры
+// на страницах Chromium и кодирует их ffmpeg-ом. Chromium и статический сервер
+// корня рендерера живут в сессии (createRenderSession) и запускаются при первом
+// рендере, поэтому несколько проектов подряд (пакетный рендер) используют один
+// браузер и один кэш ассетов. Варианты проекта (project.variants) рендерятся
+// за один вызов renderProject: подготовка проекта, ассеты, кадры видео и свод
+// аудио у них общие. Ошибки проекта бросаются как ProjectError с уже
+// отформатированным сообщением — вызывающий решает, завершать ли процесс.
+// Экспортирует: ProjectError, addRenderOptions, createProjectAssetCache,
+// createRenderSession, renderProject
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import puppeteer from "puppeteer";
+import http from "http";
+import {
+  buildAudioMixArgs,
+  buildEncodeArgs,
+  buildSegmentArgs,
+  concatVideoInput,
+  createFFmpegSink,
+  execFFmpeg,
+  framesVideoInput,
+  pipeVideoInput,
+} from "./ffmpeg.js";
+import { extractVideoFrames } from "./video-frames.js";
+import {
+  collectAssetUrls,
+  createAssetCache,
+  rewriteAssetUrls,
+} from "./assets.js";
+import {
+  audioArgs,
+  CODECS,
+  OUTPUT_PROFILES,
+  OutputError,
+  resolveOutput,
+  segmentFormat,
+} from "./output.js";
+import { formatValidationErrors, validateProject } from "./validate.js";
+import { formatLintIssues, lintProject } from "./lint.js";
+import { loadSubtitles, SubtitleError } from "./subtitles.js";
+import { expandGraphics, TemplateError } from "./templates.js";
+import {
+  applyVariant,
+  checkVariants,
+  selectVariants,
+  VariantError,
+  variantOutPath,
+} from "./variants.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, "..");
+
+// Установите QUIET в true, чтобы уменьшить вывод в консоль при пакетном рендере
+const QUIET = true;
+
+/**
+ * Ошибка проекта (схема, субтитры, шаблоны, lint с --strict, окно рендера):
+ * message уже отформатирован для терминала, стек печатать не нужно.
+ */
+export class ProjectError extends Error {}
+
+/**
+ * Добавить в program (commander) общие опции рендера: размер, fps, масштаб,
+ * окно времени, кодирование, воркеры, кэш ассетов, --strict, --variants.
+ * Опции входа и выхода (--in, --out, ...) каждая утилита задаёт сама.
+ */
+export function addRenderOptions(program) {
+  return program
+    .option("--fps <n>", "frames per second")
+    .option("--w <n>", "width")
+    .option("--h <n>", "height")
+    .option("--scale <f>", "render the whole composition scaled by <f>")
+    .option(
+      "--draft",
+      "quick preview: --scale 0.5, at most 15 fps, fastest encoder settings"
+    )
+    .option("--warm <n>", "warm-up frames to render (skip saving)")
+    .option(
+      "--video-decode <mode>",
+      "how video objects are decoded: ffmpeg (exact frames) or element",
+      "ffmpeg"
+    )
+    .option("--from <sec>", "render only the time window starting at <sec>")
+    .option("--to <sec>", "render only the time window ending at <sec>")
+    .option(
+      "--profile <name>",
+      "named output profile: " + Object.keys(OUTPUT_PROFILES).join(", ")
+    )
+    .option("--codec <name>", "video codec: " + Object.keys(CODECS).join(", "))
+    .option("--crf <n>", "constant quality (lower is better)")
+    .option("--bitrate <rate>", "video bitrate instead of crf, e.g. 8M")
+    .option("--preset <name>", "encoder speed preset")
+    .option("--pix-fmt <fmt>", "output pixel format")
+    .option("--audio-bitrate <rate>", "audio bitrate, e.g. 192k")
+    .option("--container <ext>", "container: mp4, mov, webm, mkv, gif")
+    .option("--alpha", "keep transparency (prores, vp9)")
+    .option("--workers <n>", "render frame ranges in N parallel pages")
+    .option(
+      "--disk-frames",
+      "write PNG frames to <out dir>/frames and encode afterwards (debug)"
+    )
+    .option("--offline", "use only cached assets, fail if something is missing")
+    .option("--fetch-concurrency <n>", "parallel asset downloads (default 4)")
+    .option("--strict", "treat timeline lint warnings as errors")
+    .option(
+      "--variants <ids>",
+      "render only these project variants, e.g. square,landscape"
+    );
+}
+
+/**
+ * Кэш внешних ассетов проекта projectPath: папка assets/cache рядом с
+ * project.json, раздаётся сервером сессии как /assets/cache.
+ */
+export function createProjectAssetCache(projectPath, opts) {
+  return createAssetCache({
+    dir: path.resolve(path.dirname(projectPath), "assets", "cache"),
+    urlPrefix: "/assets/cache",
+    concurrency: parseInt(opts.fetchConcurrency || "4", 10) || 4,
+    offline: !!opts.offline,
+  });
+}
+
+// Небольшой статический сервер, раздающий корень рендерера, чтобы ES-модули загружались по HTTP
+function createStaticServer(root) {
+  return http.createServer((req, res) => {
+    try {
+      const urlPath = decodeURIComponent(
+        new URL(req.url, `http://localhost`).pathname
+      );
+      // по умолчанию возвращаем /src/page.html при запросе /
+      const relPath = urlPath === "/" ? "/src/page.html" : urlPath;
+      const filePath = path.join(root, relPath);
+      if (!filePath.startsWith(root)) {
+        res.writeHead(403);
+        res.end("Forbidden");
+        return;
+      }
+      fs.stat(filePath, (err, st) => {
+        if (err || !st.isFile()) {
+          res.writeHead(404);
+          res.end("Not found");
+          return;
+        }
+        const ext = path.extname(filePath).toLowerCase();
+        const types = {
+          ".html": "text/html; charset=utf-8",
+          ".js": "text/javascript; charset=utf-8",
+          ".css": "text/css; charset=utf-8",
+          ".png": "image/png",
+          ".jpg": "image/jpeg",
+          ".jpeg": "image/jpeg",
+          ".mp4": "video/mp4",
+          ".mp3": "audio/mpeg",
+          ".json": "application/json",
+        };
+        let ct = types[ext] || "application/octet-stream";
+        // если файл без расширения или тип неизвестен, пытаемся определить по сигнатуре (magic bytes)
+        if (!ext || ct === "application/octet-stream") {
+          try {
+            const h = fs.openSync(filePath, "r");
+            const buf = Buffer.alloc(16);
+            fs.readSync(h, buf, 0, 16, 0);
+            fs.closeSync(h);
+            // PNG
+            if (
+              buf[0] === 0x89 &&
+              buf[1] === 0x50 &&
+              buf[2] === 0x4e &&
+              buf[3] === 0x47
+            )
+              ct = "image/png";
+            // JPG
+            else if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff)
+              ct = "image/jpeg";
+            // GIF
+            else if (buf[0] === 0x47 && buf[1] === 0x49 && buf[2] === 0x46)
+              ct = "image/gif";
+            // MP4/ISOBMFF
+            else if (buf.slice(4, 8).toString() === "ftyp") ct = "video/mp4";
+            // WEBM (EBML)
+            else if (
+              buf[0] === 0x1a &&
+              buf[1] === 0x45 &&
+              buf[2] === 0xdf &&
+              buf[3] === 0xa3
+            )
+              ct = "video/webm";
+            // MP3 (ID3)
+            else if (buf.slice(0, 3).toString() === "ID3") ct = "audio/mpeg";
+            // OGG
+            else if (buf.slice(0, 4).toString() === "OggS")
+              ct = "application/ogg";
+            // SVG (starts with '<')
+            else if (buf[0] === 0x3c) ct = "image/svg+xml";
+          } catch (e) {
+            // игнорировать ошибки определения типа по сигнатуре
+          }
+        }
+
+        // Поддержка Range-запросов для медиафайлов (важно для перемотки видео)
+        const range = req.headers && req.headers.range;
+        if (range && /bytes=\d*-\d*/.test(range)) {
+          const total = st.size;
+          const parts = range.replace(/bytes=/, "").split("-");
+          const start = parts[0] ? parseInt(parts[0], 10) : 0;
+          const end =
+            parts[1] && parts[1].length ? parseInt(parts[1], 10) : total - 1;
+          const chunkEnd = Math.min(end, total - 1);
+          const chunkSize = chunkEnd - start + 1;
+          res.writeHead(206, {
+            "Content-Range": `bytes ${start}-${chunkEnd}/${total}`,
+            "Accept-Ranges": "bytes",
+            "Content-Length": chunkSize,
+            "Content-Type": ct,
+            "Access-Control-Allow-Origin": "*",
+          });
+          const stream = fs.createReadStream(filePath, {
+            start,
+            end: chunkEnd,
+          });
+          stream.on("error", () => {
+            try {
+              res.end();
+            } catch (e) {}
+          });
+          stream.pipe(res);
+          return;
+        }
+
+        // По умолчанию: отправляем полный файл
+        res.writeHead(200, {
+          "Content-Type": ct,
+          "Content-Length": st.size,
+          "Access-Control-Allow-Origin": "*",
+          "Accept-Ranges": "bytes",
+        });
+        fs.createReadStream(filePath).pipe(res);
+      });
+    } catch (e) {
+      res.writeHead(500);
+      res.end("Server error");
+    }
+  });
+}
+
+/**
+ * Сессия рендера: статический сервер и Chromium, общие для нескольких
+ * renderProject. Запускаются при первом open(); если браузер упал, следующий
+ * open() запустит новый. assetCache — общий кэш ассетов (необязательно).
+ * Возвращает { assetCache, open() -> { browser, pageUrl }, close() }.
+ */
+export function createRenderSession({ assetCache = null } = {}) {
+  let started = null;
+
+  async function start() {
+    const server = createStaticServer(projectRoot);
+    await new Promise((resolve, reject) => {
+      server.listen(0, "127.0.0.1", () => resolve());
+      server.on("error", reject);
+    });
+    const serverPort = server.address().port;
+
+    let browser;
+    try {
+      browser = await puppeteer.launch({
+        headless: true,
+        args: [
+          "--no-sandbox",
+          "--disable-setuid-sandbox",
+          "--use-gl=swiftshader", // стабильный софт-рендер
+        ],
+      });
+    } catch (err) {
+      server.close();
+      if (!QUIET)
+        console.error(
+          "[Puppeteer Launch Error]",
+          err && err.message ? err.message : err
+        );
+      throw err;
+    }
+    return {
+      server,
+      browser,
+      pageUrl: `http://127.0.0.1:${serverPort}/src/page.html`,
+    };
+  }
+
+  async function stop(s) {
+    try {
+      await s.browser.close();
+    } catch (e) {}
+    s.server.close();
+  }
+
+  return {
+    assetCache,
+    async open() {
+      if (started) {
+        const s = await started.catch(() => null);
+        if (s && s.browser.connected) return s;
+        if (s) await stop(s);
+      }
+      started = start();
+      return started;
+    },
+    async close() {
+      if (!started) return;
+      const s = await started.catch(() => null);
+      started = null;
+      if (s) await stop(s);
+    },
+  };
+}
+
+// Загрузить субтитры проекта из файла ({ src }); ошибки разбора — с номерами строк.
+// Возвращает true, если файл загружен сейчас.
+function loadProjectSubtitles(proj, projectDir) {
+  try {
+    if (loadSubtitles(proj, { projectDir })) {
+      console.log(`→ subtitles: ${proj.subtitles.length} cue(s)`);
+      return true;
+    }
+    return false;
+  } catch (e) {
+    if (e instanceof SubtitleError) throw new ProjectError(e.message);
+    throw e;
+  }
+}
+
+// Проверка таймлайна (дыры/наложения сцен, субтитры и оверлеи за концом ролика):
+// предупреждения печатаются, а с --strict рендер не начинается. filter — какие
+// проблемы учитывать (после загрузки субтитров по URL — только их реплики).
+function lintTimeline(proj, opts, label, filter = () => true) {
+  const issues = lintProject(proj).filter(filter);
+  if (issues.length === 0) return;
+  const head = `${label}: ${issues.length} timeline issue(s)`;
+  if (opts.strict) {
+    throw new ProjectError(`${head}\n${formatLintIssues(issues, "error")}`);
+  }
+  console.warn(head);
+  console.warn(formatLintIssues(issues, "warning"));
+}
+
+// Развернуть шаблоны графики (graphics) в объекты; ошибки — с путями до параметров
+function expandProjectGraphics(proj, projectDir) {
+  try {
+    const n = expandGraphics(proj, { projectDir });
+    if (n > 0) console.log(`→ graphics: ${n} template instance(s)`);
+  } catch (e) {
+    if (e instanceof TemplateError) throw new ProjectError(e.message);
+    throw e;
+  }
+}
+
+const ensureDir = (d) => fs.mkdirSync(d, { recursive: true });
+
+// Скачать внешние ассеты проекта p в кэш и переписать ссылки на локальные
+// пути; URL из done не повторяются. Возвращает множество обработанных URL.
+async function prefetchAssets(p, assetCache, opts, done = new Set()) {
+  const externalUrls = collectAssetUrls(p).filter((u) => !done.has(u));
+  if (externalUrls.length === 0) return done;
+  console.log(`→ prefetching ${externalUrls.length} external assets ...`);
+  const { map, errors } = await assetCache.fetchAll(externalUrls);
+  rewriteAssetUrls(p, map);
+  if (errors.length > 0 && opts.offline) {
+    throw new ProjectError(
+      `missing from asset cache:\n` + errors.map((e) => `  ${e.url}`).join("\n")
+    );
+  }
+  // без --offline неудачная загрузка не фатальна: страница попробует URL напрямую
+  for (const { url, error } of errors) {
+    console.warn(
+      `prefetch failed for ${url}:`,
+      error && error.message ? error.message : error
+    );
+  }
+  console.log(`→ prefetch complete`);
+  return new Set([...done, ...externalUrls]);
+}
+
+// Настройки вывода (см. resolveOutput); ошибка в них — ошибка проекта или флагов
+function projectOutput(output, cliOutput, opts, variant) {
+  try {
+    return resolveOutput(output, cliOutput, { draft: !!opts.draft });
+  } catch (e) {
+    if (e instanceof OutputError) {
+      throw new ProjectError(
+        variant
+          ? `variant ${variant.id}: output: ${e.message}`
+          : `output: ${e.message}`
+      );
+    }
+    throw e;
+  }
+}
+
+// Варианты проекта для рендера (project.variants, --variants), проверенные
+// вместе с переопределениями объектов
+function projectVariants(proj, opts) {
+  try {
+    const variants = selectVariants(proj, opts.variants);
+    checkVariants(proj, variants);
+    return variants;
+  } catch (e) {
+    if (e instanceof VariantError) throw new ProjectError(e.message);
+    throw e;
+  }
+}
+
+/**
+ * Отрендерить проект proj (объект project.json; изменяется на месте).
+ * projectPath — путь к project.json (от его папки считаются относительные пути
+ * ассетов), outPath — итоговое видео или PNG (при opts.frame), opts — опции
+ * CLI (см. addRenderOptions, плюс frame), session — createRenderSession(),
+ * label — имя проекта в сообщениях.
+ * Если в проекте есть варианты (project.variants, см. variants.js), рендерится
+ * по файлу на вариант (opts.variants — только перечисленные): имена — по
+ * variantOutPath(outPath, id). Проверка, кэш ассетов, кадры видео и свод аудио
+ * у вариантов общие.
+ * Возвращает { outPath, frames, outputs } — outputs: [{ variant, outPath,
+ * frames }] (variant — id или null), outPath и frames — первого из них;
+ * ошибки проекта — ProjectError.
+ */
+export async function renderProject(
+  proj,
+  { projectPath, outPath, opts = {}, session, label = projectPath }
+) {
+  const frameMode = opts.frame !== undefined;
+  const projectDir = path.dirname(projectPath);
+
+  // Проверяем проект по схеме до запуска Chromium: опечатка в поле иначе
+  // обернулась бы чёрными кадрами, замеченными только после рендера
+  const problems = validateProject(proj);
+  if (problems.length > 0) {
+    throw new ProjectError(
+      `${label}: invalid project\n${formatValidationErrors(problems)}`
+    );
+  }
+  // Субтитры из SRT/VTT/ASS: локальный файл читаем сразу, чтобы lint проверил
+  // реплики; файл по URL — после того, как он скачан в кэш ассетов
+  loadProjectSubtitles(proj, projectDir);
+  // Шаблоны графики разворачиваются до lint и до загрузки ассетов: их картинки
+  // и видео скачиваются в кэш вместе с остальными
+  expandProjectGraphics(proj, projectDir);
+  lintTimeline(proj, opts, label);
+  proj.project = proj.project || {};
+  // Предпочитать аргументы CLI, если они переданы, иначе использовать значения из project.json
+  // В черновом режиме (--draft) fps проекта понижается до 15, если --fps не задан явно
+  const fps = opts.fps
+    ? parseInt(opts.fps, 10)
+    : opts.draft
+    ? Math.min(15, parseInt(proj.project?.fps || "30", 10))
+    : parseInt(proj.project?.fps || "30", 10);
+  const width = opts.w
+    ? parseInt(opts.w, 10)
+    : parseInt(proj.project?.width || "1920", 10);
+  const height = opts.h
+    ? parseInt(opts.h, 10)
+    : parseInt(proj.project?.height || "1080", 10);
+  const warmFrames = Math.max(
+    0,
+    parseInt(opts.warm || String(proj.project?.warm || "0"), 10)
+  );
+
+  // Варианты под разные соотношения сторон: проверяем до скачивания ассетов,
+  // размер каждого задаёт сам вариант
+  const variants = projectVariants(proj, opts);
+  if (variants.length > 0 && (opts.w || opts.h)) {
+    throw new ProjectError(
+      `${label}: --w/--h cannot be combined with project variants; set width and height in project.variants`
+    );
+  }
+
+  // нормализуем размер
+  proj.project.width = width;
+  proj.project.height = height;
+  proj.project.fps = fps;
+
+  // Масштаб рендера (--scale, в черновом режиме по умолчанию 0.5). Геометрия проекта
+  // остаётся в исходных пикселях width x height: страница рисует в canvas размером
+  // renderWidth x renderHeight с трансформацией масштаба, поэтому вся композиция
+  // (объекты, субтитры, баннер) уменьшается пропорционально. Размеры округляются
+  // до чётных — этого требует yuv420p.
+  const scale = opts.scale ? parseFloat(opts.scale) : opts.draft ? 0.5 : 1;
+  if (!(scale > 0)) throw new ProjectError(`invalid --scale ${opts.scale}`);
+  const even = (n) => Math.max(2, 2 * Math.round(n / 2));
+  const renderSize = (n) => (scale === 1 ? n : even(n * scale));
+
+  // Настройки кодирования: профиль <- секция output проекта (и варианта) <- флаги CLI.
+  // Разбираем их до запуска Chromium, чтобы ошибка в настройках не стоила рендера.
+  const cliOutput = {
+    profile: opts.profile,
+    codec: opts.codec,
+    crf: opts.crf !== undefined ? parseInt(opts.crf, 10) : undefined,
+    bitrate: opts.bitrate,
+    preset: opts.preset,
+    pixelFormat: opts.pixFmt,
+    audioBitrate: opts.audioBitrate,
+    container: opts.container,
+    alpha: opts.alpha,
+  };
+  // Выходы рендера: один файл или по файлу на вариант ("out-square.mp4")
+  const targets = (variants.length > 0 ? variants : [null]).map((variant) => ({
+    variant,
+    outPath: variant ? variantOutPath(outPath, variant.id) : outPath,
+    output: projectOutput(
+      variant?.output ? { ...proj.output, ...variant.output } : proj.output,
+      cliOutput,
+      opts,
+      variant
+    ),
+  }));
+  if (variants.length > 0) {
+    console.log(
+      `→ variants: ${variants
+        .map((v) => `${v.id} ${v.width}x${v.height}`)
+        .join(", ")}`
+    );
+  }
+
+  // длительность: используем proj.project.videoLength если задана, иначе по последней сцене
+  const lastSceneSec = Math.max(
+    ...(proj.videoTrack || []).map((s) => s.end),
+    0
+  );
+  const totalSec =
+    typeof proj.project?.videoLength === "number" &&
+    proj.project.videoLength > 0
+      ? proj.project.videoLength
+      : lastSceneSec;
+  const totalFrames = Math.ceil(totalSec * fps);
+
+  // Окно рендера (--from/--to, в секундах): кадры [startFrame, endFrame).
+  // Кадр f соответствует времени f / fps; берём кадры, чьё время попадает в окно.
+  const secToFrame = (sec) => Math.ceil(sec * fps - 1e-6);
+  const fromSec = opts.from !== undefined ? parseFloat(opts.from) : 0;
+  const toSec = opts.to !== undefined ? parseFloat(opts.to) : totalSec;
+  const startFrame = Math.max(0, secToFrame(fromSec));
+  const endFrame = Math.min(totalFrames, secToFrame(toSec));
+  if (!frameMode && !(endFrame > startFrame)) {
+    throw new ProjectError(
+      `empty time window: --from ${fromSec} --to ${toSec} (project is ${totalSec}s)`
+    );
+  }
+  const windowFrames = endFrame - startFrame;
+  // кадр --frame должен попадать в ролик: кадры за концом не существуют
+  const frameIdx = frameMode ? Math.max(0, secToFrame(Number(opts.frame))) : 0;
+  if (frameMode && !(frameIdx < totalFrames)) {
+    throw new ProjectError(
+      `--frame ${opts.frame} is past the end of the video (project is ${totalSec}s)`
+    );
+  }
+
+  for (const t of targets) ensureDir(path.dirname(t.outPath));
+  // Кэш внешних ассетов: все http(s)-ресурсы проекта скачиваются в assets/cache
+  // (имя файла — хэш URL) и ссылки в проекте переписываются на /assets/cache/<имя>.
+  // Закэшированные файлы перепроверяются по ETag/Last-Modified; --offline не ходит
+  // в сеть и сразу падает, если чего-то нет в кэше.
+  // Кэш сессии общий для всех её рендеров: в пакетном рендере URL скачивается один раз.
+  const assetCache =
+    session.assetCache || createProjectAssetCache(projectPath, opts);
+  const prefetched = await prefetchAssets(proj, assetCache, opts);
+  // субтитры по URL: реплики проверяются lint-ом сразу после загрузки
+  if (loadProjectSubtitles(proj, projectDir)) {
+    lintTimeline(proj, opts, label, (i) => i.path.startsWith("/subtitles/"));
+  }
+  if (proj.subtitles && !Array.isArray(proj.subtitles)) {
+    // страница не умеет разбирать файлы субтитров сама
+    throw new ProjectError(
+      `failed to download subtitles ${proj.subtitles.src}`
+    );
+  }
+
+  // Проекты выходов: вариант собирается из уже подготовленного проекта (ассеты
+  // скачаны, субтитры разобраны); докачиваются только его собственные src
+  // (недоступные URL проекта второй раз не запрашиваются).
+  for (const t of targets) {
+    if (t.variant) {
+      try {
+        t.proj = applyVariant(proj, t.variant);
+      } catch (e) {
+        if (e instanceof VariantError) throw new ProjectError(e.message);
+        throw e;
+      }
+      await prefetchAssets(t.proj, assetCache, opts, prefetched);
+    } else t.proj = proj;
+    t.renderWidth = renderSize(t.proj.project.width);
+    t.renderHeight = renderSize(t.proj.project.height);
+    t.proj.project.renderWidth = t.renderWidth;
+    t.proj.project.renderHeight = t.renderHeight;
+    // прозрачный фон: страница не заливает canvas цветом background
+    if (t.output.alpha) t.proj.project.transparent = true;
+
+    // Видеообъекты: по умолчанию нужные кадры заранее извлекаются ffmpeg-ом с частотой
+    // кадров проекта, и страница рисует их как изображения (точно и детерминированно).
+    // --video-decode element возвращает прежний путь с перемоткой <video>; реальная
+    // частота кадров роликов определяется через ffprobe в обоих режимах. Кэш кадров
+    // на диске, поэтому варианты с тем же видео извлекают его один раз.
+    await extractVideoFrames(t.proj, {
+      fps,
+      projectDir,
+      cacheDir: path.join(projectRoot, ".cache", "frames"),
+      cacheUrl: "/.cache/frames",
+      onlyProbe: opts.videoDecode === "element",
+    });
+  }
+
+  // Свод аудио для нескольких выходов: дорожки проекта сводятся ffmpeg-ом один
+  // раз (по окну рендера) во временный WAV, и каждый вариант кодирует готовый свод
+  const mixPath = path.resolve(
+    path.dirname(targets[0].outPath),
+    `.audio-${path.basename(targets[0].outPath)}.wav`
+  );
+  let audioMix = null;
+  function sharedAudioMix(output) {
+    if (targets.length < 2 || !audioArgs(output)) return null;
+    if (!audioMix) {
+      const args = buildAudioMixArgs(proj.audio, {
+        projectDir,
+        fromSec: startFrame / fps,
+        totalSec: endFrame / fps,
+        outPath: mixPath,
+      });
+      if (args)
+        console.log(`→ mixing audio once for ${targets.length} variants`);
+      audioMix = args
+        ? execFFmpeg(args).then(() => mixPath)
+        : Promise.resolve(null);
+    }
+    return audioMix;
+  }
+
+  const { browser, pageUrl } = await session.open();
+
+  /**
+   * Отрендерить один выход t ({ proj, outPath, output, renderWidth,
+   * renderHeight }, variant — вариант или null): кадры на страницах Chromium и
+   * кодирование ffmpeg-ом. Возвращает число отрендеренных кадров.
+   */
+  async function renderOutput({
+    proj,
+    variant,
+    outPath,
+    output,
+    renderWidth,
+    renderHeight,
+  }) {
+    const framesDir = path.resolve(
+      path.dirname(outPath),
+      variant ? `frames-${variant.id}` : "frames"
+    );
+    if (opts.diskFrames && !frameMode) ensureDir(framesDir);
+    // страницы этого выхода закрываются в конце, браузер остаётся сессии
+    const pages = [];
+    const closePages = () =>
+      Promise.all(pages.map((p) => p.close().catch(() => {})));
+
+    // Открыть страницу рендера: загрузить page.html, прокинуть проект, дождаться
+    // инициализации и ресурсов, выполнить прогрев. Каждый воркер получает свою
+    // страницу со своим window.__renderer и своими video-элементами.
+    async function openRendererPage() {
+      const page = await browser.newPage();
+      pages.push(page);
+      await page.setViewport({
+        width: renderWidth,
+        height: renderHeight,
+        deviceScaleFactor: 1,
+      });
+
+      // Проксируем сообщения консоли браузера в терминал Node.js (только ошибки/предупреждения)
+      page.on("console", (msg) => {
+        if (msg.type() !== "error" && msg.type() !== "warning") return;
+        const args = msg.args();
+        Promise.all(args.map((a) => a.jsonValue())).then((vals) => {
+          if (!QUIET) console.log(`[browser]`, msg.type(), ...vals);
+        });
+      });
+
+      // загружаем страницу и прокидываем проект
+      await page.goto(pageUrl, { waitUntil: "load" });
+      await page.exposeFunction("__getProject", () => proj);
+      await page.evaluate(async () => {
+        const p = await window.__getProject();
+        window.__PROJECT__ = p;
+      });
+      // enable page-side debug hooks for this run (diagnostics for seeks/rvfc)
+      await page.evaluate(() => {
+        try {
+          window.__RENDER_DEBUG = true;
+        } catch (e) {}
+      });
+
+      // ждём инициализации рендера
+      await page.waitForFunction("window.__renderer && true", {
+        timeout: 10000,
+      });
+
+      // ждём, пока страница сообщит хотя бы один доступный ресурс (чтобы избежать кадров с fallback-ами)
+      try {
+        const start = Date.now();
+        const timeoutMs = 8000;
+        let haveAny = false;
+        while (Date.now() - start < timeoutMs) {
+          const idx = await page.evaluate(() => {
+            try {
+              return window.__renderer && window.__renderer.getResourceIndex
+                ? window.__renderer.getResourceIndex()
+                : null;
+            } catch (e) {
+              return null;
+            }
+          });
+          if (idx) {
+            const total =
+              (idx.images?.length || 0) +
+              (idx.logos?.length || 0) +
+              (idx.videos?.length || 0) +
+              (idx.frames?.length || 0);
+            if (total > 0) {
+              haveAny = true;
+              break;
+            }
+          }
+          await new Promise((r) => setTimeout(r, 200));
+        }
+        if (!haveAny) {
+          if (!QUIET)
+            console.warn(
+              `→ timeout waiting for resources on page (${timeoutMs}ms). Rendering may show fallback frames.`
+            );
+        }
+      } catch (e) {
+        if (!QUIET)
+          console.warn(
+            "Error while waiting for page resource index:",
+            e && e.message ? e.message : e
+          );
+      }
+
+      // Прогрев: подготовить декодеры видео и отрендерить несколько кадров без сохранения,
+      // чтобы избежать начальных подтормаживаний (нагрев декодеров, сетевые задержки, SwiftShader)
+      if (warmFrames > 0) {
+        // попытаться воспроизвести/поставить на паузу видео на странице, чтобы прогреть декодеры
+        await page.evaluate(async () => {
+          const vids = Array.from(document.querySelectorAll("video"));
+          for (const v of vids) {
+            try {
+              v.muted = true;
+              // пытаемся кратко воспроизвести, чтобы разогреть декодер
+              const p = v.play();
+              if (p && p.then) await p.catch(() => {});
+              v.pause();
+            } catch (e) {}
+          }
+        });
+        // Рендерим прогревочные кадры (не сохраняем их)
+        for (let w = 0; w < warmFrames; w++) {
+          const ms = Math.round((w * 1000) / fps);
+          await page.evaluate((t) => window.__renderer.renderFrame(t), ms);
+          // небольшая пауза, чтобы внутренние seek/paint для видео успели завершиться
+          await new Promise((r) => setTimeout(r, 200));
+        }
+        // прогревочные кадры не должны оставаться на canvas как «предыдущий кадр»
+        await page.evaluate(() => window.__renderer.reset());
+      }
+      return page;
+    }
+
+    // Прогресс общий для всех воркеров
+    let framesDone = 0;
+    const reportProgress = () => {
+      framesDone++;
+      if (framesDone % Math.max(1, Math.floor(fps)) === 0) {
+        process.stdout.write(`\r   frame ${framesDone}/${windowFrames}`);
+      }
+    };
+
+    /**
+     * Восстановить состояние страницы, которое было бы перед кадром from при
+     * последовательном рендере с нуля: кадры без содержимого оставляют на canvas
+     * предыдущий кадр, поэтому рендерим (без сохранения) ближайший кадр с
+     * содержимым перед from. Заодно видео перематываются к нужной позиции, и
+     * стык соседних диапазонов получается незаметным.
+     */
+    async function restoreStateBefore(page, from) {
+      for (let p = from - 1; p >= 0; p--) {
+        const ms = Math.round((p * 1000) / fps);
+        const has = await page.evaluate(
+          (t) => window.__renderer.hasContent(t),
+          ms
+        );
+        if (has) {
+          await page.evaluate((t) => window.__renderer.renderFrame(t), ms);
+          break;
+        }
+      }
+    }
+
+    // Отрендерить кадры [from, to) на странице и передать каждый PNG в onFrame(f, buf)
+    async function renderRange(page, from, to, onFrame) {
+      await restoreStateBefore(page, from);
+      for (let f = from; f < to; f++) {
+        const ms = Math.round((f * 1000) / fps);
+        await page.evaluate((t) => window.__renderer.renderFrame(t), ms);
+        // снимаем только canvas, чтобы исключить хромослойки
+        const buf = await page.screenshot({
+          clip: { x: 0, y: 0, width: renderWidth, height: renderHeight },
+          optimizeForSpeed: true,
+          // для вывода с альфа-каналом фон страницы не должен попадать в кадр
+          omitBackground: !!output.alpha,
+        });
+        await onFrame(f, buf);
+        reportProgress();
+      }
+    }
+
+    // Режим одного кадра: рендерим кадр и сохраняем содержимое canvas через getPNG()
+    if (frameMode) {
+      try {
+        const page = await openRendererPage();
+        await restoreStateBefore(page, frameIdx);
+        const ms = Math.round((frameIdx * 1000) / fps);
+        await page.evaluate((t) => window.__renderer.renderFrame(t), ms);
+        const dataUrl = await page.evaluate(() => window.__renderer.getPNG());
+        fs.writeFileSync(
+          outPath,
+          Buffer.from(dataUrl.replace(/^data:image\/png;base64,/, ""), "base64")
+        );
+      } finally {
+        await closePages();
+      }
+      const sec = (frameIdx / fps).toFixed(3);
+      console.log(`PNG written: ${outPath} (frame ${frameIdx}, ${sec}s)`);
+      return 1;
+    }
+
+    // Отладочный режим --disk-frames: файлы нумеруются с нуля от начала окна рендера
+    const writeFrameFile = (f, buf) =>
+      fs.writeFileSync(
+        path.join(
+          framesDir,
+          `frame_${String(f - startFrame).padStart(6, "0")}.png`
+        ),
+        buf
+      );
+
+    // Кодирование: по умолчанию кадры сразу пишутся в stdin долгоживущего ffmpeg
+    // (PNG-поток, image2pipe), и на диске не остаётся тысяч промежуточных файлов.
+    // С --disk-frames кадры сохраняются в framesDir, а ffmpeg запускается после рендера —
+    // это удобно для отладки отдельных кадров.
+    const encodeOpts = {
+      audio: proj.audio,
+      // несколько вариантов кодируют один общий свод аудио
+      audioMix: await sharedAudioMix(output),
+      projectDir,
+      // аудио обрезается по окну рендера
+      fromSec: startFrame / fps,
+      totalSec: endFrame / fps,
+      outPath,
+      output,
+    };
+
+    // Параллельный режим (--workers N): кадры делятся на N непрерывных диапазонов,
+    // каждый рендерится на своей странице и кодируется в отдельный сегмент; затем
+    // сегменты склеиваются concat demuxer-ом без перекодирования, и добавляется аудио.
+    const workers = Math.max(
+      1,
+      Math.min(parseInt(opts.workers || "1", 10) || 1, windowFrames)
+    );
+    const segmentsDir = path.resolve(
+      path.dirname(outPath),
+      `.segments-${path.basename(outPath, path.extname(outPath))}`
+    );
+
+    // Все запущенные ffmpeg этого выхода: если рендер упал, незавершённые
+    // процессы прерываются в finally, а не остаются висеть с открытым stdin
+    // (в пакетном рендере следующая строка пошла бы дальше без них)
+    const sinks = [];
+    const openSink = (args) => {
+      const sink = createFFmpegSink(args);
+      sinks.push(sink);
+      return sink;
+    };
+
+    try {
+      if (workers === 1) {
+        const page = await openRendererPage();
+        const sink = opts.diskFrames
+          ? null
+          : openSink(
+              buildEncodeArgs({
+                ...encodeOpts,
+                videoInput: pipeVideoInput(fps),
+              })
+            );
+        // write() дождётся 'drain', если ffmpeg не успевает кодировать
+        await renderRange(page, startFrame, endFrame, (f, buf) =>
+          sink ? sink.write(buf) : writeFrameFile(f, buf)
+        );
+        process.stdout.write("\nFrames ready.\n");
+        if (sink) await sink.end();
+      } else {
+        if (!opts.diskFrames) ensureDir(segmentsDir);
+        const per = Math.ceil(windowFrames / workers);
+        const ranges = [];
+        for (let from = startFrame; from < endFrame; from += per) {
+          ranges.push([from, Math.min(endFrame, from + per)]);
+        }
+        const seg = segmentFormat(output);
+        const segments = ranges.map((_, i) =>
+          path.join(
+            segmentsDir,
+            `segment_${String(i).padStart(3, "0")}.${seg.ext}`
+          )
+        );
+        console.log(`→ rendering with ${ranges.length} workers`);
+        // ждём все воркеры, даже если один упал: его ошибка прерывает ffmpeg
+        // остальных (их write() выбросит ошибку), и ни одна страница не
+        // закрывается посреди renderRange
+        let failure = null;
+        await Promise.all(
+          ranges.map(async ([from, to], i) => {
+            try {
+              const page = await openRendererPage();
+              const sink = opts.diskFrames
+                ? null
+                : openSink(
+                    buildSegmentArgs({
+                      videoInput: pipeVideoInput(fps),
+                      output,
+                      outPath: segments[i],
+                    })
+                  );
+              await renderRange(page, from, to, (f, buf) =>
+                sink ? sink.write(buf) : writeFrameFile(f, buf)
+              );
+              if (sink) await sink.end();
+            } catch (e) {
+              // первая ошибка — причина, остальные — следствие прерывания
+              failure = failure || e;
+              await Promise.allSettled(sinks.map((s) => s.abort()));
+            }
+          })
+        );
+        if (failure) throw failure;
+        process.stdout.write("\nFrames ready.\n");
+
+        if (!opts.diskFrames) {
+          const listPath = path.join(segmentsDir, "segments.txt");
+          fs.writeFileSync(
+            listPath,
+            segments.map((s) => `file '${s.replace(/'/g, "'\\''")}'`).join("\n")
+          );
+          await execFFmpeg(
+            buildEncodeArgs({
+              ...encodeOpts,
+              videoInput: concatVideoInput(listPath),
+              // сегменты без потерь (например, для GIF) перекодируются при склейке
+              copyVideo: seg.copy,
+            })
+          );
+        }
+      }
+    } finally {
+      await Promise.allSettled(sinks.map((s) => s.abort()));
+      await closePages();
+      // сегменты не нужны ни после склейки, ни после ошибки
+      if (workers > 1 && !opts.diskFrames) {
+        fs.rmSync(segmentsDir, { recursive: true, force: true });
+      }
+    }
+
+    if (opts.diskFrames) {
+      await execFFmpeg(
+        buildEncodeArgs({
+          ...encodeOpts,
+          videoInput: framesVideoInput(fps, framesDir),
+        })
+      );
+    }
+    return windowFrames;
+  }
+
+  const outputs = [];
+  try {
+    for (const t of targets) {
+      if (t.variant) {
+        console.log(
+          `\n→ variant ${t.variant.id} (${t.variant.width}x${t.variant.height}): ${t.outPath}`
+        );
+      }
+      const frames = await renderOutput(t);
+      outputs.push({
+        variant: t.variant ? t.variant.id : null,
+        outPath: t.outPath,
+        frames,
+      });
+    }
+  } finally {
+    if (audioMix) fs.rmSync(mixPath, { force: true });
+  }
+  return { outPath: outputs[0].outPath, frames: outputs[0].frames, outputs };
+}
@@ -0,0 +1,157 @@
+// subtitle-style.js
+// ==================
+// Файл: subtitle-style.js
+// Назначение: оформление и размещение субтитров (project.subtitleStyle).
+// Описание: раньше drawSubtitle (page.js) рисовал плашку 796x138 на y = 1400
+// шрифтом 54px с размытием фона 64px — это выглядело правильно только в
+// 1080x1920. Теперь параметры берутся из subtitleStyle поверх пресета:
+// "default" повторяет прежний вид, "outline" — текст с обводкой без плашки.
+// Плашка растёт по высоте вместе с числом строк (текст переносится по словам
+// внутри ширины плашки), а размещается либо по y, либо у края безопасной зоны
+// (position: "top" | "middle" | "bottom", margin, safeArea — доли кадра, имя
+// платформы из SAFE_AREAS или true — безопасная зона проекта, см. layout.js).
+// Размеры fontSize, width, maxWidth, y и margin можно задать в единицах
+// layout.js ("5%" — доля кадра: ширины для width/maxWidth, высоты для
+// остальных), они переводятся в пиксели под размер проекта.
+// Модуль без DOM: рисует page.js, здесь — только параметры и геометрия.
+// Экспортирует: SUBTITLE_PRESETS, resolveSubtitleStyle, subtitleFont,
+// subtitleTextWidth, subtitleBox
+
+import { resolveLength, safeAreaInsets } from "./layout.js";
+
+/**
+ * Пресеты оформления. Размеры — в пикселях проекта.
+ * width — ширина плашки (число) или "auto" (по тексту, не шире maxWidth);
+ * paddingX/paddingY — отступы текста внутри плашки, minHeight — минимальная
+ * высота плашки; blur — размытие фона под плашкой (0 — без размытия),
+ * background — заливка плашки поверх размытия (null — без плашки);
+ * karaoke — пословная подсветка (см. karaoke.js), null — только для реплик с words.
+ */
+export const SUBTITLE_PRESETS = {
+  default: {
+    fontFamily: "YSText, system-ui",
+    fontSize: 54,
+    fontWeight: 400,
+    color: "#fff",
+    lineHeight: 1.2,
+    align: "center",
+    width: 796,
+    maxWidth: null,
+    paddingX: 40,
+    paddingY: 42,
+    minHeight: 138,
+    radius: 69,
+    blur: 64,
+    background: "rgba(0,0,0,0.35)",
+    stroke: null,
+    shadow: null,
+    y: 1400,
+    position: null,
+    margin: 0,
+    safeArea: 0,
+    maxLines: null,
+    karaoke: null,
+  },
+  outline: {
+    fontFamily: "YSText, system-ui",
+    fontSize: 60,
+    fontWeight: 700,
+    color: "#fff",
+    lineHeight: 1.15,
+    align: "center",
+    width: "auto",
+    maxWidth: null,
+    paddingX: 0,
+    paddingY: 0,
+    minHeight: 0,
+    radius: 0,
+    blur: 0,
+    background: null,
+    stroke: { color: "#000", width: 4 },
+    shadow: { color: "rgba(0,0,0,0.5)", blur: 8, x: 0, y: 3 },
+    y: null,
+    position: "bottom",
+    margin: 0,
+    safeArea: 0.12,
+    maxLines: null,
+    karaoke: null,
+  },
+};
+
+// Поля стиля в единицах layout.js и от какого размера кадра считаются проценты
+const LENGTHS = {
+  fontSize: "height",
+  width: "width",
+  maxWidth: "width",
+  y: "height",
+  margin: "height",
+};
+
+/**
+ * Полный стиль субтитров: пресет (spec.preset, по умолчанию "default") с
+ * полями spec поверх него. С frame { width, height, safeArea } (размер кадра
+ * и project.safeArea) единицы переводятся в пиксели, а safeArea — в доли
+ * { top, bottom, left, right }.
+ */
+export function resolveSubtitleStyle(spec = {}, frame = null) {
+  const base = SUBTITLE_PRESETS[spec.preset] || SUBTITLE_PRESETS.default;
+  const style = { ...base };
+  for (const [k, v] of Object.entries(spec)) {
+    if (k !== "preset" && v !== undefined) style[k] = v;
+  }
+  // явная позиция у края отменяет y пресета, и наоборот
+  if (spec.y !== undefined && spec.position === undefined)
+    style.position = null;
+  if (frame) {
+    for (const [k, side] of Object.entries(LENGTHS)) {
+      if (typeof style[k] === "string" && style[k] !== "auto") {
+        style[k] = resolveLength(style[k], frame[side], frame);
+      }
+    }
+    style.safeArea = safeAreaInsets(style.safeArea, frame.safeArea);
+  }
+  return style;
+}
+
+// CSS-строка шрифта субтитров
+export function subtitleFont(style) {
+  return `${style.fontWeight} ${style.fontSize}px ${style.fontFamily}`;
+}
+
+/**
+ * Ширина, доступная тексту субтитра (для переносов строк) в кадре шириной W.
+ */
+export function subtitleTextWidth(style, W) {
+  const s = safeAreaInsets(style.safeArea);
+  const area = W * (1 - s.left - s.right);
+  const boxW =
+    typeof style.width === "number"
+      ? style.width
+      : Math.min(style.maxWidth || area, area);
+  return Math.max(1, boxW - style.paddingX * 2);
+}
+
+/**
+ * Плашка субтитра { x, y, w, h, radius } для свёрстанного текста шириной
+ * textW и высотой textH в кадре W x H. Плашка центрируется по горизонтали
+ * в безопасной зоне; по вертикали — y (верх плашки) или position у края
+ * безопасной зоны с отступом margin.
+ */
+export function subtitleBox(style, textW, textH, W, H) {
+  const s = safeAreaInsets(style.safeArea);
+  const w =
+    typeof style.width === "number" ? style.width : textW + style.paddingX * 2;
+  const h = Math.max(style.minHeight || 0, textH + style.paddingY * 2);
+  const left = W * s.left;
+  const right = W * (1 - s.right);
+  const top = H * s.top;
+  const bottom = H * (1 - s.bottom);
+  const x = left + (right - left - w) / 2;
+  let y;
+  if (style.position === "top") y = top + style.margin;
+  else if (style.position === "middle") y = top + (bottom - top - h) / 2;
+  else if (style.position === "bottom" || typeof style.y !== "number")
+    y = bottom - style.margin - h;
+  else y = style.y;
+  return { x, y, w, h, radius: Math.min(style.radius || 0, h / 2, w / 2) };
+}
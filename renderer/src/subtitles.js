@@ -0,0 +1,326 @@
+// subtitles.js
+// ==================
+// Файл: subtitles.js
+// Назначение: импорт субтитров из файлов SRT, WebVTT и ASS/SSA.
+// Описание: project.subtitles может быть массивом { start, end, text } или
+// ссылкой на файл: { "src": "captions.srt", "format": "srt", "offset": 0 }.
+// loadSubtitles читает файл (локальный путь или уже скачанный в кэш URL),
+// разбирает его и подменяет project.subtitles массивом реплик, поэтому
+// дальше (lint, page.js / drawSubtitle) работает прежний путь.
+// Разбор:
+// - SRT: блоки «номер / время --> время / текст», теги <i>, <b>, <font> и {\an8}
+//   удаляются;
+// - WebVTT: заголовок WEBVTT, идентификаторы реплик, настройки реплик
+//   (align, line, position, size, vertical) сохраняются в cue.settings, блоки
+//   NOTE/STYLE/REGION пропускаются, теги (<v>, <c>, <i>, время караоке) удаляются;
+// - ASS/SSA: строки Dialogue секции [Events] по строке Format, теги {\...}
+//   удаляются, \N — перенос строки.
+// Ошибки разбора собираются с номерами строк файла; реплики — по возрастанию start.
+// Экспортирует: SUBTITLE_FORMATS, SubtitleError, detectSubtitleFormat,
+// parseSubtitles, loadSubtitles
+
+import fs from "fs";
+import path from "path";
+import { resolveLocalPath } from "./ffmpeg.js";
+
+export const SUBTITLE_FORMATS = ["srt", "vtt", "ass"];
+
+/**
+ * Ошибка загрузки файла субтитров. errors — [{ line, message }],
+ * file — путь к файлу (для сообщений вида "captions.srt:12: ...").
+ */
+export class SubtitleError extends Error {
+  constructor(file, errors) {
+    super(
+      `${file}: ${errors.length} subtitle error(s)\n` +
+        errors
+          .map((e) => `  ${file}${e.line ? `:${e.line}` : ""}: ${e.message}`)
+          .join("\n")
+    );
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+const isRemote = (src) => typeof src === "string" && /^https?:\/\//i.test(src);
+
+/**
+ * Определить формат по содержимому, а если оно не подсказывает — по
+ * расширению имени файла. По умолчанию — srt.
+ */
+export function detectSubtitleFormat(text, name = "") {
+  const head = String(text)
+    .replace(/^\uFEFF/, "")
+    .trimStart();
+  if (/^WEBVTT(\s|$)/.test(head)) return "vtt";
+  if (/^\[Script Info\]/i.test(head) || /^\[Events\]/im.test(head))
+    return "ass";
+  const ext = path.extname(name).toLowerCase();
+  if (ext === ".vtt") return "vtt";
+  if (ext === ".ass" || ext === ".ssa") return "ass";
+  return "srt";
+}
+
+// "01:02:03,456", "02:03.456" (часы необязательны) -> секунды или null
+function parseTimestamp(s) {
+  const m = String(s)
+    .trim()
+    .match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[,.](\d{1,3}))?$/);
+  if (!m) return null;
+  const [, h, min, sec, frac] = m;
+  if (Number(min) > 59 || Number(sec) > 59) return null;
+  return (
+    Number(h || 0) * 3600 +
+    Number(min) * 60 +
+    Number(sec) +
+    (frac ? Number(`0.${frac}`) : 0)
+  );
+}
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+  "&nbsp;": " ",
+  "&lrm;": "\u200E",
+  "&rlm;": "\u200F",
+};
+
+// Убрать HTML-подобные теги и ASS-теги в фигурных скобках, раскрыть сущности
+function stripTags(text) {
+  return text
+    .replace(/<[^>]*>/g, "")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp|lrm|rlm);/g, (e) => ENTITIES[e])
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Разбить текст на блоки, разделённые пустыми строками: [{ line, lines }]
+function blocks(text) {
+  const result = [];
+  let cur = null;
+  String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r\n|\r|\n/)
+    .forEach((l, i) => {
+      if (l.trim() === "") {
+        cur = null;
+        return;
+      }
+      if (!cur) result.push((cur = { line: i + 1, lines: [] }));
+      cur.lines.push(l);
+    });
+  return result;
+}
+
+// Строка времени "start --> end [настройки]" -> { start, end, rest } или ошибка
+function parseTiming(l, lineNo, errors) {
+  const m = l.match(/^\s*(\S+)\s+-->\s+(\S+)(.*)$/);
+  if (!m) {
+    errors.push({ line: lineNo, message: `invalid timing line "${l.trim()}"` });
+    return null;
+  }
+  const start = parseTimestamp(m[1]);
+  const end = parseTimestamp(m[2]);
+  if (start === null || end === null) {
+    const bad = start === null ? m[1] : m[2];
+    errors.push({ line: lineNo, message: `invalid timestamp "${bad}"` });
+    return null;
+  }
+  if (end < start) {
+    errors.push({
+      line: lineNo,
+      message: `end ${m[2]} is before start ${m[1]}`,
+    });
+    return null;
+  }
+  return { start, end, rest: m[3].trim() };
+}
+
+function parseSrt(text, errors) {
+  const cues = [];
+  for (const b of blocks(text)) {
+    // номер реплики необязателен: время — первая или вторая строка блока
+    const t = b.lines[0].includes("-->") ? 0 : 1;
+    if (!b.lines[t] || !b.lines[t].includes("-->")) {
+      errors.push({
+        line: b.line + (b.lines.length > 1 ? t : 0),
+        message: `expected a timing line "00:00:01,000 --> 00:00:02,000"`,
+      });
+      continue;
+    }
+    const timing = parseTiming(b.lines[t], b.line + t, errors);
+    if (!timing) continue;
+    const body = stripTags(b.lines.slice(t + 1).join("\n"));
+    if (body) cues.push({ start: timing.start, end: timing.end, text: body });
+  }
+  return cues;
+}
+
+// Проверка значений настроек реплики WebVTT
+const VTT_SETTINGS = {
+  vertical: /^(rl|lr)$/,
+  line: /^(-?\d+(\.\d+)?%?)(,(start|center|end))?$/,
+  position: /^\d+(\.\d+)?%(,(line-left|center|line-right))?$/,
+  size: /^\d+(\.\d+)?%$/,
+  align: /^(start|center|end|left|right)$/,
+  region: /^\S+$/,
+};
+
+function parseVttSettings(rest, lineNo, errors) {
+  const settings = {};
+  for (const part of rest.split(/\s+/).filter(Boolean)) {
+    const [name, value] = part.split(":");
+    if (!(name in VTT_SETTINGS)) continue; // неизвестные настройки спецификация велит игнорировать
+    if (value === undefined || !VTT_SETTINGS[name].test(value)) {
+      errors.push({
+        line: lineNo,
+        message: `invalid cue setting "${part}"`,
+      });
+      continue;
+    }
+    settings[name] = value;
+  }
+  return settings;
+}
+
+function parseVtt(text, errors) {
+  const cues = [];
+  const all = blocks(text);
+  if (!all.length || !/^WEBVTT(\s|$)/.test(all[0].lines[0])) {
+    errors.push({ line: 1, message: `missing "WEBVTT" header` });
+    return cues;
+  }
+  for (const b of all.slice(1)) {
+    if (/^(NOTE|STYLE|REGION)(\s|$)/.test(b.lines[0])) continue;
+    // у реплики может быть идентификатор перед строкой времени
+    const t = b.lines[0].includes("-->") ? 0 : 1;
+    if (!b.lines[t] || !b.lines[t].includes("-->")) {
+      errors.push({
+        line: b.line + (b.lines.length > 1 ? t : 0),
+        message: `expected a timing line "00:00:01.000 --> 00:00:02.000"`,
+      });
+      continue;
+    }
+    const timing = parseTiming(b.lines[t], b.line + t, errors);
+    if (!timing) continue;
+    const settings = parseVttSettings(timing.rest, b.line + t, errors);
+    const body = stripTags(b.lines.slice(t + 1).join("\n"));
+    if (!body) continue;
+    const cue = { start: timing.start, end: timing.end, text: body };
+    if (Object.keys(settings).length) cue.settings = settings;
+    if (t === 1) cue.id = b.lines[0].trim();
+    cues.push(cue);
+  }
+  return cues;
+}
+
+function parseAss(text, errors) {
+  const cues = [];
+  let section = "";
+  let format = null;
+  String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r\n|\r|\n/)
+    .forEach((raw, i) => {
+      const lineNo = i + 1;
+      const l = raw.trim();
+      const sec = l.match(/^\[(.+)\]$/);
+      if (sec) {
+        section = sec[1].toLowerCase();
+        return;
+      }
+      if (section !== "events") return;
+      const m = l.match(/^(\w+)\s*:\s*(.*)$/);
+      if (!m) return;
+      const [, kind, value] = m;
+      if (kind === "Format") {
+        format = value.split(",").map((f) => f.trim().toLowerCase());
+        return;
+      }
+      if (kind !== "Dialogue") return; // Comment, Picture, Sound, Movie, Command
+      if (!format) {
+        errors.push({ line: lineNo, message: "Dialogue before Format line" });
+        return;
+      }
+      // Text — последнее поле и может содержать запятые
+      const fields = value.split(",");
+      const head = fields.slice(0, format.length - 1);
+      head.push(fields.slice(format.length - 1).join(","));
+      const get = (name) => head[format.indexOf(name)];
+      const start = parseTimestamp(get("start"));
+      const end = parseTimestamp(get("end"));
+      if (start === null || end === null) {
+        const bad = start === null ? get("start") : get("end");
+        errors.push({ line: lineNo, message: `invalid timestamp "${bad}"` });
+        return;
+      }
+      if (end < start) {
+        errors.push({ line: lineNo, message: "end is before start" });
+        return;
+      }
+      const body = stripTags(
+        String(get("text") ?? "")
+          .replace(/\\[Nn]/g, "\n")
+          .replace(/\\h/g, " ")
+      );
+      if (body) cues.push({ start, end, text: body });
+    });
+  if (!format) errors.push({ line: 0, message: "no [Events] Format line" });
+  return cues;
+}
+
+/**
+ * Разобрать текст субтитров формата format ("srt" | "vtt" | "ass"; без него —
+ * detectSubtitleFormat). Возвращает { cues, errors }: cues — [{ start, end,
+ * text, settings?, id? }] по возрастанию start (секунды, text с "\n" между
+ * строками), errors — [{ line, message }].
+ */
+export function parseSubtitles(text, format = detectSubtitleFormat(text)) {
+  const errors = [];
+  const parse = { srt: parseSrt, vtt: parseVtt, ass: parseAss }[format];
+  if (!parse) {
+    return {
+      cues: [],
+      errors: [{ line: 0, message: `unknown subtitle format "${format}"` }],
+    };
+  }
+  const cues = parse(String(text), errors);
+  cues.sort((a, b) => a.start - b.start);
+  return { cues, errors };
+}
+
+/**
+ * Загрузить субтитры проекта из файла, если project.subtitles — { src }.
+ * src — путь относительно папки project.json (или "/..." от неё же), удалённые
+ * URL должны быть заранее скачаны в кэш ассетов (render.js) — до этого они
+ * пропускаются. offset (сек) сдвигает все реплики.
+ * Подменяет proj.subtitles массивом реплик; возвращает true, если файл загружен.
+ * При ошибках разбора бросает SubtitleError.
+ */
+export function loadSubtitles(proj, { projectDir }) {
+  const spec = proj.subtitles;
+  if (!spec || Array.isArray(spec) || isRemote(spec.src)) return false;
+  const file = resolveLocalPath(spec.src, projectDir);
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    throw new SubtitleError(spec.src, [{ line: 0, message: e.message }]);
+  }
+  const format = spec.format || detectSubtitleFormat(text, spec.src);
+  const { cues, errors } = parseSubtitles(text, format);
+  if (errors.length > 0) throw new SubtitleError(spec.src, errors);
+  const offset = spec.offset || 0;
+  proj.subtitles = cues.map((c) => ({
+    ...c,
+    start: Math.max(0, c.start + offset),
+    end: Math.max(0, c.end + offset),
+  }));
+  return true;
+}
@@ -0,0 +1,250 @@
+// templates.js
+// ==================
+// Файл: templates.js
+// Назначение: шаблоны графики (плашки с именем, титры, цитаты, призывы к действию).
+// Описание: шаблон — JSON-файл с группой объектов и их анимаций, как в сцене
+// videoTrack, и объявлением параметров:
+//   { "id": "lower-third", "duration": 5,
+//     "params": { "name": { "required": true }, "color": { "default": "#F8604A" } },
+//     "objects": [{ "type": "text", "text": "{{name}}", ... }] }
+// В проекте шаблон ставится на таймлайн массивом graphics:
+//   { "template": "lower-third", "params": { "name": "Jane Doe" }, "start": 2, "end": 7 }
+// expandGraphics подставляет параметры ("{{name}}" целиком — значение как есть,
+// например число; внутри строки — как текст), проверяет получившиеся объекты
+// по схеме проекта и записывает их в graphics[i].objects. Страница рисует их как
+// сцену поверх videoTrack: время анимаций — от start вставки, z объектов
+// сдвигается на z вставки (по умолчанию 100).
+// Шаблоны ищутся во встроенной папке templates/ рендерера и в путях
+// project.templates (файлы или папки относительно project.json); шаблон проекта
+// с тем же id заменяет встроенный.
+// Экспортирует: BUILTIN_TEMPLATE_DIR, TemplateError, loadTemplates,
+// substituteParams, expandGraphics
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { validateDefinition } from "./validate.js";
+
+export const BUILTIN_TEMPLATE_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "templates"
+);
+
+/**
+ * Ошибка шаблонов графики. errors — [{ path, message }], where — что
+ * проверялось (файл шаблона или "/graphics/2"), для сообщений вида
+ * "  /graphics/2/params/name: required parameter is missing".
+ */
+export class TemplateError extends Error {
+  constructor(where, errors) {
+    super(
+      `${where}: ${errors.length} template error(s)\n` +
+        errors.map((e) => `  ${e.path || where}: ${e.message}`).join("\n")
+    );
+    this.where = where;
+    this.errors = errors;
+  }
+}
+
+// Прочитать один файл шаблона; id по умолчанию — имя файла без .json
+function readTemplate(file) {
+  let tpl;
+  try {
+    tpl = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new TemplateError(file, [{ path: "", message: e.message }]);
+  }
+  const errors = [];
+  if (!tpl || typeof tpl !== "object" || Array.isArray(tpl)) {
+    errors.push({ path: "", message: "template must be an object" });
+  } else {
+    if (!Array.isArray(tpl.objects))
+      errors.push({ path: "/objects", message: "must be array" });
+    if (tpl.params !== undefined && typeof tpl.params !== "object")
+      errors.push({ path: "/params", message: "must be object" });
+    if (tpl.duration !== undefined && !(tpl.duration > 0))
+      errors.push({ path: "/duration", message: "must be > 0" });
+  }
+  if (errors.length > 0) {
+    throw new TemplateError(
+      file,
+      errors.map((e) => ({ ...e, path: `${file}${e.path}` }))
+    );
+  }
+  return {
+    ...tpl,
+    id: tpl.id || path.basename(file, ".json"),
+    params: tpl.params || {},
+    file,
+  };
+}
+
+/**
+ * Загрузить шаблоны из файлов и папок sources (в папке — все *.json).
+ * Возвращает Map(id -> шаблон); более поздний источник заменяет шаблон с тем же id.
+ * Отсутствующая папка или файл — ошибка, кроме встроенной папки.
+ */
+export function loadTemplates(sources) {
+  const templates = new Map();
+  for (const src of sources) {
+    if (!fs.existsSync(src)) {
+      if (src === BUILTIN_TEMPLATE_DIR) continue;
+      throw new TemplateError(src, [
+        { path: "", message: "template file or directory not found" },
+      ]);
+    }
+    const files = fs.statSync(src).isDirectory()
+      ? fs
+          .readdirSync(src)
+          .filter((f) => f.endsWith(".json"))
+          .sort()
+          .map((f) => path.join(src, f))
+      : [src];
+    for (const file of files) {
+      const tpl = readTemplate(file);
+      templates.set(tpl.id, tpl);
+    }
+  }
+  return templates;
+}
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Подставить params во все строки value (объекты и массивы обходятся
+ * рекурсивно, value не изменяется): "{{name}}" целиком заменяется значением
+ * как есть, внутри строки — текстом. Неизвестные имена остаются как были и
+ * попадают в errors как { path, message } (at — путь value, например "/objects").
+ */
+export function substituteParams(value, params, at, errors) {
+  if (typeof value === "string") {
+    const whole = value.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+    if (whole) {
+      if (whole[1] in params) return params[whole[1]];
+      errors.push({ path: at, message: `unknown parameter "{{${whole[1]}}}"` });
+      return value;
+    }
+    return value.replace(PLACEHOLDER, (m, name) => {
+      if (name in params) return String(params[name]);
+      errors.push({ path: at, message: `unknown parameter "{{${name}}}"` });
+      return m;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((v, i) =>
+      substituteParams(v, params, `${at}/${i}`, errors)
+    );
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [
+        k,
+        substituteParams(v, params, `${at}/${k}`, errors),
+      ])
+    );
+  }
+  return value;
+}
+
+// Значения параметров вставки g (at — "/graphics/i"): объявленные шаблоном,
+// с умолчаниями; обязательные без значения и необъявленные — в errors
+function paramValues(tpl, g, at, errors) {
+  const given = g.params || {};
+  const values = {};
+  for (const [name, decl] of Object.entries(tpl.params)) {
+    if (name in given) values[name] = given[name];
+    else if (decl && decl.default !== undefined) values[name] = decl.default;
+    else if (decl && decl.required) {
+      errors.push({
+        path: `${at}/params/${name}`,
+        message: `required parameter of template "${tpl.id}" is missing`,
+      });
+    } else values[name] = "";
+  }
+  for (const name of Object.keys(given)) {
+    if (!(name in tpl.params)) {
+      errors.push({
+        path: `${at}/params/${name}`,
+        message: `template "${tpl.id}" has no parameter "${name}" (known: ${
+          Object.keys(tpl.params).join(", ") || "none"
+        })`,
+      });
+    }
+  }
+  return values;
+}
+
+/**
+ * Развернуть вставки шаблонов proj.graphics: proj.graphics заменяется новым
+ * массивом копий вставок с objects (объекты шаблона с подставленными
+ * параметрами) и end (если не задан — start + duration шаблона); сами вставки
+ * исходного массива не меняются. Шаблоны ищутся во встроенной папке и в
+ * proj.templates (пути относительно projectDir).
+ * Возвращает число развёрнутых вставок; при ошибках (в том числе без start)
+ * бросает TemplateError, proj.graphics при этом остаётся прежним.
+ */
+export function expandGraphics(proj, { projectDir }) {
+  const graphics = proj.graphics || [];
+  if (graphics.length === 0) return 0;
+  const templates = loadTemplates([
+    BUILTIN_TEMPLATE_DIR,
+    ...(proj.templates || []).map((p) =>
+      path.resolve(projectDir, p.replace(/^\/+/, ""))
+    ),
+  ]);
+
+  const errors = [];
+  const expanded = graphics.map((g, i) => {
+    const at = `/graphics/${i}`;
+    if (typeof g.start !== "number") {
+      errors.push({ path: `${at}/start`, message: "start is required" });
+      return g;
+    }
+    const tpl = templates.get(g.template);
+    if (!tpl) {
+      errors.push({
+        path: `${at}/template`,
+        message: `unknown template "${g.template}" (available: ${
+          [...templates.keys()].sort().join(", ") || "none"
+        })`,
+      });
+      return g;
+    }
+    const before = errors.length;
+    const params = paramValues(tpl, g, at, errors);
+    if (errors.length > before) return g;
+
+    const objects = substituteParams(
+      tpl.objects,
+      params,
+      `${at}/objects`,
+      errors
+    );
+    // объекты проверяются по схеме уже с подставленными значениями
+    objects.forEach((o, j) => {
+      for (const p of validateDefinition("object", o)) {
+        errors.push({
+          path: `${at}/objects/${j}${p.path}`,
+          message: `${p.message} (template "${tpl.id}")`,
+        });
+      }
+    });
+    const end = g.end ?? (tpl.duration ? g.start + tpl.duration : undefined);
+    if (end === undefined) {
+      errors.push({
+        path: `${at}/end`,
+        message: `end is required: template "${tpl.id}" has no duration`,
+      });
+    }
+    const z = g.z ?? 100;
+    return {
+      ...g,
+      end,
+      objects: objects.map((o) => ({ ...o, z: z + (o.z || 0) })),
+    };
+  });
+  if (errors.length > 0) throw new TemplateError("graphics", errors);
+  proj.graphics = expanded;
+  return graphics.length;
+}
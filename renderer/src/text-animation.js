@@ -0,0 +1,100 @@
+// text-animation.js
+// ==================
+// Файл: text-animation.js
+// Назначение: анимации текста по единицам — символам, словам или строкам.
+// Описание: анимация { "type": "text", "preset": "pop" } у объекта
+// type: "text" показывает текст не целиком, а по единицам со сдвигом по
+// времени (stagger). Пресеты:
+// - typewriter — символы появляются по одному (как печатная машинка);
+// - pop — слова выскакивают, увеличиваясь от scale до 1 (с лёгким перелётом);
+// - slideUp — строки выезжают на своё место (direction, distance) и проявляются;
+// - blurIn — слова проявляются из размытия.
+// Время — в секундах от начала сцены, как у остальных анимаций: start и delay
+// задают начало первой единицы, stagger — сдвиг между соседними, duration —
+// длительность появления одной единицы. Порядок единиц — order.
+// Модуль без DOM: состояние единицы считается здесь, рисует text.js.
+// Экспортирует: TEXT_PRESETS, textAnimationUnit, textUnitState
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+/**
+ * Пресеты и их параметры по умолчанию: unit — единица анимации, stagger и
+ * duration — в секундах, easing — кривая появления одной единицы.
+ */
+export const TEXT_PRESETS = {
+  typewriter: { unit: "char", stagger: 0.05, duration: 0, easing: "linear" },
+  pop: { unit: "word", stagger: 0.12, duration: 0.35, easing: "easeOutBack" },
+  slideUp: {
+    unit: "line",
+    stagger: 0.2,
+    duration: 0.5,
+    easing: "easeOutCubic",
+  },
+  blurIn: { unit: "word", stagger: 0.1, duration: 0.5, easing: "easeOutQuad" },
+};
+
+// Параметр анимации или значение пресета по умолчанию
+function option(anim, name) {
+  return anim[name] ?? TEXT_PRESETS[anim.preset]?.[name];
+}
+
+// Единица анимации текста: "char", "word" или "line"
+export function textAnimationUnit(anim) {
+  return option(anim, "unit") || "word";
+}
+
+/**
+ * Номер единицы index (из count) в очереди появления:
+ * forward — по порядку текста, backward — с конца, center — от середины к краям.
+ */
+function rank(order, index, count) {
+  if (order === "backward") return count - 1 - index;
+  if (order === "center") {
+    const mid = (count - 1) / 2;
+    return Math.floor(Math.abs(index - mid));
+  }
+  return index;
+}
+
+/**
+ * Состояние единицы index (из count) на времени t (сек от начала сцены):
+ * { opacity, dx, dy, scale, blur } для drawTextRuns (text.js).
+ * ease(name) — функция, возвращающая easing по имени.
+ * lineHeight — высота строки в px: расстояние выезда slideUp по умолчанию.
+ */
+export function textUnitState(anim, index, count, t, ease, lineHeight = 0) {
+  const start =
+    (anim.start || 0) +
+    (anim.delay || 0) +
+    rank(anim.order, index, count) * (option(anim, "stagger") || 0);
+  const duration = option(anim, "duration") || 0;
+  // при нулевой длительности единица появляется скачком
+  const raw =
+    duration > 0 ? clamp01((t - start) / duration) : t >= start ? 1 : 0;
+  if (raw >= 1) return null;
+  const p = ease(option(anim, "easing"))(raw);
+
+  switch (anim.preset) {
+    case "pop": {
+      const from = anim.scale ?? 0.3;
+      return {
+        opacity: clamp01(raw * 3),
+        scale: Math.max(0, from + (1 - from) * p),
+      };
+    }
+    case "slideUp": {
+      const d = (anim.distance ?? lineHeight) * (1 - p);
+      const dir = anim.direction || "up";
+      return {
+        opacity: clamp01(p),
+        dx: dir === "left" ? d : dir === "right" ? -d : 0,
+        dy: dir === "up" ? d : dir === "down" ? -d : 0,
+      };
+    }
+    case "blurIn":
+      return { opacity: clamp01(p), blur: (anim.blur ?? 12) * (1 - p) };
+    default:
+      // typewriter
+      return { opacity: clamp01(p) };
+  }
+}
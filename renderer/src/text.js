@@ -0,0 +1,353 @@
+// text.js
+// ==================
+// Файл: text.js
+// Назначение: вёрстка и отрисовка многострочного текста на canvas.
+// Описание: layoutText разбивает текст на строки (переносы по словам внутри
+// заданной ширины, явные "\n", слишком длинные слова режутся по символам),
+// учитывает межстрочный интервал, межбуквенный интервал и режим
+// fit: "shrink" — уменьшение кегля, пока текст не поместится в рамку.
+// drawTextLayout рисует свёрстанный текст в рамку с выравниванием по
+// горизонтали (left/center/right/justify) и вертикали (top/middle/bottom),
+// обводкой и тенью. Используется для объектов type: "text" и новостного
+// заголовка (page.js). Модуль не трогает DOM: ему нужен только 2D-контекст.
+// textRuns/drawTextRuns раскладывают текст на строки, слова или символы с
+// координатами — на них работают анимации текста (text-animation.js).
+// Экспортирует: DEFAULT_FONT, fontSizeOf, withFontSize, wrapText, layoutText,
+// textRuns, drawTextRuns, drawTextLayout
+
+// Кегль по умолчанию, если в строке шрифта нет размера в px
+const DEFAULT_FONT_SIZE = 42;
+// Шрифт текста, если style.font не задан
+export const DEFAULT_FONT = `600 ${DEFAULT_FONT_SIZE}px YSText`;
+// Минимальный кегль для fit: "shrink" по умолчанию
+const DEFAULT_MIN_FONT_SIZE = 12;
+
+const SIZE_RE = /(\d+(?:\.\d+)?)px/;
+
+// Кегль (px) из CSS-строки шрифта "600 42px YSText"
+export function fontSizeOf(font, fallback = DEFAULT_FONT_SIZE) {
+  const m = String(font || "").match(SIZE_RE);
+  return m ? parseFloat(m[1]) : fallback;
+}
+
+// Та же CSS-строка шрифта с другим кеглем
+export function withFontSize(font, px) {
+  return SIZE_RE.test(font)
+    ? font.replace(SIZE_RE, `${px}px`)
+    : `${px}px ${font}`;
+}
+
+// Ширина строки текущим шрифтом ctx (вместе с ctx.letterSpacing)
+function measure(ctx, s) {
+  return ctx.measureText(s).width;
+}
+
+// Разрезать слово, не помещающееся в maxWidth, на куски по символам
+function breakWord(ctx, word, maxWidth) {
+  const parts = [];
+  let cur = "";
+  for (const ch of word) {
+    if (cur && measure(ctx, cur + ch) > maxWidth) {
+      parts.push(cur);
+      cur = ch;
+    } else {
+      cur += ch;
+    }
+  }
+  if (cur) parts.push(cur);
+  return parts;
+}
+
+/**
+ * Разбить текст на строки шрифтом, уже установленным в ctx.
+ * "\n" — принудительный перенос; maxWidth (undefined — без переносов по словам)
+ * ограничивает ширину строки. Пробелы внутри абзаца схлопываются.
+ * Возвращает [{ text, width, paragraphEnd, word }], paragraphEnd — последняя
+ * строка абзаца (её не растягивает align: "justify"), word — номер слова
+ * текста (по всем абзацам), с которого начинается строка. Слово, разбитое
+ * breakWord на несколько строк, остаётся одним словом: его продолжение
+ * начинает следующую строку с тем же номером.
+ */
+export function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  const push = (s, paragraphEnd, word) =>
+    lines.push({ text: s, width: measure(ctx, s), paragraphEnd, word });
+  let index = 0;
+  for (const paragraph of String(text ?? "").split(/\r?\n/)) {
+    const words = paragraph.split(/\s+/).filter(Boolean);
+    if (!(maxWidth > 0)) {
+      push(words.join(" "), true, index);
+      index += words.length;
+      continue;
+    }
+    let cur = "";
+    let curWord = index;
+    for (const word of words) {
+      const candidate = cur ? cur + " " + word : word;
+      if (measure(ctx, candidate) <= maxWidth) {
+        cur = candidate;
+        index++;
+        continue;
+      }
+      if (cur) push(cur, false, curWord);
+      cur = word;
+      curWord = index;
+      if (measure(ctx, word) > maxWidth) {
+        const parts = breakWord(ctx, word, maxWidth);
+        cur = parts.pop();
+        for (const p of parts) push(p, false, index);
+      }
+      index++;
+    }
+    push(cur, true, curWord);
+  }
+  return lines;
+}
+
+/**
+ * Свёрстать текст. Параметры:
+ * - font — CSS-строка шрифта ("600 42px YSText");
+ * - width — ширина рамки текста (без отступов); без неё строки не переносятся;
+ * - height — высота рамки (нужна для fit: "shrink");
+ * - wrap (true) — переносить ли по словам внутри width;
+ * - lineHeight (1.2) — межстрочный интервал в долях кегля;
+ * - letterSpacing (0) — межбуквенный интервал в px;
+ * - maxLines — максимум строк (лишние отбрасываются или, при shrink, уменьшают кегль);
+ * - fit — "shrink": уменьшать кегль (не ниже minFontSize), пока строки не
+ *   поместятся в width/height/maxLines.
+ * Оставляет в ctx итоговые font и letterSpacing. Возвращает
+ * { font, fontSize, lineHeight (px), letterSpacing, lines, overflow, width,
+ * height }, где overflow — строки отброшены по maxLines, height — высота
+ * текста: кегль первой строки плюс интервалы остальных.
+ */
+export function layoutText(ctx, text, opts = {}) {
+  const baseFont = opts.font || DEFAULT_FONT;
+  const wrapWidth = opts.wrap === false ? undefined : opts.width;
+  const letterSpacing = opts.letterSpacing || 0;
+
+  const build = (size) => {
+    const font = withFontSize(baseFont, size);
+    ctx.font = font;
+    if ("letterSpacing" in ctx) ctx.letterSpacing = `${letterSpacing}px`;
+    let lines = wrapText(ctx, text, wrapWidth);
+    const overflow = opts.maxLines > 0 && lines.length > opts.maxLines;
+    if (overflow) {
+      lines = lines.slice(0, opts.maxLines);
+      lines[lines.length - 1].paragraphEnd = true;
+    }
+    const lineHeight = size * (opts.lineHeight || 1.2);
+    return {
+      font,
+      fontSize: size,
+      lineHeight,
+      letterSpacing,
+      lines,
+      overflow,
+      width: Math.max(0, ...lines.map((l) => l.width)),
+      height: size + (lines.length - 1) * lineHeight,
+    };
+  };
+  const fits = (l) =>
+    !l.overflow &&
+    (!(opts.width > 0) || l.width <= opts.width + 0.5) &&
+    (!(opts.height > 0) || l.height <= opts.height + 0.5);
+
+  const size = fontSizeOf(baseFont);
+  let layout = build(size);
+  if (opts.fit !== "shrink" || fits(layout)) return layout;
+
+  // бинарный поиск наибольшего целого кегля, при котором текст помещается
+  let lo = Math.min(size, opts.minFontSize || DEFAULT_MIN_FONT_SIZE);
+  let hi = size;
+  let best = build(lo);
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    const l = build(mid);
+    if (fits(l)) {
+      lo = mid;
+      best = l;
+    } else {
+      hi = mid;
+    }
+  }
+  // вернуть ctx к выбранному кеглю (build последним мог выставить другой)
+  layout = build(best.fontSize);
+  return layout;
+}
+
+// Параметры тени: true — прежняя тень текста, объект { color, blur, x, y }
+function shadowOf(shadow) {
+  if (!shadow) return null;
+  if (shadow === true) return { color: "rgba(0,0,0,0.6)", blur: 6, x: 0, y: 2 };
+  return {
+    color: shadow.color || "rgba(0,0,0,0.6)",
+    blur: shadow.blur ?? 6,
+    x: shadow.x || 0,
+    y: shadow.y ?? 2,
+  };
+}
+
+// Параметры обводки: цвет строкой или { color, width }
+function strokeOf(stroke) {
+  if (!stroke) return null;
+  if (typeof stroke === "string") return { color: stroke, width: 2 };
+  return { color: stroke.color || "#000", width: stroke.width ?? 2 };
+}
+
+/**
+ * Разложить свёрстанный текст на фрагменты с координатами в рамке box
+ * { x, y, w, h }. unit — единица фрагмента: "line" (строка; при
+ * align: "justify" — слова растянутой строки), "word" или "char" (пробелы
+ * не входят). Фрагмент: { text, x, y, width, index, line, word }, где x —
+ * левый край, y — середина строки, index — номер единицы (строки, слова или
+ * символа) по порядку в тексте, word — номер исходного слова текста (часть
+ * слова, перенесённого по буквам, — номер всего слова; у строки — её первого
+ * слова). ctx должен быть настроен шрифтом layout.
+ * Выравнивание и отступы — как в drawTextLayout.
+ */
+export function textRuns(ctx, layout, box, style = {}, unit = "line") {
+  const { lines, fontSize, lineHeight } = layout;
+  const align = style.align || "left";
+  const va = style.verticalAlign || "top";
+  const free = (box.h ?? layout.height) - layout.height;
+  const top = box.y + (va === "bottom" ? free : va === "middle" ? free / 2 : 0);
+  const runs = [];
+  let word = 0;
+  let char = 0;
+
+  lines.forEach((line, i) => {
+    const y = top + fontSize / 2 + i * lineHeight;
+    const words = line.text.split(" ").filter(Boolean);
+    const justify =
+      align === "justify" && !line.paragraphEnd && words.length > 1;
+    let x = box.x;
+    if (!justify && align === "center") x = box.x + (box.w - line.width) / 2;
+    else if (!justify && align === "right") x = box.x + box.w - line.width;
+    if (unit === "line" && !justify) {
+      runs.push({
+        text: line.text,
+        x,
+        y,
+        width: line.width,
+        index: i,
+        line: i,
+        word: line.word,
+      });
+      return;
+    }
+    // левые края слов: при justify пробелы растягиваются на всю ширину рамки
+    const widths = words.map((w) => measure(ctx, w));
+    const gap = justify
+      ? (box.w - widths.reduce((a, b) => a + b, 0)) / (words.length - 1)
+      : 0;
+    words.forEach((w, j) => {
+      const wx = justify
+        ? x + widths.slice(0, j).reduce((a, b) => a + b + gap, 0)
+        : x + (j > 0 ? measure(ctx, words.slice(0, j).join(" ") + " ") : 0);
+      if (unit === "char") {
+        for (const [k, ch] of [...w].entries()) {
+          runs.push({
+            text: ch,
+            x: wx + (k > 0 ? measure(ctx, [...w].slice(0, k).join("")) : 0),
+            y,
+            width: measure(ctx, ch),
+            index: char++,
+            line: i,
+            word: line.word + j,
+          });
+        }
+      } else {
+        runs.push({
+          text: w,
+          x: wx,
+          y,
+          width: widths[j],
+          index: unit === "word" ? word : i,
+          line: i,
+          word: line.word + j,
+        });
+      }
+      word++;
+    });
+  });
+  return runs;
+}
+
+/**
+ * Нарисовать фрагменты текста (результат textRuns). stateOf(index, run) — состояние
+ * единицы анимации { opacity, dx, dy, scale, blur, color } или null (без
+ * изменений); scale — относительно центра фрагмента, blur — в пикселях проекта,
+ * color — цвет заливки фрагмента вместо style.color.
+ * style — как у drawTextLayout.
+ */
+export function drawTextRuns(ctx, layout, runs, style = {}, stateOf = null) {
+  const stroke = strokeOf(style.stroke);
+  const shadow = shadowOf(style.shadow);
+
+  ctx.save();
+  ctx.font = layout.font;
+  if ("letterSpacing" in ctx) ctx.letterSpacing = `${layout.letterSpacing}px`;
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "left";
+  if (shadow) {
+    ctx.shadowColor = shadow.color;
+    ctx.shadowBlur = shadow.blur;
+    ctx.shadowOffsetX = shadow.x;
+    ctx.shadowOffsetY = shadow.y;
+  }
+  if (stroke) {
+    ctx.strokeStyle = stroke.color;
+    // обводка рисуется по центру контура: половина ширины уходит под заливку
+    ctx.lineWidth = stroke.width * 2;
+    ctx.lineJoin = "round";
+  }
+  ctx.fillStyle = style.color || "#fff";
+  const alpha = ctx.globalAlpha;
+  const filter = ctx.filter && ctx.filter !== "none" ? ctx.filter + " " : "";
+
+  for (const run of runs) {
+    const st = stateOf ? stateOf(run.index, run) : null;
+    if (st && st.opacity <= 0) continue;
+    let { x, y } = run;
+    if (st) {
+      ctx.save();
+      ctx.globalAlpha = alpha * (st.opacity ?? 1);
+      if (st.color) ctx.fillStyle = st.color;
+      x += st.dx || 0;
+      y += st.dy || 0;
+      if (st.scale !== undefined && st.scale !== 1) {
+        const cx = x + run.width / 2;
+        ctx.translate(cx, y);
+        ctx.scale(st.scale, st.scale);
+        ctx.translate(-cx, -y);
+      }
+      if (st.blur > 0) {
+        // filter работает в пикселях canvas, а blur задан в пикселях проекта
+        const m = ctx.getTransform();
+        ctx.filter = `${filter}blur(${
+          st.blur * (Math.hypot(m.a, m.b) || 1)
+        }px)`;
+      }
+    }
+    if (stroke) ctx.strokeText(run.text, x, y);
+    ctx.fillText(run.text, x, y);
+    if (st) ctx.restore();
+  }
+  ctx.restore();
+}
+
+/**
+ * Нарисовать свёрстанный текст (результат layoutText) в рамку box { x, y, w, h }.
+ * style: align ("left" | "center" | "right" | "justify"), verticalAlign
+ * ("top" | "middle" | "bottom"; по умолчанию "top"), color, stroke
+ * ("#000" или { color, width }), shadow (true или { color, blur, x, y }).
+ * Обводка рисуется под заливкой, тень отбрасывает только текст.
+ */
+export function drawTextLayout(ctx, layout, box, style = {}) {
+  ctx.save();
+  ctx.font = layout.font;
+  if ("letterSpacing" in ctx) ctx.letterSpacing = `${layout.letterSpacing}px`;
+  const runs = textRuns(ctx, layout, box, style);
+  ctx.restore();
+  drawTextRuns(ctx, layout, runs, style);
+}
@@ -0,0 +1,163 @@
+// transitions.js
+// ==================
+// Файл: transitions.js
+// Назначение: переходы между сценами videoTrack (crossfade, slide, push, wipe,
+// radialWipe, zoom).
+// Описание: переход задаётся полем `transition` у входящей сцены:
+//   { "type": "crossfade", "duration": 0.5, "easing": "easeInOut", "direction": "left" }
+// Переход занимает первые `duration` секунд входящей сцены: на интервале
+// [start, start + duration) одновременно рисуются уходящая сцена (та, что
+// закончилась в момент start; её локальное время продолжает идти после end) и
+// входящая. Каждая сцена рисуется в свой слой (offscreen canvas), а
+// composeTransition смешивает слои на основной canvas. Модуль не трогает DOM
+// при импорте, поэтому используется и в page.js (композиция), и в Node
+// (video-frames.js — сколько кадров видео нужно уходящей сцене).
+// Экспортирует: TRANSITION_TYPES, findOutgoingScene, transitionWindow,
+// transitionTail, composeTransition
+
+export const TRANSITION_TYPES = [
+  "crossfade",
+  "slide",
+  "push",
+  "wipe",
+  "radialWipe",
+  "zoom",
+];
+
+// Допуск сравнения времён (сек): конец одной сцены и начало следующей из JSON
+const EPS = 1e-6;
+
+/**
+ * Уходящая сцена для входящей сцены `scene`: сцена, которая заканчивается
+ * ровно в момент scene.start (если таких несколько — первая по порядку).
+ * null — перед сценой дыра или это первая сцена: переход идёт от фона.
+ */
+export function findOutgoingScene(videoTrack, scene) {
+  for (const sc of videoTrack || []) {
+    if (sc !== scene && Math.abs(sc.end - scene.start) <= EPS) return sc;
+  }
+  return null;
+}
+
+/**
+ * Интервал перехода сцены в секундах { start, end } или null, если перехода нет.
+ * Длительность не превышает длину самой сцены.
+ */
+export function transitionWindow(scene) {
+  const tr = scene.transition;
+  if (!tr || !(tr.duration > 0)) return null;
+  const duration = Math.min(tr.duration, scene.end - scene.start);
+  if (!(duration > 0)) return null;
+  return { start: scene.start, end: scene.start + duration };
+}
+
+/**
+ * На сколько секунд сцена `scene` должна «прожить» после своего end, потому что
+ * следующая сцена входит в неё с переходом (0 — не должна).
+ */
+export function transitionTail(videoTrack, scene) {
+  let tail = 0;
+  for (const sc of videoTrack || []) {
+    const w = transitionWindow(sc);
+    if (w && findOutgoingScene(videoTrack, sc) === scene) {
+      tail = Math.max(tail, w.end - w.start);
+    }
+  }
+  return tail;
+}
+
+// Сдвиг на всю ширину/высоту кадра в направлении движения direction
+function directionVector(direction, W, H) {
+  switch (direction) {
+    case "right":
+      return { dx: W, dy: 0 };
+    case "up":
+      return { dx: 0, dy: -H };
+    case "down":
+      return { dx: 0, dy: H };
+    default:
+      return { dx: -W, dy: 0 };
+  }
+}
+
+// Нарисовать слой (canvas в пикселях рендера) на весь кадр W x H (в координатах проекта)
+function drawLayer(ctx, layer, x, y, W, H) {
+  ctx.drawImage(layer, x, y, W, H);
+}
+
+// Нарисовать слой, масштабированный на k относительно центра кадра
+function drawScaled(ctx, layer, k, W, H) {
+  ctx.save();
+  ctx.translate(W / 2, H / 2);
+  ctx.scale(k, k);
+  drawLayer(ctx, layer, -W / 2, -H / 2, W, H);
+  ctx.restore();
+}
+
+/**
+ * Смешать слои уходящей (outLayer) и входящей (inLayer) сцен на ctx.
+ * W/H — размер кадра в координатах проекта, t — прогресс перехода 0..1
+ * (уже с easing). ctx к этому моменту залит фоном. direction — куда движется
+ * изображение: "left" (по умолчанию), "right", "up", "down".
+ * transparent — прозрачный вывод: слои не залиты фоном, поэтому при crossfade
+ * уходящую сцену тоже приходится гасить, иначе она просвечивала бы сквозь входящую.
+ */
+export function composeTransition(
+  ctx,
+  outLayer,
+  inLayer,
+  W,
+  H,
+  { type, direction, t, transparent }
+) {
+  const { dx, dy } = directionVector(direction, W, H);
+  ctx.save();
+  switch (type) {
+    case "slide":
+      // входящая сцена наезжает поверх неподвижной уходящей
+      drawLayer(ctx, outLayer, 0, 0, W, H);
+      drawLayer(ctx, inLayer, -dx * (1 - t), -dy * (1 - t), W, H);
+      break;
+    case "push":
+      // входящая сцена выталкивает уходящую
+      drawLayer(ctx, outLayer, dx * t, dy * t, W, H);
+      drawLayer(ctx, inLayer, -dx * (1 - t), -dy * (1 - t), W, H);
+      break;
+    case "wipe": {
+      // граница шторки движется в направлении direction и открывает входящую сцену
+      drawLayer(ctx, outLayer, 0, 0, W, H);
+      ctx.beginPath();
+      if (dx < 0) ctx.rect(W * (1 - t), 0, W * t, H);
+      else if (dx > 0) ctx.rect(0, 0, W * t, H);
+      else if (dy < 0) ctx.rect(0, H * (1 - t), W, H * t);
+      else ctx.rect(0, 0, W, H * t);
+      ctx.clip();
+      drawLayer(ctx, inLayer, 0, 0, W, H);
+      break;
+    }
+    case "radialWipe": {
+      // круг из центра кадра, к концу перехода покрывающий углы
+      drawLayer(ctx, outLayer, 0, 0, W, H);
+      ctx.beginPath();
+      ctx.arc(W / 2, H / 2, Math.hypot(W / 2, H / 2) * t, 0, Math.PI * 2);
+      ctx.clip();
+      drawLayer(ctx, inLayer, 0, 0, W, H);
+      break;
+    }
+    case "zoom":
+      // «пролёт сквозь» кадр: уходящая сцена увеличивается и гаснет,
+      // входящая догоняет её из уменьшенного состояния
+      ctx.globalAlpha = 1 - t;
+      drawScaled(ctx, outLayer, 1 + t, W, H);
+      ctx.globalAlpha = t;
+      drawScaled(ctx, inLayer, 0.5 + 0.5 * t, W, H);
+      break;
+    default:
+      // crossfade
+      ctx.globalAlpha = transparent ? 1 - t : 1;
+      drawLayer(ctx, outLayer, 0, 0, W, H);
+      ctx.globalAlpha = t;
+      drawLayer(ctx, inLayer, 0, 0, W, H);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,198 @@
+// validate.js
+// ==================
+// Файл: validate.js
+// Назначение: проверка project.json по JSON Schema (project.schema.json).
+// Описание: без проверки опечатка вроде "typ": "image" или строковое время
+// "start": "1.5" молча дают чёрные кадры. Здесь проект прогоняется через схему
+// (ajv), а ошибки ajv переводятся в понятные сообщения с JSON-pointer путём до
+// проблемного места: `/videoTrack/2/objects/0/typ: unknown property "typ"`.
+// Ту же проверку выполняют render.js (до запуска Chromium) и tools/validate.js.
+// Экспортирует: projectSchema, validateProject, validateDefinition,
+// formatValidationErrors
+
+import fs from "fs";
+import Ajv from "ajv";
+import { isEasing } from "./easing.js";
+import { resolveLength } from "./layout.js";
+
+export const projectSchema = JSON.parse(
+  fs.readFileSync(new URL("./project.schema.json", import.meta.url), "utf-8")
+);
+
+// allErrors — показать все ошибки сразу, verbose — нужен parentSchema для подсказок;
+// allowUnionTypes — поля вроде bitrate принимают и строку ("8M"), и число
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+// строки easing ("easeOutBack", "cubic-bezier(...)", "spring(...)") проверяет easing.js
+ajv.addFormat("easing", { type: "string", validate: isEasing });
+// длины с единицами ("50%", "10vw", "24px") разбирает layout.js
+ajv.addFormat("length", {
+  type: "string",
+  validate: (s) => resolveLength(s, 0, { width: 0, height: 0 }) !== undefined,
+});
+const validate = ajv.compile(projectSchema);
+
+// Экранирование сегмента JSON pointer (RFC 6901)
+const escapePointer = (s) => String(s).replace(/~/g, "~0").replace(/\//g, "~1");
+
+// Краткое представление значения для сообщения: "1.5", 42, object, array
+function describe(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (typeof value === "object") return "object";
+  if (typeof value === "string") {
+    return JSON.stringify(
+      value.length > 40 ? value.slice(0, 37) + "..." : value
+    );
+  }
+  return String(value);
+}
+
+// Расстояние Левенштейна — для подсказки «did you mean» при опечатке в имени поля
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function suggest(name, known) {
+  let best = null;
+  for (const k of known) {
+    const dist = distance(name.toLowerCase(), k.toLowerCase());
+    if (
+      dist <= Math.max(1, Math.floor(k.length / 3)) &&
+      (!best || dist < best.dist)
+    )
+      best = { name: k, dist };
+  }
+  return best ? best.name : null;
+}
+
+// Перевести одну ошибку ajv в { path, message }; null — служебная ошибка (if/then)
+function toProblem(err) {
+  const path = err.instancePath;
+  switch (err.keyword) {
+    case "if":
+      return null;
+    case "additionalProperties": {
+      const name = err.params.additionalProperty;
+      const known = Object.keys(err.parentSchema?.properties || {}).filter(
+        (k) => k !== "$schema"
+      );
+      const hint = suggest(name, known);
+      return {
+        path: `${path}/${escapePointer(name)}`,
+        message:
+          `unknown property "${name}"` +
+          (hint ? ` (did you mean "${hint}"?)` : ""),
+      };
+    }
+    case "required":
+      return {
+        path: `${path}/${escapePointer(err.params.missingProperty)}`,
+        message: "required property is missing",
+      };
+    case "type":
+      return {
+        path,
+        message: `must be ${[]
+          .concat(err.params.type)
+          .join(" or ")}, got ${describe(err.data)}`,
+      };
+    case "enum":
+      return {
+        path,
+        message: `must be one of ${err.params.allowedValues
+          .map((v) => JSON.stringify(v))
+          .join(", ")}, got ${describe(err.data)}`,
+      };
+    case "const":
+      return {
+        path,
+        message: `must be ${JSON.stringify(
+          err.params.allowedValue
+        )}, got ${describe(err.data)}`,
+      };
+    case "format":
+      if (err.params.format === "easing") {
+        return {
+          path,
+          message: `unknown easing ${describe(
+            err.data
+          )}; use a name like "easeOutCubic", "cubic-bezier(x1, y1, x2, y2)", "steps(n)" or "spring(stiffness, damping)"`,
+        };
+      }
+      if (err.params.format === "length") {
+        return {
+          path,
+          message: `invalid length ${describe(
+            err.data
+          )}; use pixels (120) or a string like "50%", "10vw", "10vh" or "24px"`,
+        };
+      }
+      return { path, message: `${err.message}, got ${describe(err.data)}` };
+    default:
+      // minimum, maximum, minLength и т.п. — сообщения ajv достаточно понятны
+      return { path, message: `${err.message}, got ${describe(err.data)}` };
+  }
+}
+
+/**
+ * Проверить проект по схеме.
+ * Возвращает массив проблем { path, message } (пустой — проект корректен);
+ * path — JSON pointer до поля ("" — корень документа).
+ */
+export function validateProject(proj) {
+  return problemsOf(validate, proj);
+}
+
+// Валидаторы отдельных определений схемы (см. validateDefinition)
+const definitionValidators = new Map();
+
+/**
+ * Проверить фрагмент проекта по определению схемы definitions[name]
+ * (например, "object" — объект сцены). Нужна для данных, которые появляются
+ * в проекте уже после проверки самого project.json (шаблоны, см. templates.js).
+ * Возвращает массив проблем { path, message } с путями от корня data.
+ */
+export function validateDefinition(name, data) {
+  if (!definitionValidators.has(name)) {
+    definitionValidators.set(
+      name,
+      ajv.compile({
+        definitions: projectSchema.definitions,
+        $ref: `#/definitions/${name}`,
+      })
+    );
+  }
+  return problemsOf(definitionValidators.get(name), data);
+}
+
+// Прогнать data через скомпилированный валидатор и собрать понятные проблемы
+function problemsOf(validate, data) {
+  if (validate(data)) return [];
+  const seen = new Set();
+  const problems = [];
+  for (const err of validate.errors || []) {
+    const p = toProblem(err);
+    if (!p) continue;
+    const key = `${p.path}\n${p.message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    problems.push(p);
+  }
+  return problems;
+}
+
+// Отформатировать проблемы по одной на строку: "  /path: message"
+export function formatValidationErrors(problems) {
+  return problems.map((p) => `  ${p.path || "/"}: ${p.message}`).join("\n");
+}
@@ -0,0 +1,440 @@
+// variants.js
+// ==================
+// Файл: variants.js
+// Назначение: варианты одного проекта под разные соотношения сторон
+// (Reels/Shorts 9:16, лента 1:1, YouTube 16:9).
+// Описание: project.variants — список { id, width, height, ... }; каждый
+// вариант рендерится в свой файл (render.js делает все за один запуск, см.
+// renderProject в renderer.js). Проект свёрстан в исходном кадре
+// project.width x height, а applyVariant переносит его в кадр варианта:
+// - фоновое медиа (картинка или видео на весь исходный кадр) занимает весь
+//   кадр варианта с fit "cover", а focus объекта решает, какая часть медиа
+//   останется видна после обрезки;
+// - размеры остальных объектов с геометрией в пикселях, шрифты, отступы,
+//   обводки и тени умножаются на k = min(ширина варианта / исходная ширина,
+//   высота варианта / исходная высота) — композиция вписывается в новый кадр
+//   без искажений. Объект в крайней трети кадра (или безопасной зоны) держится
+//   своего края: отступ от края тоже умножается на k, и логотип в углу
+//   остаётся в углу; объект посередине сохраняет место центра в долях кадра.
+//   Проценты и vw/vh (layout.js) и так считаются от кадра варианта и не
+//   меняются;
+// - стиль субтитров масштабируется так же.
+// reframe: false у варианта отключает автоматический перенос. Точная подгонка —
+// поле variants у объекта или оверлея:
+//   "variants": { "square": { "y": "62%", "focus": { "x": 0.3, "y": 0.5 } } }
+// Эти поля заменяют поля объекта в кадре варианта (поверх автоматического
+// переноса). Вариант также может задать свои safeArea, subtitleStyle (поля
+// поверх проектных) и output (например, другой битрейт).
+// Экспортирует: VariantError, selectVariants, applyVariant, checkVariants,
+// variantOutPath
+
+import path from "path";
+import { validateDefinition } from "./validate.js";
+import {
+  anchorOrigin,
+  parseAnchor,
+  resolveLength,
+  safeAreaRect,
+} from "./layout.js";
+import { resolveSubtitleStyle } from "./subtitle-style.js";
+import { DEFAULT_FONT, fontSizeOf, withFontSize } from "./text.js";
+
+/**
+ * Ошибка вариантов проекта. errors — [{ path, message }], where — что
+ * проверялось ("variants", "--variants"), для сообщений вида
+ * "  /videoTrack/0/objects/1/variants/sqare: unknown variant".
+ */
+export class VariantError extends Error {
+  constructor(where, errors) {
+    super(
+      `${where}: ${errors.length} variant error(s)\n` +
+        errors.map((e) => `  ${e.path || where}: ${e.message}`).join("\n")
+    );
+    this.where = where;
+    this.errors = errors;
+  }
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Умножить число на k; строки с единицами и прочие значения — как есть
+const scaleNum = (v, k) => (typeof v === "number" ? round(v * k) : v);
+
+// Копия obj с числовыми полями keys, умноженными на k
+function scaleFields(obj, keys, k) {
+  const out = { ...obj };
+  for (const key of keys) {
+    if (typeof out[key] === "number") out[key] = round(out[key] * k);
+  }
+  return out;
+}
+
+/**
+ * Варианты для рендера: все из proj.variants или только перечисленные в list
+ * ("square,landscape", как в --variants). Неизвестный id — VariantError.
+ */
+export function selectVariants(proj, list) {
+  const all = proj.variants || [];
+  if (!list) return all;
+  const errors = [];
+  const picked = [];
+  for (const id of String(list).split(",")) {
+    const name = id.trim();
+    if (!name) continue;
+    const v = all.find((x) => x.id === name);
+    if (v) picked.push(v);
+    else {
+      errors.push({
+        path: "",
+        message: `unknown variant "${name}" (available: ${
+          all.map((x) => x.id).join(", ") || "none"
+        })`,
+      });
+    }
+  }
+  if (errors.length > 0) throw new VariantError("--variants", errors);
+  return picked;
+}
+
+/**
+ * Путь файла варианта id: "{{variant}}" в outPath заменяется на id, иначе id
+ * добавляется к имени файла ("out/story.mp4" -> "out/story-square.mp4").
+ */
+export function variantOutPath(outPath, id) {
+  if (outPath.includes("{{variant}}")) {
+    return outPath.split("{{variant}}").join(id);
+  }
+  const ext = path.extname(outPath);
+  return `${outPath.slice(0, outPath.length - ext.length)}-${id}${ext}`;
+}
+
+// Стиль текста со шрифтом, отступами, обводкой и тенью, умноженными на k
+function scaleTextStyle(style = {}, k) {
+  const s = scaleFields(
+    style,
+    ["pad", "radius", "letterSpacing", "minFontSize"],
+    k
+  );
+  const font = style.font || DEFAULT_FONT;
+  s.font = withFontSize(font, round(fontSizeOf(font) * k));
+  if (s.shadow && typeof s.shadow === "object") {
+    s.shadow = scaleFields(s.shadow, ["blur", "x", "y"], k);
+  }
+  if (s.stroke && typeof s.stroke === "object") {
+    s.stroke = scaleFields(s.stroke, ["width"], k);
+  }
+  return s;
+}
+
+/**
+ * Какой точкой рамки объект держится за родителя по одной оси (доля рамки,
+ * как у anchor): 0 или 1 — ближним краем, если центр рамки в крайней трети
+ * родителя размером parent, иначе 0.5 — центром. v — координата точки a
+ * (доля anchor), size — размер рамки, если известен.
+ */
+function pinOf(v, a, size, parent) {
+  if (typeof v !== "number") return 0.5;
+  const c = v + (0.5 - a) * (typeof size === "number" ? size : 0);
+  return c < parent / 3 ? 0 : c > (parent * 2) / 3 ? 1 : 0.5;
+}
+
+/**
+ * Перенести координату v точки anchor (доля a) по одной оси из родителя
+ * размером from в родителя размером to: точка pin рамки остаётся у своего края
+ * (отступ умножается на k) или, для pin 0.5, сохраняет долю родителя; сама
+ * рамка масштабируется на k.
+ */
+function mapPosition(v, a, size, pin, from, to, k) {
+  if (typeof v !== "number") return v;
+  const d = (pin - a) * (typeof size === "number" ? size : 0);
+  const p = v + d;
+  const moved =
+    pin === 0 ? p * k : pin === 1 ? to - (from - p) * k : (p * to) / from;
+  return round(moved - d * k);
+}
+
+// Занимает ли медиаобъект o весь исходный кадр (фон сцены)
+function isBackground(o, ctx) {
+  if (o.type !== "image" && o.type !== "video") return false;
+  const parent = safeAreaRect(o.safeArea, ctx.base, ctx.baseSafeArea);
+  const w = resolveLength(o.w, parent.w, ctx.base);
+  const h = resolveLength(o.h, parent.h, ctx.base);
+  if (!(w > 0 && h > 0)) return false;
+  const { x, y } = anchorOrigin(
+    o.anchor,
+    parent.x + (resolveLength(o.x, parent.w, ctx.base) || 0),
+    parent.y + (resolveLength(o.y, parent.h, ctx.base) || 0),
+    w,
+    h
+  );
+  return (
+    x <= 1 &&
+    y <= 1 &&
+    x + w >= ctx.base.width - 1 &&
+    y + h >= ctx.base.height - 1
+  );
+}
+
+// Фоновое медиа: весь кадр варианта, fit "cover" (если был "fill") и тот же focus
+function reframeBackground(o, ctx) {
+  const sx = ctx.frame.width / ctx.base.width;
+  const sy = ctx.frame.height / ctx.base.height;
+  const out = {
+    ...o,
+    x: 0,
+    y: 0,
+    w: ctx.frame.width,
+    h: ctx.frame.height,
+    fit: !o.fit || o.fit === "fill" ? "cover" : o.fit,
+  };
+  delete out.anchor;
+  delete out.margin;
+  delete out.safeArea;
+  if (Array.isArray(o.animations)) {
+    out.animations = o.animations.map((anim) => {
+      if (anim.type === "keyframes" && Array.isArray(anim.keyframes)) {
+        return {
+          ...anim,
+          keyframes: anim.keyframes.map((kf) =>
+            scaleFields(scaleFields(kf, ["x", "w"], sx), ["y", "h"], sy)
+          ),
+        };
+      }
+      if (anim.type === "move") {
+        const shift = (p) =>
+          p && scaleFields(scaleFields(p, ["x"], sx), ["y"], sy);
+        return { ...anim, from: shift(anim.from), to: shift(anim.to) };
+      }
+      return anim;
+    });
+  }
+  return out;
+}
+
+/**
+ * Перенести объект или оверлей o из исходного кадра в кадр варианта
+ * (см. описание модуля). Возвращает новый объект.
+ */
+function reframeObject(o, ctx) {
+  if (isBackground(o, ctx)) return reframeBackground(o, ctx);
+  const from = safeAreaRect(o.safeArea, ctx.base, ctx.baseSafeArea);
+  const to = safeAreaRect(o.safeArea, ctx.frame, ctx.safeArea);
+  const k = Math.min(to.w / from.w, to.h / from.h);
+  const a = parseAnchor(o.anchor);
+  const pin = {
+    x: pinOf(o.x, a.x, o.w, from.w),
+    y: pinOf(o.y, a.y, o.h, from.h),
+  };
+  const mapX = (v, size) => mapPosition(v, a.x, size, pin.x, from.w, to.w, k);
+  const mapY = (v, size) => mapPosition(v, a.y, size, pin.y, from.h, to.h, k);
+  const out = { ...o };
+  out.x = mapX(o.x, o.w);
+  out.y = mapY(o.y, o.h);
+  out.w = scaleNum(o.w, k);
+  out.h = scaleNum(o.h, k);
+  for (const key of ["x", "y", "w", "h"]) {
+    if (out[key] === undefined) delete out[key];
+  }
+  if (o.margin !== undefined) {
+    out.margin =
+      typeof o.margin === "object"
+        ? scaleFields(o.margin, ["top", "bottom", "left", "right"], k)
+        : scaleNum(o.margin, k);
+  }
+  if (o.type === "text") out.style = scaleTextStyle(o.style, k);
+  else if (typeof o.radius === "number") out.radius = round(o.radius * k);
+
+  if (Array.isArray(o.animations)) {
+    out.animations = o.animations.map((anim) => {
+      if (anim.type === "keyframes" && Array.isArray(anim.keyframes)) {
+        return {
+          ...anim,
+          keyframes: anim.keyframes.map((kf) => {
+            const f = scaleFields(kf, ["w", "h", "blur"], k);
+            f.x = mapX(kf.x, kf.w ?? o.w);
+            f.y = mapY(kf.y, kf.h ?? o.h);
+            if (f.x === undefined) delete f.x;
+            if (f.y === undefined) delete f.y;
+            return f;
+          }),
+        };
+      }
+      if (anim.type === "move") {
+        // сдвиг относительно x/y объекта — масштабируется вместе с рамкой
+        const shift = (p) => p && scaleFields(p, ["x", "y"], k);
+        return { ...anim, from: shift(anim.from), to: shift(anim.to) };
+      }
+      if (anim.type === "text")
+        return scaleFields(anim, ["distance", "blur"], k);
+      return anim;
+    });
+  }
+  return out;
+}
+
+/**
+ * Стиль субтитров spec (project.subtitleStyle) в кадре варианта: размеры в
+ * пикселях (и пикселях пресета) умножаются на k, y сохраняет долю высоты
+ * кадра; строки с единицами не меняются.
+ */
+function reframeSubtitleStyle(spec = {}, ctx) {
+  const sy = ctx.frame.height / ctx.base.height;
+  const k = Math.min(ctx.frame.width / ctx.base.width, sy);
+  const style = resolveSubtitleStyle(spec);
+  const out = { ...spec };
+  for (const key of [
+    "fontSize",
+    "width",
+    "maxWidth",
+    "paddingX",
+    "paddingY",
+    "minHeight",
+    "radius",
+    "blur",
+    "margin",
+    "letterSpacing",
+  ]) {
+    if (typeof style[key] === "number") out[key] = round(style[key] * k);
+  }
+  if (typeof style.y === "number") {
+    const h = style.minHeight || 0;
+    out.y = round((style.y + h / 2) * sy - (h * k) / 2);
+  }
+  if (style.stroke && typeof style.stroke === "object") {
+    out.stroke = scaleFields(style.stroke, ["width"], k);
+  }
+  if (style.shadow && typeof style.shadow === "object") {
+    out.shadow = scaleFields(style.shadow, ["blur", "x", "y"], k);
+  }
+  if (style.karaoke && typeof style.karaoke === "object") {
+    out.karaoke = scaleFields(
+      style.karaoke,
+      ["paddingX", "paddingY", "radius"],
+      k
+    );
+  }
+  return out;
+}
+
+/**
+ * Проект для варианта variant: кадр variant.width x height, объекты сцен,
+ * вставок графики и оверлеи перенесены из исходного кадра (если у варианта
+ * не reframe: false) и дополнены своими полями variants[variant.id];
+ * safeArea, subtitleStyle и output варианта — поверх проектных.
+ * proj не изменяется. Объекты с переопределениями проверяются по схеме;
+ * ошибки — VariantError.
+ */
+export function applyVariant(proj, variant) {
+  const base = {
+    width: proj.project?.width || 1920,
+    height: proj.project?.height || 1080,
+  };
+  const out = structuredClone(proj);
+  delete out.variants;
+  out.project = {
+    ...out.project,
+    width: variant.width,
+    height: variant.height,
+  };
+  if (variant.safeArea !== undefined) out.project.safeArea = variant.safeArea;
+  const ctx = {
+    base,
+    frame: { width: variant.width, height: variant.height },
+    baseSafeArea: proj.project?.safeArea,
+    safeArea: out.project.safeArea,
+  };
+  const reframe =
+    variant.reframe !== false &&
+    (base.width !== variant.width || base.height !== variant.height);
+
+  const errors = [];
+  const place = (o, at, definition) => {
+    // баннер newsTitle без картинки сам масштабируется под кадр (news-title.js)
+    const banner = definition === "overlay" && o.newsTitle && !o.src;
+    let r = reframe && !banner ? reframeObject(o, ctx) : { ...o };
+    const own = o.variants?.[variant.id];
+    if (own) r = { ...r, ...own };
+    delete r.variants;
+    if (own) {
+      for (const p of validateDefinition(definition, r)) {
+        errors.push({
+          path: `${at}${p.path}`,
+          message: `${p.message} (variant "${variant.id}")`,
+        });
+      }
+    }
+    return r;
+  };
+  for (const key of ["videoTrack", "graphics"]) {
+    (out[key] || []).forEach((sc, i) => {
+      if (sc.objects) {
+        sc.objects = sc.objects.map((o, j) =>
+          place(o, `/${key}/${i}/objects/${j}`, "object")
+        );
+      }
+    });
+  }
+  if (out.overlays) {
+    out.overlays = out.overlays.map((ov, i) =>
+      place(ov, `/overlays/${i}`, "overlay")
+    );
+  }
+  if (reframe && (out.subtitleStyle || out.subtitles)) {
+    out.subtitleStyle = reframeSubtitleStyle(out.subtitleStyle, ctx);
+  }
+  if (variant.subtitleStyle) {
+    out.subtitleStyle = { ...out.subtitleStyle, ...variant.subtitleStyle };
+  }
+  if (variant.output) out.output = { ...out.output, ...variant.output };
+  if (errors.length > 0) {
+    throw new VariantError(`variant "${variant.id}"`, errors);
+  }
+  return out;
+}
+
+/**
+ * Проверить варианты проекта (по умолчанию — все): уникальность id, ссылки
+ * полей variants объектов и оверлеев на объявленные варианты и объекты
+ * после переопределений. Бросает VariantError со всеми ошибками сразу.
+ */
+export function checkVariants(proj, variants = proj.variants || []) {
+  const declared = (proj.variants || []).map((v) => v.id);
+  const errors = [];
+  declared.forEach((id, i) => {
+    if (declared.indexOf(id) !== i) {
+      errors.push({
+        path: `/variants/${i}/id`,
+        message: `duplicate variant "${id}"`,
+      });
+    }
+  });
+  const checkOwn = (o, at) => {
+    for (const id of Object.keys(o.variants || {})) {
+      if (!declared.includes(id)) {
+        errors.push({
+          path: `${at}/variants/${id}`,
+          message: `unknown variant "${id}" (declared: ${
+            declared.join(", ") || "none"
+          })`,
+        });
+      }
+    }
+  };
+  for (const key of ["videoTrack", "graphics"]) {
+    (proj[key] || []).forEach((sc, i) =>
+      (sc.objects || []).forEach((o, j) =>
+        checkOwn(o, `/${key}/${i}/objects/${j}`)
+      )
+    );
+  }
+  (proj.overlays || []).forEach((ov, i) => checkOwn(ov, `/overlays/${i}`));
+  for (const v of variants) {
+    try {
+      applyVariant(proj, v);
+    } catch (e) {
+      if (!(e instanceof VariantError)) throw e;
+      errors.push(...e.errors);
+    }
+  }
+  if (errors.length > 0) throw new VariantError("variants", errors);
+}
@@ -0,0 +1,159 @@
+// video-frames.js
+// ==================
+// Файл: video-frames.js
+// Назначение: покадровое декодирование видеообъектов проекта через ffmpeg.
+// Описание: вместо перемотки <video> в браузере (seek не гарантирует точный кадр
+// и может молча сдаться по таймауту) render.js заранее извлекает ровно те кадры,
+// которые понадобятся каждому видеообъекту, с частотой кадров проекта. Кадры
+// складываются в кэш `.cache/frames/<ключ>/`, который раздаёт локальный сервер,
+// а в объект проекта записывается описание последовательности `frames`, по
+// которому page.js загружает нужный кадр как обычное изображение.
+// Один и тот же проект всегда даёт одни и те же кадры.
+// Экспортирует: probeVideo, extractVideoFrames
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { spawn } from "child_process";
+import { resolveLocalPath } from "./ffmpeg.js";
+import { transitionTail } from "./transitions.js";
+
+// Запустить процесс и собрать его stdout (stderr — в сообщение об ошибке)
+function run(cmd, args) {
+  return new Promise((res, rej) => {
+    const p = spawn(cmd, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let out = "";
+    let err = "";
+    p.stdout.on("data", (d) => (out += d));
+    p.stderr.on("data", (d) => (err += d));
+    p.on("error", rej);
+    p.on("exit", (code) =>
+      code === 0
+        ? res(out)
+        : rej(new Error(`${cmd} exit ${code}: ${err.trim().split("\n").pop()}`))
+    );
+  });
+}
+
+// "30000/1001" -> 29.97; "0/0" и мусор -> null
+function parseRate(rate) {
+  const [n, d = 1] = String(rate || "")
+    .split("/")
+    .map(Number);
+  return n > 0 && d > 0 ? n / d : null;
+}
+
+/**
+ * Узнать реальную частоту кадров и длительность видео через ffprobe.
+ * Предпочитаем avg_frame_rate (для VFR-роликов r_frame_rate бывает завышен).
+ * Возвращает { fps, duration } (fps/duration могут быть null, если неизвестны).
+ */
+export async function probeVideo(input) {
+  const out = await run("ffprobe", [
+    "-v",
+    "error",
+    "-select_streams",
+    "v:0",
+    "-show_entries",
+    "stream=avg_frame_rate,r_frame_rate:format=duration",
+    "-of",
+    "json",
+    input,
+  ]);
+  const info = JSON.parse(out);
+  const st = info.streams?.[0] || {};
+  const duration = parseFloat(info.format?.duration);
+  return {
+    fps: parseRate(st.avg_frame_rate) || parseRate(st.r_frame_rate),
+    duration: Number.isFinite(duration) ? duration : null,
+  };
+}
+
+// Путь/URL источника для ffmpeg и отпечаток для ключа кэша
+function sourceOf(src, projectDir) {
+  if (/^https?:\/\//i.test(src)) return { input: src, stamp: src };
+  const input = resolveLocalPath(src, projectDir);
+  const st = fs.statSync(input);
+  return { input, stamp: `${input}:${st.size}:${st.mtimeMs}` };
+}
+
+/**
+ * Извлечь кадры для всех видеообъектов проекта.
+ * Для объекта сцены [start, end) нужен кадр k на локальном времени k / fps,
+ * поэтому берём первые (end - start) секунд ролика через фильтр fps=<fps проекта>:
+ * он детерминированно выбирает ближайший исходный кадр для каждой отметки.
+ * Если следующая сцена входит с переходом, сцена видна и после своего end —
+ * к длительности добавляется длина перехода (см. transitions.js).
+ * Результат записывается в объект: o.frames = { base, count, fps, sourceFps },
+ * где base — URL папки с кадрами 000000.png, 000001.png, ... на локальном сервере.
+ * Кадры сохраняются в PNG, без потерь: страница рисует ровно то, что декодировал
+ * ffmpeg, без повторного сжатия.
+ * Кадры кэшируются по ключу (источник, fps, длительность, формат кадров) и
+ * повторно не извлекаются.
+ * Ошибка извлечения не прерывает рендер: объект остаётся с обычным <video>.
+ */
+export async function extractVideoFrames(
+  proj,
+  { fps, projectDir, cacheDir, cacheUrl, onlyProbe = false }
+) {
+  const probes = new Map();
+  // видео бывают и в развёрнутых шаблонах графики (graphics, см. templates.js)
+  for (const sc of [...(proj.videoTrack || []), ...(proj.graphics || [])]) {
+    const durSec = sc.end - sc.start + transitionTail(proj.videoTrack, sc);
+    for (const o of sc.objects || []) {
+      if (o.type !== "video" || !o.src) continue;
+      try {
+        const { input, stamp } = sourceOf(o.src, projectDir);
+        if (!probes.has(input)) probes.set(input, await probeVideo(input));
+        const probe = probes.get(input);
+        // реальная частота кадров ролика (нужна и режиму <video> для выбора кадра)
+        if (probe.fps) o.sourceFps = probe.fps;
+        if (onlyProbe) continue;
+
+        const key = crypto
+          .createHash("sha1")
+          .update(JSON.stringify([stamp, fps, durSec, "png"]))
+          .digest("hex")
+          .slice(0, 16);
+        const dir = path.join(cacheDir, key);
+        const donePath = path.join(dir, "frames.json");
+        if (!fs.existsSync(donePath)) {
+          fs.rmSync(dir, { recursive: true, force: true });
+          fs.mkdirSync(dir, { recursive: true });
+          console.log(`→ extracting frames of ${o.id || o.src} @ ${fps}fps`);
+          await run("ffmpeg", [
+            "-v",
+            "error",
+            "-i",
+            input,
+            "-t",
+            String(durSec),
+            "-vf",
+            `fps=${fps}`,
+            "-start_number",
+            "0",
+            path.join(dir, "%06d.png"),
+          ]);
+          const count = fs
+            .readdirSync(dir)
+            .filter((f) => f.endsWith(".png")).length;
+          // маркер пишем последним: недоизвлечённая папка будет перезаписана
+          fs.writeFileSync(
+            donePath,
+            JSON.stringify({ count, sourceFps: probe.fps })
+          );
+        }
+        const { count } = JSON.parse(fs.readFileSync(donePath, "utf-8"));
+        if (count > 0) {
+          o.frames = { base: `${cacheUrl}/${key}/`, count, fps };
+          if (probe.fps) o.frames.sourceFps = probe.fps;
+        }
+      } catch (e) {
+        console.warn(
+          `frame extraction failed for ${o.id || o.src}:`,
+          e && e.message ? e.message : e
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,235 @@
+// animation.test.js
+// ==================
+// Файл: test/animation.test.js
+// Назначение: тесты движка ключевых кадров (animation.js) и предупреждения lint
+// об одновременных анимациях одного свойства.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  animationTracks,
+  evaluateTracks,
+  interpolateColor,
+} from "../src/animation.js";
+import { lintProject } from "../src/lint.js";
+import { resolveEasing } from "../src/easing.js";
+
+const ease = (name) => resolveEasing(name);
+
+// Анимированные свойства объекта o в сцене длительностью dur на времени t
+const at = (o, dur, t) => evaluateTracks(animationTracks(o, dur), t, ease);
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test("keyframes interpolate between offsets and hold outside", () => {
+  const o = {
+    animations: [
+      {
+        type: "keyframes",
+        start: 1,
+        duration: 2,
+        keyframes: [
+          { x: 0 },
+          { offset: 0.25, opacity: 0 },
+          { x: 100, opacity: 1 },
+        ],
+      },
+    ],
+  };
+  assert.deepEqual(at(o, 10, 0), { x: 0, opacity: 0 });
+  close(at(o, 10, 2).x, 50);
+  close(at(o, 10, 2).opacity, 1 / 3);
+  assert.deepEqual(at(o, 10, 5), { x: 100, opacity: 1 });
+});
+
+test("keyframe time, delay and per-keyframe easing", () => {
+  const o = {
+    animations: [
+      {
+        type: "keyframes",
+        delay: 1,
+        easing: "easeInQuad",
+        keyframes: [
+          { time: 0, scale: 1 },
+          { time: 2, scale: 3 },
+        ],
+      },
+    ],
+  };
+  // easeInQuad(0.5) = 0.25
+  close(at(o, 10, 2).scale, 1.5);
+});
+
+test("colors interpolate in RGBA and named colors switch at the middle", () => {
+  assert.equal(
+    interpolateColor("#000", "#ffffff80", 0.5),
+    "rgba(128,128,128,0.751)"
+  );
+  assert.equal(
+    interpolateColor("rgb(0, 0, 0)", "rgba(10, 20, 30, 0)", 1),
+    "rgba(10,20,30,0)"
+  );
+  assert.equal(interpolateColor("red", "#fff", 0.4), "red");
+  assert.equal(interpolateColor("red", "#fff", 0.6), "#fff");
+});
+
+test("flip switches at the next keyframe", () => {
+  const o = {
+    animations: [
+      { type: "keyframes", keyframes: [{ flipX: false }, { flipX: true }] },
+    ],
+  };
+  assert.equal(at(o, 2, 1.99).flipX, false);
+  assert.equal(at(o, 2, 2).flipX, true);
+});
+
+test("transform properties interpolate as numbers", () => {
+  const o = {
+    animations: [
+      {
+        type: "keyframes",
+        keyframes: [
+          { rotation: -90, pivotX: 0, skewX: 0, scaleY: 1 },
+          { rotation: 270, pivotX: 1, skewX: 20, scaleY: -1 },
+        ],
+      },
+    ],
+  };
+  assert.deepEqual(at(o, 2, 1), {
+    rotation: 90,
+    pivotX: 0.5,
+    skewX: 10,
+    scaleY: 0,
+  });
+});
+
+test("legacy zoom, move and fade become tracks over the scene", () => {
+  const o = {
+    x: 10,
+    y: 20,
+    animations: [
+      { type: "zoom", from: 1, to: 2 },
+      { type: "move", from: { x: 0, y: 0 }, to: { x: 100, y: -20 } },
+      { type: "fade", in: 1, out: 1 },
+    ],
+  };
+  const mid = at(o, 4, 2);
+  close(mid.scale, 1.5);
+  close(mid.x, 60);
+  close(mid.y, 10);
+  close(mid.opacity, 1);
+  close(at(o, 4, 0.5).opacity, 0.5);
+  close(at(o, 4, 3.75).opacity, 0.25);
+});
+
+test("simultaneous moves add their offsets", () => {
+  const o = {
+    x: 10,
+    y: 20,
+    animations: [
+      { type: "move", from: { x: 0, y: 0 }, to: { x: 100, y: 0 } },
+      { type: "move", from: { x: 0, y: 0 }, to: { x: 0, y: -40 } },
+    ],
+  };
+  const mid = at(o, 4, 2);
+  close(mid.x, 60);
+  close(mid.y, 0);
+  // move поверх ключевых кадров сдвигает их значение
+  const keyed = {
+    x: 10,
+    animations: [
+      { type: "keyframes", keyframes: [{ x: 200 }, { x: 200 }] },
+      { type: "move", to: { x: 40 } },
+    ],
+  };
+  close(at(keyed, 4, 2).x, 220);
+});
+
+test("fades multiply with each other and with keyframed opacity", () => {
+  const o = {
+    animations: [
+      { type: "keyframes", keyframes: [{ opacity: 0.5 }, { opacity: 0.5 }] },
+      { type: "fade", in: 2 },
+      { type: "fade", in: 4 },
+    ],
+  };
+  close(at(o, 4, 1).opacity, 0.5 * 0.5 * 0.25);
+  close(at(o, 4, 4).opacity, 0.5);
+  // без других дорожек fade умножается на 1
+  close(at({ animations: [{ type: "fade", out: 2 }] }, 4, 3).opacity, 0.5);
+});
+
+test("the later-starting track of a property applies", () => {
+  const o = {
+    animations: [
+      { type: "keyframes", start: 0, end: 2, keyframes: [{ x: 0 }, { x: 10 }] },
+      {
+        type: "keyframes",
+        start: 3,
+        end: 4,
+        keyframes: [{ x: 50 }, { x: 60 }],
+      },
+    ],
+  };
+  assert.equal(at(o, 5, 2.5).x, 10);
+  close(at(o, 5, 3.5).x, 55);
+  // до начала обеих — самая ранняя
+  const late = {
+    animations: [
+      { type: "keyframes", start: 2, keyframes: [{ x: 7 }, { x: 8 }] },
+      { type: "keyframes", start: 1, keyframes: [{ x: 1 }, { x: 2 }] },
+    ],
+  };
+  assert.equal(at(late, 5, 0).x, 1);
+});
+
+test("kenburns gives an eased 0..1 progress track", () => {
+  const o = { animations: [{ type: "kenburns", start: 1, end: 3 }] };
+  assert.equal(at(o, 5, 0).kenburns, 0);
+  close(at(o, 5, 2).kenburns, 0.5);
+  assert.equal(at(o, 5, 4).kenburns, 1);
+  assert.equal(animationTracks(o, 5)[0].animation, 0);
+});
+
+test("lint warns about simultaneous animations of one property", () => {
+  const proj = {
+    project: { videoLength: 4 },
+    videoTrack: [
+      {
+        start: 0,
+        end: 4,
+        objects: [
+          {
+            id: "logo",
+            type: "image",
+            x: 0,
+            y: 0,
+            animations: [
+              { type: "keyframes", keyframes: [{ x: 0 }, { x: 10 }] },
+              { type: "fade", in: 1 },
+              { type: "move", from: { x: 0 }, to: { x: 10 } },
+              {
+                type: "keyframes",
+                start: 1,
+                end: 2,
+                keyframes: [{ x: 5 }, { x: 6 }],
+              },
+              { type: "fade", out: 1 },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+  assert.deepEqual(lintProject(proj), [
+    {
+      path: "/videoTrack/0/objects/0/animations/3",
+      id: "logo",
+      start: 1,
+      end: 2,
+      message:
+        'animates "x" at the same time as animation 0; only the later-starting one applies',
+    },
+  ]);
+});
@@ -0,0 +1,180 @@
+// assets.test.js
+// ==================
+// Файл: test/assets.test.js
+// Назначение: тесты сбора ссылок на ассеты и кэша загрузок (assets.js).
+// Описание: загрузки идут с локального HTTP-сервера на 127.0.0.1, кэш — во
+// временной папке.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import {
+  collectAssetUrls,
+  createAssetCache,
+  rewriteAssetUrls,
+} from "../src/assets.js";
+
+// Проект со ссылками во всех местах, где могут быть ассеты
+function project() {
+  return {
+    videoTrack: [
+      {
+        objects: [
+          { type: "video", src: "https://cdn/a.mp4" },
+          { type: "image", src: "local.png" },
+        ],
+      },
+    ],
+    graphics: [{ objects: [{ type: "image", src: "https://cdn/a.mp4" }] }],
+    overlays: [{ src: "http://cdn/logo.png" }],
+    audio: {
+      tracks: [{ src: "https://cdn/voice.mp3" }],
+      music: { src: "https://cdn/music.mp3" },
+    },
+    subtitles: { src: "https://cdn/captions.srt" },
+  };
+}
+
+test("collectAssetUrls finds every remote src once", () => {
+  assert.deepEqual(collectAssetUrls(project()), [
+    "https://cdn/a.mp4",
+    "http://cdn/logo.png",
+    "https://cdn/voice.mp3",
+    "https://cdn/music.mp3",
+    "https://cdn/captions.srt",
+  ]);
+});
+
+test("rewriteAssetUrls replaces mapped urls and keeps the rest", () => {
+  const proj = project();
+  rewriteAssetUrls(
+    proj,
+    new Map([
+      ["https://cdn/a.mp4", "/cache/a.mp4"],
+      ["https://cdn/captions.srt", "/cache/c.srt"],
+    ])
+  );
+  assert.equal(proj.videoTrack[0].objects[0].src, "/cache/a.mp4");
+  assert.equal(proj.videoTrack[0].objects[1].src, "local.png");
+  assert.equal(proj.graphics[0].objects[0].src, "/cache/a.mp4");
+  assert.equal(proj.subtitles.src, "/cache/c.srt");
+  assert.equal(proj.overlays[0].src, "http://cdn/logo.png");
+});
+
+// Поднять HTTP-сервер на свободном порту; { base, hits, close() }
+async function serve(handler) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push({ url: req.url, headers: req.headers });
+    handler(req, res);
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  return {
+    base: `http://127.0.0.1:${server.address().port}`,
+    hits,
+    close: () => new Promise((r) => server.close(r)),
+  };
+}
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "assets-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("downloads once, then revalidates with the stored ETag", async (t) => {
+  const srv = await serve((req, res) => {
+    if (req.url === "/old.png") {
+      res.writeHead(302, { location: "/img.png" });
+      res.end();
+    } else if (req.headers["if-none-match"] === '"v1"') {
+      res.writeHead(304);
+      res.end();
+    } else {
+      res.writeHead(200, { etag: '"v1"' });
+      res.end("PNGDATA");
+    }
+  });
+  t.after(srv.close);
+  const dir = tmpDir(t);
+  const url = `${srv.base}/old.png`;
+
+  const first = createAssetCache({ dir, urlPrefix: "/cache" });
+  const local = await first.fetch(url);
+  assert.match(local, /^\/cache\/[0-9a-f]{24}\.png$/);
+  const file = path.join(dir, path.basename(local));
+  assert.equal(fs.readFileSync(file, "utf8"), "PNGDATA");
+  assert.equal(
+    JSON.parse(fs.readFileSync(`${file}.json`, "utf8")).etag,
+    '"v1"'
+  );
+  assert.deepEqual(
+    fs.readdirSync(dir).filter((f) => f.includes(".tmp-")),
+    []
+  );
+
+  // тот же кэш не ходит в сеть повторно
+  await first.fetch(url);
+  assert.equal(srv.hits.length, 2);
+
+  // новый кэш (следующий запуск) спрашивает сервер с If-None-Match,
+  // заголовок сохраняется и после редиректа
+  const second = createAssetCache({ dir, urlPrefix: "/cache" });
+  assert.equal(await second.fetch(url), local);
+  assert.equal(srv.hits.length, 4);
+  assert.equal(srv.hits[3].url, "/img.png");
+  assert.equal(srv.hits[3].headers["if-none-match"], '"v1"');
+});
+
+test("fetchAll reports failures and does not retry client errors", async (t) => {
+  const srv = await serve((req, res) => {
+    res.writeHead(req.url === "/missing" ? 404 : 200);
+    res.end("ok");
+  });
+  t.after(srv.close);
+  const cache = createAssetCache({ dir: tmpDir(t), urlPrefix: "/c" });
+  const { map, errors } = await cache.fetchAll([
+    `${srv.base}/a.mp3`,
+    `${srv.base}/missing`,
+  ]);
+  assert.equal(map.size, 1);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].url, `${srv.base}/missing`);
+  assert.match(errors[0].error.message, /Failed to download .*: 404/);
+  assert.equal(srv.hits.filter((h) => h.url === "/missing").length, 1);
+});
+
+test("server errors are retried", async (t) => {
+  let calls = 0;
+  const srv = await serve((req, res) => {
+    res.writeHead(++calls === 1 ? 503 : 200);
+    res.end("ok");
+  });
+  t.after(srv.close);
+  const cache = createAssetCache({
+    dir: tmpDir(t),
+    urlPrefix: "/c",
+    retries: 1,
+  });
+  assert.match(await cache.fetch(`${srv.base}/v.mp4`), /\.mp4$/);
+  assert.equal(calls, 2);
+});
+
+test("offline mode serves cached files and fails on a miss", async (t) => {
+  const srv = await serve((req, res) => res.end("data"));
+  t.after(srv.close);
+  const dir = tmpDir(t);
+  const url = `${srv.base}/a.jpg`;
+  await createAssetCache({ dir, urlPrefix: "/c" }).fetch(url);
+
+  const offline = createAssetCache({ dir, urlPrefix: "/c", offline: true });
+  assert.match(await offline.fetch(url), /\.jpg$/);
+  await assert.rejects(
+    offline.fetch(`${srv.base}/b.jpg`),
+    /not in asset cache \(offline\)/
+  );
+  assert.equal(srv.hits.length, 1);
+});
@@ -0,0 +1,126 @@
+// batch-data.test.js
+// ==================
+// Файл: test/batch-data.test.js
+// Назначение: тесты чтения данных пакетного рендера (batch-data.js): CSV с
+// кавычками, разделителями и типами колонок, JSON Lines, ошибки по строкам.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  BatchDataError,
+  loadBatchRows,
+  parseCsv,
+  parseJsonLines,
+} from "../src/batch-data.js";
+
+test("CSV values may hold separators, quotes and line breaks", () => {
+  const csv =
+    '\uFEFFtitle,text\r\n"Hello, world","He said ""hi""\nand left"\r\n\r\nplain,\n';
+  const { rows, errors } = parseCsv(csv);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [
+    {
+      line: 2,
+      values: { title: "Hello, world", text: 'He said "hi"\nand left' },
+    },
+    { line: 5, values: { title: "plain", text: "" } },
+  ]);
+});
+
+test("the separator is a semicolon when the header has no commas", () => {
+  const { rows } = parseCsv("a;b\n1,5;2\n");
+  assert.deepEqual(rows[0].values, { a: "1,5", b: "2" });
+  assert.deepEqual(parseCsv("a\tb\nx\ty", "\t").rows[0].values, {
+    a: "x",
+    b: "y",
+  });
+});
+
+test("typed columns convert values and report invalid ones", () => {
+  const csv = [
+    "id,duration:number,muted:boolean,images:json",
+    'a,1.5,yes,"[""x.png""]"',
+    "b,,0,{}",
+    "c,fast,maybe,{",
+  ].join("\n");
+  const { rows, errors } = parseCsv(csv);
+  assert.deepEqual(rows[0].values, {
+    id: "a",
+    duration: 1.5,
+    muted: true,
+    images: ["x.png"],
+  });
+  assert.equal(rows[1].values.muted, false);
+  assert.deepEqual(errors, [
+    { line: 3, message: 'column "duration": invalid value ""' },
+    { line: 4, message: 'column "duration": invalid value "fast"' },
+    { line: 4, message: 'column "muted": invalid value "maybe"' },
+    { line: 4, message: 'column "images": invalid value "{"' },
+  ]);
+});
+
+test("header and row shape errors carry line numbers", () => {
+  assert.deepEqual(parseCsv("a,a,,b:date\n1,2,3,4\n1,2\n").errors, [
+    {
+      line: 1,
+      message:
+        'unknown type "date" of column "b" (known: string, number, boolean, json)',
+    },
+    { line: 1, message: 'duplicate column "a"' },
+    { line: 1, message: "column 3 has no name" },
+    { line: 3, message: "expected 4 value(s), got 2" },
+  ]);
+  assert.deepEqual(parseCsv('a\n"open\n').errors, [
+    { line: 2, message: "unterminated quoted value" },
+  ]);
+  assert.deepEqual(parseCsv("\n\n").errors, [
+    { line: 1, message: "missing header row" },
+  ]);
+});
+
+test("JSON Lines keep JSON types and skip blanks and comments", () => {
+  const { rows, errors } = parseJsonLines(
+    '{"n":1,"tags":["a"]}\n\n// comment\n[1]\n{bad\n{"ok":true}\n'
+  );
+  assert.deepEqual(rows, [
+    { line: 1, values: { n: 1, tags: ["a"] } },
+    { line: 6, values: { ok: true } },
+  ]);
+  assert.equal(errors.length, 2);
+  assert.deepEqual(errors[0], {
+    line: 4,
+    message: "each line must be a JSON object",
+  });
+  assert.equal(errors[1].line, 5);
+});
+
+test("loadBatchRows picks the parser by extension and rejects empty files", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-data-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const write = (name, text) => {
+    fs.writeFileSync(path.join(dir, name), text);
+    return path.join(dir, name);
+  };
+  assert.deepEqual(loadBatchRows(write("a.tsv", "x\ty\n1\t2\n"))[0].values, {
+    x: "1",
+    y: "2",
+  });
+  assert.deepEqual(loadBatchRows(write("a.jsonl", '{"x":1}\n'))[0].values, {
+    x: 1,
+  });
+  const empty = write("empty.csv", "x,y\n");
+  assert.throws(
+    () => loadBatchRows(empty),
+    (e) =>
+      e instanceof BatchDataError &&
+      e.message === `${empty}: 1 data error(s)\n  ${empty}: no data rows`
+  );
+  const bad = write("bad.ndjson", "{}\nnope\n");
+  assert.throws(
+    () => loadBatchRows(bad),
+    (e) => e.errors[0].line === 2
+  );
+});
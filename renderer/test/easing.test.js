@@ -0,0 +1,101 @@
+// easing.test.js
+// ==================
+// Файл: test/easing.test.js
+// Назначение: тесты функций плавности (easing.js): концы интервала,
+// cubic-bezier, steps, spring и разбор строк.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  EASINGS,
+  isEasing,
+  parseEasing,
+  resolveEasing,
+} from "../src/easing.js";
+
+const close = (actual, expected, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not ${expected}`);
+
+test("every named easing starts at 0 and ends at 1", () => {
+  for (const [name, f] of Object.entries(EASINGS)) {
+    close(f(0), 0, 1e-9);
+    close(f(1), 1, 1e-9);
+    assert.ok(Number.isFinite(f(0.5)), name);
+  }
+});
+
+test("families are symmetric and keep the legacy curves", () => {
+  close(EASINGS.easeInQuad(0.5), 0.25);
+  close(EASINGS.easeOutQuad(0.5), 0.75);
+  close(EASINGS.easeInOutCubic(0.5), 0.5);
+  close(EASINGS.easeInOut(0.25), 0.125);
+  close(EASINGS.easeOut(0.5), 0.875);
+  // Back выходит за 0..1
+  assert.ok(EASINGS.easeInBack(0.2) < 0);
+  assert.ok(EASINGS.easeOutBack(0.8) > 1);
+});
+
+test("cubic-bezier matches CSS keywords and linear", () => {
+  const linear = parseEasing("cubic-bezier(0, 0, 1, 1)");
+  for (const t of [0.1, 0.5, 0.9]) close(linear(t), t);
+  const ease = parseEasing("ease");
+  close(ease(0.5), parseEasing("cubic-bezier(0.25, 0.1, 0.25, 1)")(0.5));
+  // известное значение CSS ease в середине
+  close(ease(0.5), 0.8024, 1e-3);
+  assert.equal(ease(-1), 0);
+  assert.equal(ease(2), 1);
+  // y может выходить за 0..1, x — нет
+  assert.ok(isEasing("cubic-bezier(0.3, -0.5, 0.7, 1.5)"));
+  assert.equal(parseEasing("cubic-bezier(1.2, 0, 0.5, 1)"), null);
+  assert.equal(parseEasing("cubic-bezier(0, 0, 1)"), null);
+  assert.equal(parseEasing("cubic-bezier(0, , 1, 1)"), null);
+});
+
+test("steps positions follow CSS", () => {
+  const sample = (spec) =>
+    [0, 0.1, 0.5, 0.9, 1].map((t) => parseEasing(spec)(t));
+  assert.deepEqual(sample("steps(2)"), [0, 0, 0.5, 0.5, 1]);
+  assert.deepEqual(sample("steps(2, end)"), sample("steps(2)"));
+  assert.deepEqual(sample("steps(2, jump-start)"), [0.5, 0.5, 1, 1, 1]);
+  assert.deepEqual(sample("steps(2, start)"), sample("steps(2, jump-start)"));
+  assert.deepEqual(sample("steps(3, jump-none)"), [0, 0, 0.5, 1, 1]);
+  assert.deepEqual(sample("steps(3, jump-both)"), [0.25, 0.25, 0.5, 0.75, 1]);
+  for (const bad of [
+    "steps(0)",
+    "steps(1.5)",
+    "steps(2, middle)",
+    "steps(1, jump-none)",
+  ]) {
+    assert.equal(isEasing(bad), false, bad);
+  }
+});
+
+test("spring settles at 1 within the animation", () => {
+  for (const spec of [
+    "spring",
+    "spring(100, 20)",
+    "spring(200, 40, 2)",
+    "spring(50, 5)",
+  ]) {
+    const f = parseEasing(spec);
+    assert.equal(f(0), 0, spec);
+    assert.equal(f(1), 1, spec);
+    close(f(0.999), 1, 2e-3);
+  }
+  // недодемпфированная пружина перелетает через 1
+  const bouncy = parseEasing("spring(100, 5)");
+  assert.ok([0.1, 0.2, 0.3].some((t) => bouncy(t) > 1));
+  assert.equal(isEasing("spring(100, 0)"), false);
+  assert.equal(isEasing("spring(1, 2, 3, 4)"), false);
+});
+
+test("parsing: empty means linear, unknown resolves to a fallback", () => {
+  assert.equal(parseEasing(undefined), EASINGS.linear);
+  assert.equal(parseEasing(""), EASINGS.linear);
+  assert.equal(parseEasing(42), null);
+  assert.equal(isEasing("easeOutWobble"), false);
+  assert.equal(isEasing("toString"), false);
+  assert.equal(resolveEasing("easeOutWobble"), EASINGS.linear);
+  assert.equal(resolveEasing("nope", EASINGS.easeIn), EASINGS.easeIn);
+  assert.equal(resolveEasing("easeOutBack"), EASINGS.easeOutBack);
+});
@@ -0,0 +1,35 @@
+// fake-bin.js
+// ==================
+// Файл: test/fake-bin.js
+// Назначение: подмена внешних программ (ffmpeg, ffprobe) в тестах.
+// Описание: тесты не рассчитывают на установленный ffmpeg: fakeBin пишет
+// исполняемый sh-скрипт с нужным именем во временную папку и ставит её первой
+// в PATH, поэтому spawn("ffmpeg", ...) запускает этот скрипт.
+// Экспортирует: fakeBin
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Подменить программы: scripts — { имя: тело sh-скрипта }.
+ * Возвращает { dir, restore() }: dir — временная папка (её можно использовать
+ * и для файлов теста), restore() возвращает PATH и удаляет папку.
+ */
+export function fakeBin(scripts) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "renderer-test-"));
+  for (const [name, body] of Object.entries(scripts)) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, `#!/bin/sh\n${body}\n`);
+    fs.chmodSync(file, 0o755);
+  }
+  const prevPath = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${prevPath}`;
+  return {
+    dir,
+    restore() {
+      process.env.PATH = prevPath;
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,180 @@
+// ffmpeg.test.js
+// ==================
+// Файл: test/ffmpeg.test.js
+// Назначение: тесты ffmpeg.js — входы кадров, аргументы кодирования, сегменты
+// воркеров (--workers) и потоковый приёмник кадров (createFFmpegSink).
+// Описание: ffmpeg подменяется sh-скриптом (см. fake-bin.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  buildAudioArgs,
+  buildEncodeArgs,
+  buildSegmentArgs,
+  concatVideoInput,
+  createFFmpegSink,
+  framesVideoInput,
+  pipeVideoInput,
+} from "../src/ffmpeg.js";
+import { resolveOutput, segmentFormat, videoArgs } from "../src/output.js";
+import { fakeBin } from "./fake-bin.js";
+
+test("pipeVideoInput reads a PNG stream from stdin at the project fps", () => {
+  assert.deepEqual(pipeVideoInput(25), [
+    "-f",
+    "image2pipe",
+    "-framerate",
+    "25",
+    "-c:v",
+    "png",
+    "-i",
+    "pipe:0",
+  ]);
+});
+
+test("framesVideoInput reads numbered PNG files from the frames folder", () => {
+  assert.deepEqual(framesVideoInput(30, "/out/frames"), [
+    "-framerate",
+    "30",
+    "-i",
+    path.join("/out/frames", "frame_%06d.png"),
+  ]);
+});
+
+test("buildEncodeArgs puts inputs before codecs and adds silence without audio", () => {
+  const args = buildEncodeArgs({
+    videoInput: pipeVideoInput(30),
+    audio: undefined,
+    projectDir: "/p",
+    fromSec: 0,
+    totalSec: 10,
+    outPath: "/out/a.mp4",
+    output: resolveOutput(),
+  });
+  assert.deepEqual(args.slice(0, 9), ["-y", ...pipeVideoInput(30)]);
+  const silence = args.indexOf(
+    "anullsrc=channel_layout=stereo:sample_rate=44100"
+  );
+  assert.ok(silence > 0 && silence < args.lastIndexOf("-c:v"));
+  assert.ok(args.includes("-shortest"));
+  assert.deepEqual(args.slice(-4), ["+faststart", "-f", "mp4", "/out/a.mp4"]);
+});
+
+test("createFFmpegSink writes frames to ffmpeg stdin and waits for exit", async () => {
+  const bin = fakeBin({ ffmpeg: 'cat > "$1"' });
+  try {
+    const out = path.join(bin.dir, "frames.bin");
+    const sink = createFFmpegSink([out]);
+    await sink.write(Buffer.from("a"));
+    await sink.write(Buffer.from("b"));
+    await sink.end();
+    assert.equal(fs.readFileSync(out, "utf8"), "ab");
+  } finally {
+    bin.restore();
+  }
+});
+
+test("createFFmpegSink reports a failed ffmpeg", async () => {
+  const bin = fakeBin({ ffmpeg: "exit 3" });
+  try {
+    const sink = createFFmpegSink([]);
+    await assert.rejects(sink.end(), /ffmpeg exit 3/);
+  } finally {
+    bin.restore();
+  }
+});
+
+test("buildSegmentArgs encodes a frame range without audio", () => {
+  const output = resolveOutput();
+  const args = buildSegmentArgs({
+    videoInput: pipeVideoInput(30),
+    output,
+    outPath: "/out/segment_000.mp4",
+  });
+  assert.deepEqual(args, [
+    "-y",
+    ...pipeVideoInput(30),
+    "-an",
+    ...videoArgs(output),
+    "/out/segment_000.mp4",
+  ]);
+});
+
+test("concatVideoInput reads the segment list with the concat demuxer", () => {
+  assert.deepEqual(concatVideoInput("/out/segments.txt"), [
+    "-f",
+    "concat",
+    "-safe",
+    "0",
+    "-i",
+    "/out/segments.txt",
+  ]);
+});
+
+test("createFFmpegSink.abort stops a running ffmpeg and fails later writes", async () => {
+  const bin = fakeBin({ ffmpeg: "cat > /dev/null" });
+  try {
+    const sink = createFFmpegSink([]);
+    await sink.write(Buffer.from("frame"));
+    await sink.abort();
+    await assert.rejects(sink.write(Buffer.from("frame")), /aborted/);
+  } finally {
+    bin.restore();
+  }
+});
+
+test("createFFmpegSink.abort after end does nothing", async () => {
+  const bin = fakeBin({ ffmpeg: "cat > /dev/null" });
+  try {
+    const sink = createFFmpegSink([]);
+    await sink.end();
+    await sink.abort();
+  } finally {
+    bin.restore();
+  }
+});
+
+test("segmentFormat copies final-codec segments and re-encodes GIF from FFV1", () => {
+  assert.deepEqual(segmentFormat(resolveOutput()), {
+    ext: "mp4",
+    args: videoArgs(resolveOutput()),
+    copy: true,
+  });
+  const gif = segmentFormat(resolveOutput({ codec: "gif" }));
+  assert.equal(gif.ext, "mkv");
+  assert.equal(gif.copy, false);
+  assert.deepEqual(gif.args.slice(0, 2), ["-c:v", "ffv1"]);
+});
+
+test("buildAudioArgs trims the mix to the render window", () => {
+  const audio = { tracks: [{ src: "/a.mp3", volumePercent: 50, offset: 1 }] };
+  const whole = buildAudioArgs(audio, { projectDir: "/p", totalSec: 10 });
+  assert.deepEqual(whole.inputs, ["-i", path.resolve("/p", "./a.mp3")]);
+  assert.equal(
+    whole.filters[0],
+    "[1:a]adelay=1000|1000,volume=0.500000,apad[a0]"
+  );
+  assert.match(whole.filters[1], /,atrim=0:10\[out\]$/);
+
+  const window = buildAudioArgs(audio, {
+    projectDir: "/p",
+    fromSec: 2,
+    totalSec: 5,
+  });
+  assert.match(window.filters[1], /,atrim=2:5,asetpts=PTS-STARTPTS\[out\]$/);
+});
+
+test("buildAudioArgs offsets legacy music with -itsoffset before its input", () => {
+  const a = buildAudioArgs(
+    { music: { src: "https://x/m.mp3", offset: 1.5, gain: -6 } },
+    { projectDir: "/p", totalSec: 4 }
+  );
+  assert.deepEqual(a.inputs, ["-itsoffset", "1.5", "-i", "https://x/m.mp3"]);
+  assert.equal(a.filters[0], "[1:a]volume=0.501,apad,atrim=0:4[out]");
+});
+
+test("buildAudioArgs returns null for a project without audio", () => {
+  assert.equal(buildAudioArgs({}, { projectDir: "/p", totalSec: 4 }), null);
+});
@@ -0,0 +1,115 @@
+// karaoke.test.js
+// ==================
+// Файл: test/karaoke.test.js
+// Назначение: тесты пословной подсветки субтитров (karaoke.js) и связи
+// фрагментов текста с исходными словами (textRuns в text.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  activeWord,
+  resolveKaraoke,
+  subtitleWords,
+  wordScale,
+  wordWindow,
+} from "../src/karaoke.js";
+import { fontSizeOf, layoutText, textRuns } from "../src/text.js";
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test("resolveKaraoke merges the style over defaults", () => {
+  assert.equal(resolveKaraoke(true).color, "#ffd400");
+  assert.equal(resolveKaraoke({ scale: 1.2 }).scale, 1.2);
+  assert.equal(resolveKaraoke({ scale: 1.2 }).pop, 0.15);
+});
+
+test("untimed words split the cue by character count and keep line breaks", () => {
+  const words = subtitleWords({ start: 1, end: 4, text: "ab\nc abc" });
+  assert.deepEqual(
+    words.map((w) => [w.text, w.br]),
+    [
+      ["ab", true],
+      ["c", undefined],
+      ["abc", undefined],
+    ]
+  );
+  close(words[0].start, 1);
+  close(words[0].end, 2);
+  close(words[1].end, 2.5);
+  close(words[2].end, 4);
+});
+
+test("timed words bound the untimed ones between them", () => {
+  const words = subtitleWords({
+    start: 0,
+    end: 10,
+    words: [
+      { text: "one", start: 1, end: 2 },
+      { text: "two" },
+      { text: "three!" },
+      { text: 4, start: 8, end: 9 },
+    ],
+  });
+  assert.equal(words[3].text, "4");
+  close(words[1].start, 2);
+  close(words[1].end, 4);
+  close(words[2].end, 8);
+});
+
+test("the active word holds until the next one starts", () => {
+  const words = [
+    { start: 1, end: 2 },
+    { start: 3, end: 4 },
+  ];
+  assert.equal(activeWord(words, 0.5), -1);
+  assert.equal(activeWord(words, 2.5), 0);
+  assert.equal(activeWord(words, 9), 1);
+});
+
+test("the word window centres the active word and stops at the edges", () => {
+  assert.deepEqual(wordWindow(10, 5, 3), { first: 4, last: 7 });
+  assert.deepEqual(wordWindow(10, 0, 4), { first: 0, last: 4 });
+  assert.deepEqual(wordWindow(10, 9, 4), { first: 6, last: 10 });
+  assert.deepEqual(wordWindow(3, 1, 5), { first: 0, last: 3 });
+  assert.deepEqual(wordWindow(3, 1, null), { first: 0, last: 3 });
+});
+
+test("wordScale pops from 1 to scale over pop seconds", () => {
+  const linear = (t) => t;
+  const k = resolveKaraoke({ scale: 1.5, pop: 0.2 });
+  const word = { start: 2 };
+  assert.equal(wordScale(k, word, 1, linear), 1);
+  close(wordScale(k, word, 2.1, linear), 1.25);
+  assert.equal(wordScale(k, word, 5, linear), 1.5);
+  assert.equal(wordScale(resolveKaraoke(true), word, 2.1, linear), 1);
+});
+
+test("text runs of a word broken across lines map to that one word", () => {
+  const ctx = {
+    font: "",
+    measureText(s) {
+      return { width: (s.length * fontSizeOf(this.font)) / 2 };
+    },
+  };
+  const layout = layoutText(ctx, "go abcdefghijkl end now", {
+    font: "20px Mono",
+    width: 50,
+  });
+  assert.deepEqual(
+    layout.lines.map((l) => l.text),
+    ["go", "abcde", "fghij", "kl", "end", "now"]
+  );
+  const runs = textRuns(ctx, layout, { x: 0, y: 0, w: 50 }, {}, "word");
+  assert.deepEqual(
+    runs.map((r) => [r.text, r.word]),
+    [
+      ["go", 0],
+      ["abcde", 1],
+      ["fghij", 1],
+      ["kl", 1],
+      ["end", 2],
+      ["now", 3],
+    ]
+  );
+});
@@ -0,0 +1,105 @@
+// kenburns.test.js
+// ==================
+// Файл: test/kenburns.test.js
+// Назначение: тесты окна кадрирования Ken Burns (kenburns.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { kenBurnsView } from "../src/kenburns.js";
+
+// Округлить окно до сотых, чтобы сравнивать без погрешности
+const round = (v) =>
+  Object.fromEntries(
+    Object.entries(v).map(([k, n]) => [k, Math.round(n * 100) / 100])
+  );
+
+// Окно внутри медиа mw x mh и с пропорциями aspect
+function assertInside(v, mw, mh, aspect) {
+  assert.ok(v.x >= -1e-9 && v.y >= -1e-9, JSON.stringify(v));
+  assert.ok(
+    v.x + v.w <= mw + 1e-9 && v.y + v.h <= mh + 1e-9,
+    JSON.stringify(v)
+  );
+  assert.ok(Math.abs(v.w / v.h - aspect) < 1e-9, JSON.stringify(v));
+}
+
+test("default zooms from cover to 1.1 around the centre", () => {
+  assert.deepEqual(kenBurnsView({}, 2000, 1000, 500, 500, 0), {
+    x: 500,
+    y: 0,
+    w: 1000,
+    h: 1000,
+  });
+  assert.deepEqual(round(kenBurnsView({}, 2000, 1000, 500, 500, 1)), {
+    x: 545.45,
+    y: 45.45,
+    w: 909.09,
+    h: 909.09,
+  });
+});
+
+test("the focus point stays in place while zooming", () => {
+  const anim = { from: 1, to: 2, focus: { x: 0, y: 1 } };
+  assert.deepEqual(kenBurnsView(anim, 1000, 1000, 100, 100, 1), {
+    x: 0,
+    y: 500,
+    w: 500,
+    h: 500,
+  });
+});
+
+test("source rectangles are fitted to the box and kept inside the media", () => {
+  const anim = {
+    from: { x: -100, y: 0, w: 400, h: 200 },
+    to: { x: 1800, y: 900, w: 400, h: 400 },
+  };
+  assert.deepEqual(kenBurnsView(anim, 2000, 1000, 100, 100, 0), {
+    x: 0,
+    y: 0,
+    w: 400,
+    h: 400,
+  });
+  assert.deepEqual(kenBurnsView(anim, 2000, 1000, 100, 100, 1), {
+    x: 1600,
+    y: 600,
+    w: 400,
+    h: 400,
+  });
+  // окно больше медиа уменьшается до медиа и сдвигается внутрь
+  const huge = { from: { x: 0, y: 0, w: 5000, h: 5000 } };
+  assert.deepEqual(kenBurnsView(huge, 2000, 1000, 100, 100, 0), {
+    x: 1000,
+    y: 0,
+    w: 1000,
+    h: 1000,
+  });
+});
+
+test("auto pans along wide media from edge to edge", () => {
+  const anim = { auto: true, seed: 7 };
+  const a = kenBurnsView(anim, 3000, 1000, 100, 100, 0);
+  const b = kenBurnsView(anim, 3000, 1000, 100, 100, 1);
+  assert.deepEqual(
+    [a.x, b.x].sort((m, n) => m - n),
+    [0, 2000]
+  );
+  assert.equal(a.y, 0);
+  assert.equal(a.w, 1000);
+});
+
+test("auto is deterministic per seed and stays inside the media", () => {
+  const views = (anim, src) =>
+    [0, 0.5, 1].map((p) => kenBurnsView(anim, 1100, 1000, 100, 100, p, src));
+  assert.deepEqual(
+    views({ auto: true }, "a.jpg"),
+    views({ auto: true }, "a.jpg")
+  );
+  const seen = new Set();
+  for (let seed = 0; seed < 20; seed++) {
+    const vs = views({ auto: true, seed });
+    for (const v of vs) assertInside(v, 1100, 1000, 1);
+    seen.add(JSON.stringify(vs.map(round)));
+  }
+  // разные seed дают разные направления и фокусы наезда
+  assert.ok(seen.size > 2);
+});
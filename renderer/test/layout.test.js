@@ -0,0 +1,150 @@
+// layout.test.js
+// ==================
+// Файл: test/layout.test.js
+// Назначение: тесты размещения объектов (layout.js): единицы длины, anchor,
+// безопасные зоны и перевод проекта в пиксели кадра.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  anchorOrigin,
+  layoutProject,
+  parseAnchor,
+  resolveLength,
+  safeAreaInsets,
+  safeAreaRect,
+} from "../src/layout.js";
+
+const frame = { width: 1000, height: 2000 };
+
+test("resolveLength understands %, vw, vh and px", () => {
+  assert.equal(resolveLength(12, 500, frame), 12);
+  assert.equal(resolveLength("50%", 500, frame), 250);
+  assert.equal(resolveLength(" -10vw ", 0, frame), -100);
+  assert.equal(resolveLength("2.5vh", 0, frame), 50);
+  assert.equal(resolveLength("24px", 0, frame), 24);
+  assert.equal(resolveLength("24", 0, frame), 24);
+  assert.equal(resolveLength("24em", 0, frame), undefined);
+  assert.equal(resolveLength(undefined, 0, frame), undefined);
+});
+
+test("anchors accept words in any order", () => {
+  assert.deepEqual(parseAnchor(), { x: 0, y: 0 });
+  assert.deepEqual(parseAnchor("center"), { x: 0.5, y: 0.5 });
+  assert.deepEqual(parseAnchor("bottom-center"), { x: 0.5, y: 1 });
+  assert.deepEqual(parseAnchor("center-bottom"), parseAnchor("bottom-center"));
+  assert.deepEqual(parseAnchor("right"), { x: 1, y: 0 });
+  assert.deepEqual(anchorOrigin("bottom-right", 100, 100, 40, 20), {
+    x: 60,
+    y: 80,
+  });
+  assert.deepEqual(anchorOrigin("center", 100, 100), { x: 100, y: 100 });
+});
+
+test("safe areas come from names, numbers, objects or the project", () => {
+  assert.deepEqual(safeAreaInsets("title-safe"), {
+    top: 0.1,
+    bottom: 0.1,
+    left: 0.1,
+    right: 0.1,
+  });
+  assert.equal(safeAreaInsets(0.05).left, 0.05);
+  assert.deepEqual(safeAreaInsets({ top: 0.2 }), {
+    top: 0.2,
+    bottom: 0,
+    left: 0,
+    right: 0,
+  });
+  assert.deepEqual(safeAreaInsets(true, "reels"), safeAreaInsets("reels"));
+  assert.deepEqual(safeAreaInsets(true), safeAreaInsets("none"));
+  assert.deepEqual(safeAreaInsets("unknown"), safeAreaInsets());
+  assert.deepEqual(safeAreaRect({ left: 0.1, top: 0.25 }, frame), {
+    x: 100,
+    y: 500,
+    w: 900,
+    h: 1500,
+  });
+});
+
+// Проект 1000x2000 с объектами одной сцены
+const project = (objects, extra = {}) => ({
+  project: { width: 1000, height: 2000, ...extra },
+  videoTrack: [{ start: 0, end: 1, objects }],
+});
+
+test("layoutProject resolves units relative to the parent", () => {
+  const proj = project(
+    [
+      { type: "image", x: "10%", y: "50%", w: "50%", h: "10vw" },
+      { type: "image", safeArea: true, x: 0, y: "10%", w: "100%" },
+    ],
+    { safeArea: { left: 0.1, right: 0.1, top: 0.1, bottom: 0.1 } }
+  );
+  const [a, b] = layoutProject(proj).videoTrack[0].objects;
+  assert.deepEqual([a.x, a.y, a.w, a.h], [100, 1000, 500, 100]);
+  assert.deepEqual([b.x, b.y, b.w], [100, 360, 800]);
+  assert.equal("h" in b, false);
+  // исходный проект не меняется
+  assert.equal(proj.videoTrack[0].objects[0].x, "10%");
+});
+
+test("objects without x/y stick to the parent edge by their anchor", () => {
+  const [corner, centre, text, placed] = layoutProject(
+    project([
+      { type: "image", anchor: "bottom-right", margin: "5%", w: 100, h: 100 },
+      { type: "rect", anchor: "center", margin: { left: 50 }, w: 10, h: 10 },
+      { type: "text", text: "hi", margin: 20 },
+      { type: "text", text: "hi", x: 0, y: 40 },
+    ])
+  ).videoTrack[0].objects;
+  assert.deepEqual([corner.x, corner.y], [950, 1900]);
+  assert.deepEqual([centre.x, centre.y], [500, 1000]);
+  assert.deepEqual([text.x, text.y, text.anchor], [20, 20, "top-left"]);
+  // у текста с y прежняя привязка (середина первой строки)
+  assert.equal(placed.anchor, undefined);
+});
+
+test("keyframes and move shifts are converted too", () => {
+  const [o] = layoutProject(
+    project([
+      {
+        type: "image",
+        safeArea: "title-safe",
+        x: 0,
+        y: 0,
+        w: 10,
+        h: 10,
+        animations: [
+          {
+            type: "keyframes",
+            keyframes: [{ x: "50%", w: "10%", opacity: 1 }],
+          },
+          { type: "move", from: { x: "-10%" }, to: { x: 0, y: "5vh" } },
+          { type: "fade", in: 1 },
+        ],
+      },
+    ])
+  ).videoTrack[0].objects;
+  // x: поле зоны 100 + 50% её ширины 800
+  assert.deepEqual(o.animations[0].keyframes[0], {
+    x: 500,
+    w: 80,
+    opacity: 1,
+  });
+  assert.deepEqual(o.animations[1].from, { x: -80 });
+  assert.deepEqual(o.animations[1].to, { x: 0, y: 100 });
+  assert.deepEqual(o.animations[2], { type: "fade", in: 1 });
+});
+
+test("graphics and overlays are laid out, news titles are left alone", () => {
+  const news = { newsTitle: "Hi", start: 0, end: 1 };
+  const out = layoutProject({
+    project: { width: 1000, height: 2000 },
+    graphics: [{ start: 0, objects: [{ type: "rect", x: "50%", y: 0 }] }],
+    overlays: [news, { src: "logo.png", anchor: "top-right", margin: 10 }],
+  });
+  assert.equal(out.graphics[0].objects[0].x, 500);
+  assert.equal(out.overlays[0], news);
+  assert.deepEqual([out.overlays[1].x, out.overlays[1].y], [990, 10]);
+  assert.equal(out.videoTrack, undefined);
+});
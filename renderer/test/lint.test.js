@@ -0,0 +1,155 @@
+// lint.test.js
+// ==================
+// Файл: test/lint.test.js
+// Назначение: тесты проверки таймлайна (lint.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { formatLintIssues, lintProject } from "../src/lint.js";
+
+// Сцена [start, end) с одним объектом id
+const scene = (start, end, id) => ({
+  start,
+  end,
+  objects: id ? [{ id, type: "image", src: "a.png" }] : [],
+});
+
+// Краткая запись предупреждений: "path start-end message"
+const brief = (issues) =>
+  issues.map((i) => `${i.path} ${i.start}-${i.end} ${i.message}`);
+
+test("adjacent scenes covering the video give no warnings", () => {
+  const proj = {
+    project: { videoLength: 9.6 },
+    videoTrack: [scene(0, 6), scene(6, 9.6)],
+  };
+  assert.deepEqual(lintProject(proj), []);
+});
+
+test("scene gaps, overlaps and the uncovered end are reported", () => {
+  const proj = {
+    project: { videoLength: 12 },
+    videoTrack: [scene(5, 8, "b"), scene(0, 4, "a"), scene(7, 9), scene(3, 3)],
+  };
+  assert.deepEqual(brief(lintProject(proj)), [
+    "/videoTrack/3 3-3 scene is empty (end <= start)",
+    "/videoTrack/0 4-5 gap of 1s before this scene (background only)",
+    "/videoTrack/2 7-8 overlaps /videoTrack/0 (b)",
+    "/videoTrack 9-12 no scene covers the end of the video (3s of background)",
+  ]);
+});
+
+test("the video length defaults to the end of the last scene", () => {
+  const issues = lintProject({
+    videoTrack: [scene(0, 4)],
+    audio: { music: { src: "m.mp3", offset: 4 } },
+  });
+  assert.deepEqual(brief(issues), [
+    "/audio/music 4-4 offset 4s is past the end of the video (4s); the track is silent",
+  ]);
+});
+
+test("subtitles: never shown, overlapping, past the end, words outside", () => {
+  const proj = {
+    project: { videoLength: 10 },
+    videoTrack: [scene(0, 10)],
+    subtitles: [
+      { start: 0, end: 2, text: "a" },
+      { start: 1.5, end: 3, text: "b" },
+      { start: 4, end: 4, text: "c" },
+      {
+        start: 9,
+        end: 11,
+        text: "d e",
+        words: [{ text: "d", start: 8.5, end: 9.5 }, { text: "e" }],
+      },
+    ],
+  };
+  assert.deepEqual(brief(lintProject(proj)), [
+    "/subtitles/1 1.5-2 overlaps /subtitles/0; only one subtitle is shown at a time",
+    "/subtitles/2 4-4 subtitle is never shown (end <= start)",
+    "/subtitles/3 10-11 subtitle runs past the end of the video (10s)",
+    "/subtitles/3/words/0 8.5-9.5 word is timed outside its subtitle",
+  ]);
+});
+
+test("overlays are named by id, news title text, src or index", () => {
+  const proj = {
+    project: { videoLength: 10 },
+    videoTrack: [scene(0, 10)],
+    overlays: [
+      { id: "logo", src: "l.png", start: 5, end: 2 },
+      { newsTitle: "Breaking", start: 3, end: 3 },
+      { newsTitle: { text: "Live" }, start: 11, end: 12 },
+      { newsTitle: { color: "#fff" }, start: 3, end: 3 },
+      { src: "bug.png", start: 3, end: 3 },
+    ],
+  };
+  const issues = lintProject(proj);
+  assert.deepEqual(
+    issues.map((i) => i.id),
+    ["logo", "Breaking", "Live", "overlay 3", "bug.png"]
+  );
+  assert.equal(
+    issues[0].message,
+    "end is before start; the overlay is never shown"
+  );
+  assert.match(issues[2].message, /starts after the end of the video/);
+});
+
+test("graphics that are never shown or run past the end", () => {
+  const proj = {
+    project: { videoLength: 10 },
+    videoTrack: [scene(0, 10)],
+    graphics: [
+      { template: "lower-third", start: 2, end: 2, objects: [] },
+      { id: "q", template: "quote", start: 8, end: 12, objects: [] },
+    ],
+  };
+  assert.deepEqual(
+    lintProject(proj).map((i) => `${i.path} (${i.id}) ${i.message}`),
+    [
+      "/graphics/0 (lower-third) graphic is never shown (end <= start)",
+      "/graphics/1 (q) graphic runs past the end of the video (10s)",
+    ]
+  );
+});
+
+test("formatLintIssues prints level, interval, path and id", () => {
+  const issues = lintProject({
+    project: { videoLength: 10 },
+    videoTrack: [scene(0, 6), scene(6.4, 10, "image-1")],
+  });
+  assert.equal(
+    formatLintIssues(issues, "error"),
+    "  error 6s–6.4s /videoTrack/1 (image-1): gap of 0.4s before this scene (background only)"
+  );
+});
+
+test("zoom and move without from or to are reported", () => {
+  const proj = {
+    project: { videoLength: 4 },
+    videoTrack: [
+      {
+        start: 0,
+        end: 4,
+        objects: [
+          {
+            id: "logo",
+            type: "image",
+            src: "a.png",
+            animations: [
+              { type: "zoom", to: 1.1 },
+              { type: "move", from: { x: 0 }, to: { x: 40 } },
+              { type: "move", from: { y: 10 } },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+  assert.deepEqual(brief(lintProject(proj)), [
+    '/videoTrack/0/objects/0/animations/0 0-4 zoom has no "from"; it defaults to 1',
+    '/videoTrack/0/objects/0/animations/2 0-4 move has no "to"; it defaults to the object position',
+  ]);
+});
@@ -0,0 +1,114 @@
+// news-title.test.js
+// ==================
+// Файл: test/news-title.test.js
+// Назначение: тесты новостного заголовка (news-title.js): стиль, фазы и
+// геометрия баннера.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  NEWS_TITLE_PRESETS,
+  NEWS_TITLE_TIMING,
+  newsTitleGeometry,
+  newsTitleTimeline,
+  resolveNewsTitle,
+} from "../src/news-title.js";
+
+test("resolveNewsTitle accepts a string or an object over the preset", () => {
+  const plain = resolveNewsTitle({ newsTitle: "Breaking" });
+  assert.equal(plain.text, "Breaking");
+  assert.equal(plain.kicker, null);
+  assert.deepEqual(plain.style, NEWS_TITLE_PRESETS.default);
+  assert.deepEqual(plain.timing, NEWS_TITLE_TIMING);
+
+  const full = resolveNewsTitle({
+    newsTitle: {
+      text: "Live",
+      kicker: "NOW",
+      color: "#000",
+      width: undefined,
+      timing: { hold: 2 },
+    },
+  });
+  assert.equal(full.kicker, "NOW");
+  assert.equal(full.style.color, "#000");
+  assert.equal(full.style.width, 804);
+  assert.equal(full.timing.hold, 2);
+  assert.equal(full.timing.grow, 0.3);
+
+  assert.equal(resolveNewsTitle({ src: "a.png" }), null);
+  assert.equal(resolveNewsTitle({ newsTitle: { color: "#fff" } }), null);
+});
+
+test("the timeline keeps default phases when there is enough time", () => {
+  const tl = newsTitleTimeline({ start: 2 }, NEWS_TITLE_TIMING);
+  assert.deepEqual(tl, {
+    startMs: 2000,
+    grow: 300,
+    textStart: 400,
+    textFade: 200,
+    textOutStart: 4600,
+    textOut: 200,
+    collapseStart: 4800,
+    collapse: 300,
+    total: 5100,
+  });
+  // лишнее время не растягивает фазы, а достаётся сворачиванию
+  const long = newsTitleTimeline({ start: 0, end: 10 }, NEWS_TITLE_TIMING);
+  assert.equal(long.collapseStart, 4800);
+  assert.equal(long.total, 10000);
+  assert.equal(newsTitleTimeline({}, NEWS_TITLE_TIMING).startMs, 1000);
+});
+
+test("a short overlay scales the phases to end exactly at its end", () => {
+  const tl = newsTitleTimeline({ start: 2, end: 4.55 }, NEWS_TITLE_TIMING);
+  assert.deepEqual(tl, {
+    startMs: 2000,
+    grow: 150,
+    textStart: 200,
+    textFade: 100,
+    textOutStart: 2300,
+    textOut: 100,
+    collapseStart: 2400,
+    collapse: 150,
+    total: 2550,
+  });
+  const odd = newsTitleTimeline({ start: 0, end: 0.333 }, NEWS_TITLE_TIMING);
+  assert.equal(odd.total, 333);
+});
+
+test("geometry scales the preset to the frame", () => {
+  const style = NEWS_TITLE_PRESETS.default;
+  const g = newsTitleGeometry(style, 540, 960);
+  assert.equal(g.k, 0.5);
+  assert.equal(g.width, 402);
+  assert.equal(g.x, 69);
+  assert.equal(g.bottom, 771);
+  assert.equal(g.expandedHeight, 236.5);
+  assert.equal(g.radius, 36.5);
+
+  const units = newsTitleGeometry(
+    { ...style, x: "10%", bottom: "50%", expandedHeight: "auto" },
+    540,
+    960
+  );
+  assert.equal(units.x, 54);
+  assert.equal(units.bottom, 480);
+  assert.equal(units.expandedHeight, "auto");
+});
+
+test("a safe area narrows, centres and lifts the banner", () => {
+  const style = { ...NEWS_TITLE_PRESETS.default, safeArea: "reels" };
+  const g = newsTitleGeometry(style, 1080, 1920);
+  assert.equal(g.width, 804);
+  assert.ok(Math.abs(g.x - 138) < 1e-9);
+  // нижний край безопасной зоны reels — 65% высоты
+  assert.equal(g.bottom, 1248);
+  const narrow = newsTitleGeometry({ ...style, safeArea: true }, 1080, 1920, {
+    left: 0.25,
+    right: 0.25,
+  });
+  assert.equal(narrow.width, 540);
+  assert.equal(narrow.x, 270);
+  assert.equal(narrow.bottom, 1542);
+});
@@ -0,0 +1,144 @@
+// output.test.js
+// ==================
+// Файл: test/output.test.js
+// Назначение: тесты сведения настроек вывода и аргументов кодеков (output.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  OutputError,
+  audioArgs,
+  resolveOutput,
+  segmentFormat,
+  videoArgs,
+} from "../src/output.js";
+
+// Значение флага flag в списке аргументов ffmpeg
+const arg = (args, flag) => args[args.indexOf(flag) + 1];
+
+test("draft x264 encodes ultrafast at CRF 28 and ignores the project crf", () => {
+  const args = videoArgs(
+    resolveOutput({ crf: 14, preset: "slow" }, {}, { draft: true })
+  );
+  assert.equal(arg(args, "-crf"), "28");
+  assert.equal(arg(args, "-preset"), "ultrafast");
+});
+
+test("draft keeps an explicit bitrate", () => {
+  const args = videoArgs(
+    resolveOutput({ codec: "h265", bitrate: "4M" }, {}, { draft: true })
+  );
+  assert.equal(arg(args, "-b:v"), "4M");
+  assert.equal(args.includes("-crf"), false);
+  assert.equal(arg(args, "-preset"), "ultrafast");
+});
+
+test("draft vp9 uses realtime deadline and cpu-used 8", () => {
+  const args = videoArgs(resolveOutput({ codec: "vp9" }, {}, { draft: true }));
+  assert.equal(arg(args, "-deadline"), "realtime");
+  assert.equal(arg(args, "-cpu-used"), "8");
+  assert.equal(arg(args, "-crf"), "40");
+});
+
+test("without draft the project settings apply", () => {
+  const out = resolveOutput({ crf: 14, preset: "slow" });
+  assert.equal(out.draft, false);
+  const args = videoArgs(out);
+  assert.equal(arg(args, "-crf"), "14");
+  assert.equal(arg(args, "-preset"), "slow");
+});
+
+test("profile <- project output <- CLI flags", () => {
+  const out = resolveOutput({ profile: "reels", crf: 22 }, { preset: "fast" });
+  assert.equal(out.codec, "h264");
+  assert.equal(out.crf, 22);
+  assert.equal(out.preset, "fast");
+  assert.equal(out.audioBitrate, "192k");
+  assert.equal(out.container, "mp4");
+  assert.equal(out.muxer, "mp4");
+  assert.equal("profile" in out, false);
+
+  // флаг CLI без значения не перекрывает проект
+  assert.equal(resolveOutput({ crf: 22 }, { crf: undefined }).crf, 22);
+  assert.equal(resolveOutput({}, { profile: "archive" }).codec, "prores");
+});
+
+test("codec defaults pick the container and audio codec", () => {
+  const webm = resolveOutput({ codec: "vp9" });
+  assert.equal(webm.container, "webm");
+  assert.equal(webm.audioCodec, "libopus");
+  assert.equal(
+    resolveOutput({ codec: "vp9", container: "mkv" }).muxer,
+    "matroska"
+  );
+  assert.equal(resolveOutput({ codec: "gif" }).audioCodec, null);
+  assert.equal(audioArgs(resolveOutput({ codec: "gif" })), null);
+  assert.deepEqual(audioArgs(resolveOutput({ codec: "prores" })), [
+    "-c:a",
+    "pcm_s16le",
+  ]);
+  assert.deepEqual(audioArgs(resolveOutput({ profile: "youtube" })), [
+    "-c:a",
+    "aac",
+    "-b:a",
+    "320k",
+  ]);
+});
+
+test("invalid output settings throw OutputError", () => {
+  const cases = [
+    [{ profile: "tiktok" }, /unknown output profile "tiktok"/],
+    [{ codec: "av1" }, /unknown output codec "av1"/],
+    [{ container: "avi" }, /unknown output container "avi"/],
+    [
+      { codec: "prores", container: "mp4" },
+      /codec "prores" cannot be written to container "mp4" \(use mov, mkv\)/,
+    ],
+    [{ codec: "gif", container: "webm" }, /cannot be written/],
+    [{ codec: "h264", alpha: true }, /does not support alpha/],
+  ];
+  for (const [output, message] of cases) {
+    assert.throws(
+      () => resolveOutput(output),
+      (e) => e instanceof OutputError && message.test(e.message)
+    );
+  }
+});
+
+test("h264 sets the high profile only for 8-bit 4:2:0", () => {
+  assert.equal(arg(videoArgs(resolveOutput({})), "-profile:v"), "high");
+  const yuv444 = videoArgs(resolveOutput({ pixelFormat: "yuv444p" }));
+  assert.equal(arg(yuv444, "-pix_fmt"), "yuv444p");
+  assert.equal(yuv444.includes("-profile:v"), false);
+});
+
+test("prores profile follows the pixel format", () => {
+  const profile = (output) =>
+    arg(videoArgs(resolveOutput({ codec: "prores", ...output })), "-profile:v");
+  assert.equal(profile({}), "4");
+  assert.equal(profile({ alpha: true }), "4");
+  assert.equal(
+    arg(videoArgs(resolveOutput({ codec: "prores", alpha: true })), "-pix_fmt"),
+    "yuva444p10le"
+  );
+  assert.equal(profile({ pixelFormat: "yuv422p10le" }), "3");
+});
+
+test("vp9 alpha uses yuva420p and h265 is tagged hvc1", () => {
+  const vp9 = videoArgs(resolveOutput({ codec: "vp9", alpha: true }));
+  assert.equal(arg(vp9, "-pix_fmt"), "yuva420p");
+  assert.equal(arg(vp9, "-b:v"), "0");
+  assert.equal(
+    arg(videoArgs(resolveOutput({ codec: "h265" })), "-tag:v"),
+    "hvc1"
+  );
+});
+
+test("gif segments are lossless and re-encoded on concat", () => {
+  const gif = segmentFormat(resolveOutput({ codec: "gif" }));
+  assert.equal(gif.copy, false);
+  assert.equal(gif.ext, "mkv");
+  const mp4 = segmentFormat(resolveOutput({}));
+  assert.equal(mp4.copy, true);
+  assert.equal(mp4.ext, "mp4");
+});
@@ -0,0 +1,69 @@
+// render.test.js
+// ==================
+// Файл: test/render.test.js
+// Назначение: тесты разбора флагов render.js, которые проверяются до запуска
+// Chromium (ошибка — сообщение и код выхода 1, без рендера).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Запустить render.js с аргументами args; { status, stderr }
+function render(args) {
+  return spawnSync(process.execPath, ["src/render.js", ...args], {
+    cwd: root,
+    encoding: "utf8",
+    timeout: 20000,
+  });
+}
+
+for (const frame of ["abc", "-1", "", "Infinity"]) {
+  test(`--frame "${frame}" is rejected`, () => {
+    const r = render([
+      "--in",
+      "project.json",
+      "--frame",
+      frame,
+      "--png",
+      "x.png",
+    ]);
+    assert.equal(r.status, 1);
+    assert.match(r.stderr, /invalid --frame/);
+  });
+}
+
+for (const flag of ["--from", "--to"]) {
+  for (const sec of ["abc", "-1", ""]) {
+    test(`${flag} "${sec}" is rejected`, () => {
+      const r = render(["--in", "project.json", flag, sec, "--out", "x.mp4"]);
+      assert.equal(r.status, 1);
+      assert.match(r.stderr, new RegExp(`invalid ${flag}`));
+    });
+  }
+}
+
+test("--frame past the end of the video is rejected", () => {
+  const r = render([
+    "--in",
+    "project.json",
+    "--frame",
+    "9999",
+    "--png",
+    "x.png",
+  ]);
+  assert.equal(r.status, 1);
+  assert.match(
+    r.stderr,
+    /--frame 9999 is past the end of the video \(project is 54s\)/
+  );
+});
+
+test("--frame requires --png", () => {
+  const r = render(["--in", "project.json", "--frame", "1"]);
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /--frame requires --png/);
+});
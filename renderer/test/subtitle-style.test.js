@@ -0,0 +1,110 @@
+// subtitle-style.test.js
+// ==================
+// Файл: test/subtitle-style.test.js
+// Назначение: тесты стиля и геометрии субтитров (subtitle-style.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  SUBTITLE_PRESETS,
+  resolveSubtitleStyle,
+  subtitleBox,
+  subtitleFont,
+  subtitleTextWidth,
+} from "../src/subtitle-style.js";
+
+test("the default preset keeps the legacy 1080x1920 plate", () => {
+  const style = resolveSubtitleStyle();
+  assert.deepEqual(style, SUBTITLE_PRESETS.default);
+  assert.equal(subtitleFont(style), "400 54px YSText, system-ui");
+  assert.equal(subtitleTextWidth(style, 1080), 716);
+  // одна строка: плашка 796x138 на y = 1400
+  assert.deepEqual(subtitleBox(style, 300, 54, 1080, 1920), {
+    x: 142,
+    y: 1400,
+    w: 796,
+    h: 138,
+    radius: 69,
+  });
+  // три строки: плашка растёт вниз от того же y
+  assert.equal(subtitleBox(style, 700, 184, 1080, 1920).h, 268);
+});
+
+test("spec fields override the preset; y and position cancel each other", () => {
+  const outline = resolveSubtitleStyle({ preset: "outline", y: 100 });
+  assert.equal(outline.position, null);
+  assert.equal(outline.y, 100);
+  assert.equal(outline.stroke.width, 4);
+  const moved = resolveSubtitleStyle({ position: "top", color: undefined });
+  assert.equal(moved.position, "top");
+  assert.equal(moved.color, "#fff");
+  assert.equal(resolveSubtitleStyle({ preset: "nope" }).fontSize, 54);
+});
+
+test("lengths are resolved against the frame", () => {
+  const frame = { width: 1000, height: 2000, safeArea: "reels" };
+  const style = resolveSubtitleStyle(
+    {
+      fontSize: "3%",
+      width: "80%",
+      margin: "24px",
+      y: "10vh",
+      safeArea: true,
+    },
+    frame
+  );
+  assert.equal(style.fontSize, 60);
+  assert.equal(style.width, 800);
+  assert.equal(style.margin, 24);
+  assert.equal(style.y, 200);
+  assert.deepEqual(style.safeArea, {
+    top: 0.14,
+    bottom: 0.35,
+    left: 0.06,
+    right: 0.06,
+  });
+  assert.equal(
+    resolveSubtitleStyle({ preset: "outline" }, frame).width,
+    "auto"
+  );
+});
+
+test("auto width wraps inside the safe area and maxWidth", () => {
+  const style = resolveSubtitleStyle({ preset: "outline" });
+  // safeArea 0.12 по каждой стороне
+  assert.equal(subtitleTextWidth(style, 1000), 760);
+  assert.equal(
+    subtitleTextWidth({ ...style, maxWidth: 500, paddingX: 20 }, 1000),
+    460
+  );
+});
+
+test("position places the plate at the safe area edges", () => {
+  const base = resolveSubtitleStyle({
+    preset: "outline",
+    safeArea: { top: 0.1, bottom: 0.2 },
+    margin: 10,
+  });
+  const box = (position) =>
+    subtitleBox({ ...base, position }, 400, 100, 1000, 1000);
+  assert.deepEqual(box("bottom"), {
+    x: 300,
+    y: 690,
+    w: 400,
+    h: 100,
+    radius: 0,
+  });
+  assert.equal(box("top").y, 110);
+  assert.equal(box("middle").y, 400);
+  // без y и position — у нижнего края
+  assert.equal(
+    subtitleBox({ ...base, position: null, y: null }, 400, 100, 1000, 1000).y,
+    690
+  );
+  // радиус не больше половины высоты
+  assert.equal(
+    subtitleBox({ ...base, radius: 500, position: "top" }, 400, 100, 1000, 1000)
+      .radius,
+    50
+  );
+});
@@ -0,0 +1,207 @@
+// subtitles.test.js
+// ==================
+// Файл: test/subtitles.test.js
+// Назначение: тесты разбора субтитров SRT, WebVTT и ASS/SSA (subtitles.js):
+// крайние случаи форматов, ошибки с номерами строк и загрузка файла проекта.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  SubtitleError,
+  detectSubtitleFormat,
+  loadSubtitles,
+  parseSubtitles,
+} from "../src/subtitles.js";
+
+test("detectSubtitleFormat prefers the content over the extension", () => {
+  assert.equal(detectSubtitleFormat("\uFEFF  WEBVTT\n\n", "a.srt"), "vtt");
+  assert.equal(detectSubtitleFormat("[Script Info]\nTitle: x"), "ass");
+  assert.equal(detectSubtitleFormat("junk\n[Events]\n"), "ass");
+  assert.equal(detectSubtitleFormat("", "a.VTT"), "vtt");
+  assert.equal(detectSubtitleFormat("", "a.ssa"), "ass");
+  assert.equal(detectSubtitleFormat("1\n00:00:01,000 --> 00:00:02,000"), "srt");
+  assert.equal(detectSubtitleFormat("WEBVTTX"), "srt");
+});
+
+test("SRT: CRLF, optional numbers, tags, entities and sorting", () => {
+  const srt = [
+    "\uFEFF2",
+    "00:00:05,500 --> 00:00:07,000",
+    "{\\an8}<i>Second</i> &amp; last",
+    "",
+    "",
+    "00:00:01,000 --> 00:00:02,5",
+    '<font color="red">First</font>',
+    "  line two  ",
+    "",
+    "3",
+    "00:00:08,000 --> 00:00:09,000",
+    "<b></b>",
+  ].join("\r\n");
+  const { cues, errors } = parseSubtitles(srt, "srt");
+  assert.deepEqual(errors, []);
+  assert.deepEqual(cues, [
+    { start: 1, end: 2.5, text: "First\nline two" },
+    { start: 5.5, end: 7, text: "Second & last" },
+  ]);
+});
+
+test("SRT errors carry file line numbers", () => {
+  const srt = [
+    "1",
+    "00:00:01,000 -> 00:00:02,000",
+    "bad arrow",
+    "",
+    "2",
+    "00:00:03,000 --> 00:00:02,000",
+    "backwards",
+    "",
+    "3",
+    "00:00:03,000 --> 00:61:00,000",
+    "minutes",
+    "",
+    "00:00:04,000 --> 00:00:05,000",
+    "ok",
+  ].join("\n");
+  const { cues, errors } = parseSubtitles(srt, "srt");
+  assert.deepEqual(cues, [{ start: 4, end: 5, text: "ok" }]);
+  assert.deepEqual(errors, [
+    {
+      line: 2,
+      message: 'expected a timing line "00:00:01,000 --> 00:00:02,000"',
+    },
+    {
+      line: 6,
+      message: "end 00:00:02,000 is before start 00:00:03,000",
+    },
+    { line: 10, message: 'invalid timestamp "00:61:00,000"' },
+  ]);
+});
+
+test("VTT: ids, settings, hourless timestamps and skipped blocks", () => {
+  const vtt = [
+    "WEBVTT - captions",
+    "",
+    "NOTE this is",
+    "a comment",
+    "",
+    "STYLE",
+    "::cue { color: red }",
+    "",
+    "intro",
+    "00:01.000 --> 00:02.000 align:start line:10% position:20%,line-left foo:bar",
+    "<v Anna>Hi <c.loud>there</c></v>",
+    "",
+    "01:00:00.000 --> 01:00:01.000",
+    "<00:00:00.500>karaoke &lt;3",
+  ].join("\n");
+  const { cues, errors } = parseSubtitles(vtt);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(cues, [
+    {
+      start: 1,
+      end: 2,
+      text: "Hi there",
+      settings: { align: "start", line: "10%", position: "20%,line-left" },
+      id: "intro",
+    },
+    { start: 3600, end: 3601, text: "karaoke <3" },
+  ]);
+});
+
+test("VTT errors: missing header and invalid settings", () => {
+  assert.deepEqual(
+    parseSubtitles("00:01.000 --> 00:02.000\nhi", "vtt").errors,
+    [{ line: 1, message: 'missing "WEBVTT" header' }]
+  );
+  const { cues, errors } = parseSubtitles(
+    "WEBVTT\n\n00:01.000 --> 00:02.000 align:middle size:50\nhi\n",
+    "vtt"
+  );
+  assert.deepEqual(cues, [{ start: 1, end: 2, text: "hi" }]);
+  assert.deepEqual(errors, [
+    { line: 3, message: 'invalid cue setting "align:middle"' },
+    { line: 3, message: 'invalid cue setting "size:50"' },
+  ]);
+});
+
+test("ASS: Format order, commas in text, \\N, \\h and override tags", () => {
+  const ass = [
+    "[Script Info]",
+    "Title: test",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname",
+    "Dialogue: not, an event",
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+    "Comment: 0,0:00:00.00,0:00:09.00,Default,,0,0,0,,ignored",
+    "Dialogue: 0,0:00:03.50,0:00:04.00,Default,,0,0,0,,{\\b1}Hello{\\b0}, world\\Nnext\\hline",
+    "Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\pos(10,10)}",
+    "Dialogue: 0,0:00:00.00,0:00:01.25,Default,,0,0,0,,first",
+  ].join("\n");
+  const { cues, errors } = parseSubtitles(ass);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(cues, [
+    { start: 0, end: 1.25, text: "first" },
+    { start: 3.5, end: 4, text: "Hello, world\nnext\u00A0line" },
+  ]);
+});
+
+test("ASS errors: Dialogue before Format, bad times, no Format", () => {
+  const ass = [
+    "[Events]",
+    "Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,early",
+    "Format: Start, End, Text",
+    "Dialogue: 0:00:05.00,0:00:04.00,backwards",
+    "Dialogue: 0:00:xx.00,0:00:04.00,bad",
+  ].join("\n");
+  assert.deepEqual(parseSubtitles(ass, "ass").errors, [
+    { line: 2, message: "Dialogue before Format line" },
+    { line: 4, message: "end is before start" },
+    { line: 5, message: 'invalid timestamp "0:00:xx.00"' },
+  ]);
+  assert.deepEqual(parseSubtitles("[Script Info]\n", "ass").errors, [
+    { line: 0, message: "no [Events] Format line" },
+  ]);
+  assert.deepEqual(parseSubtitles("", "sub").errors, [
+    { line: 0, message: 'unknown subtitle format "sub"' },
+  ]);
+});
+
+test("loadSubtitles reads a local file, applies offset and reports errors", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "subtitles-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(
+    path.join(dir, "c.vtt"),
+    "WEBVTT\n\n00:01.000 --> 00:02.000\nhi\n"
+  );
+  const proj = { subtitles: { src: "c.vtt", offset: -1.5 } };
+  assert.equal(loadSubtitles(proj, { projectDir: dir }), true);
+  assert.deepEqual(proj.subtitles, [{ start: 0, end: 0.5, text: "hi" }]);
+
+  // массив и удалённый файл не трогаются
+  assert.equal(loadSubtitles(proj, { projectDir: dir }), false);
+  const remote = { subtitles: { src: "https://x/c.srt" } };
+  assert.equal(loadSubtitles(remote, { projectDir: dir }), false);
+
+  fs.writeFileSync(path.join(dir, "bad.srt"), "1\n00:00:01,000\nhi\n");
+  assert.throws(
+    () => loadSubtitles({ subtitles: { src: "bad.srt" } }, { projectDir: dir }),
+    (e) =>
+      e instanceof SubtitleError &&
+      e.message ===
+        'bad.srt: 1 subtitle error(s)\n  bad.srt:2: expected a timing line "00:00:01,000 --> 00:00:02,000"'
+  );
+  assert.throws(
+    () =>
+      loadSubtitles({ subtitles: { src: "none.srt" } }, { projectDir: dir }),
+    (e) =>
+      e instanceof SubtitleError &&
+      /^none\.srt: 1 subtitle error/.test(e.message)
+  );
+});
@@ -0,0 +1,194 @@
+// templates.test.js
+// ==================
+// Файл: test/templates.test.js
+// Назначение: тесты шаблонов графики (templates.js): подстановка параметров,
+// загрузка шаблонов и развёртывание вставок proj.graphics.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  TemplateError,
+  expandGraphics,
+  loadTemplates,
+  substituteParams,
+} from "../src/templates.js";
+
+// Временная папка проекта с файлами files { имя: содержимое }
+function projectDir(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, data] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+  }
+  return dir;
+}
+
+test("substituteParams keeps whole values typed and inlines text", () => {
+  const value = {
+    x: "{{ left }}",
+    text: "{{name}} — {{title}}!",
+    list: ["{{left}}", { deep: "{{name}}" }],
+    n: 5,
+    on: true,
+  };
+  const errors = [];
+  const out = substituteParams(
+    value,
+    { left: 40, name: "Ann", title: "CEO" },
+    "/objects",
+    errors
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(out, {
+    x: 40,
+    text: "Ann — CEO!",
+    list: [40, { deep: "Ann" }],
+    n: 5,
+    on: true,
+  });
+  // исходное значение не меняется
+  assert.equal(value.x, "{{ left }}");
+});
+
+test("substituteParams reports unknown names with their path", () => {
+  const errors = [];
+  const out = substituteParams(
+    [{ text: "Hi {{who}}", fill: "{{color}}" }],
+    {},
+    "/graphics/0/objects",
+    errors
+  );
+  assert.deepEqual(out, [{ text: "Hi {{who}}", fill: "{{color}}" }]);
+  assert.deepEqual(errors, [
+    {
+      path: "/graphics/0/objects/0/text",
+      message: 'unknown parameter "{{who}}"',
+    },
+    {
+      path: "/graphics/0/objects/0/fill",
+      message: 'unknown parameter "{{color}}"',
+    },
+  ]);
+});
+
+test("loadTemplates lets later sources replace templates by id", (t) => {
+  const dir = projectDir(t, {
+    "a/card.json": { duration: 1, objects: [] },
+    "b/other.json": { id: "card", duration: 2, objects: [] },
+  });
+  const templates = loadTemplates([path.join(dir, "a"), path.join(dir, "b")]);
+  assert.deepEqual([...templates.keys()], ["card"]);
+  assert.equal(templates.get("card").duration, 2);
+  assert.deepEqual(templates.get("card").params, {});
+});
+
+test("loadTemplates rejects malformed templates and missing sources", (t) => {
+  const dir = projectDir(t, {
+    "bad.json": { objects: {}, duration: 0 },
+  });
+  const bad = path.join(dir, "bad.json");
+  assert.throws(
+    () => loadTemplates([bad]),
+    (e) =>
+      e instanceof TemplateError &&
+      e.errors.map((x) => x.path).join(",") === `${bad}/objects,${bad}/duration`
+  );
+  assert.throws(
+    () => loadTemplates([path.join(dir, "none")]),
+    /template file or directory not found/
+  );
+});
+
+test("expandGraphics builds copies from a built-in template", (t) => {
+  const dir = projectDir(t);
+  const insert = {
+    template: "lower-third",
+    start: 2,
+    z: 10,
+    params: { name: "Ann", color: "#000" },
+  };
+  const proj = { graphics: [insert] };
+  assert.equal(expandGraphics(proj, { projectDir: dir }), 1);
+  const [g] = proj.graphics;
+  assert.notEqual(g, insert);
+  assert.equal(insert.objects, undefined);
+  assert.equal(g.end, 7);
+  assert.equal(g.objects[0].fill, "#000");
+  assert.equal(g.objects[0].z, 10);
+  assert.equal(g.objects[1].text, "Ann");
+  assert.equal(g.objects[1].z, 11);
+  assert.equal(g.objects[1].style.color, "#ffffff");
+});
+
+test("expandGraphics uses project templates and reports every problem", (t) => {
+  const dir = projectDir(t, {
+    "tpl/badge.json": {
+      params: { label: { required: true } },
+      objects: [{ type: "text", text: "{{label}} {{mark}}", x: 0, y: 0 }],
+    },
+  });
+  const graphics = [
+    { template: "badge", start: 0, end: 1, params: { label: "A" } },
+    { template: "badge", start: 0 },
+    { template: "badge", start: 0, end: 1, params: { label: "B", size: 2 } },
+    { template: "nope", start: 0 },
+    { template: "lower-third", params: { name: "x" } },
+    { template: "badge", start: 0, params: { label: "C" } },
+  ];
+  const proj = { templates: ["/tpl"], graphics };
+  assert.throws(
+    () => expandGraphics(proj, { projectDir: dir }),
+    (e) => {
+      assert.ok(e instanceof TemplateError);
+      assert.deepEqual(
+        e.errors.map((x) => x.path),
+        [
+          "/graphics/0/objects/0/text",
+          "/graphics/1/params/label",
+          "/graphics/2/params/size",
+          "/graphics/3/template",
+          "/graphics/4/start",
+          "/graphics/5/objects/0/text",
+          "/graphics/5/end",
+        ]
+      );
+      assert.match(
+        e.errors[3].message,
+        /unknown template "nope" \(available: .*badge/
+      );
+      assert.equal(e.errors[4].message, "start is required");
+      return true;
+    }
+  );
+  // при ошибке proj.graphics остаётся прежним
+  assert.equal(proj.graphics, graphics);
+  assert.equal(graphics[0].objects, undefined);
+});
+
+test("objects are validated after substitution", (t) => {
+  const dir = projectDir(t, {
+    "tpl/dot.json": {
+      duration: 1,
+      params: { size: { default: 10 } },
+      objects: [{ type: "rect", x: 0, y: 0, w: "{{size}}", h: 10 }],
+    },
+  });
+  const proj = {
+    templates: ["tpl"],
+    graphics: [{ template: "dot", start: 0, params: { size: [1] } }],
+  };
+  assert.throws(
+    () => expandGraphics(proj, { projectDir: dir }),
+    (e) =>
+      e.errors.length > 0 &&
+      e.errors.every(
+        (x) =>
+          x.path === "/graphics/0/objects/0/w" &&
+          x.message.endsWith('(template "dot")')
+      )
+  );
+});
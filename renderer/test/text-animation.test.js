@@ -0,0 +1,71 @@
+// text-animation.test.js
+// ==================
+// Файл: test/text-animation.test.js
+// Назначение: тесты анимаций текста по единицам (text-animation.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { textAnimationUnit, textUnitState } from "../src/text-animation.js";
+import { resolveEasing } from "../src/easing.js";
+
+const ease = (name) => resolveEasing(name);
+const linear = () => (t) => t;
+
+test("units come from the preset unless overridden", () => {
+  assert.equal(textAnimationUnit({ preset: "typewriter" }), "char");
+  assert.equal(textAnimationUnit({ preset: "slideUp" }), "line");
+  assert.equal(textAnimationUnit({ preset: "pop", unit: "char" }), "char");
+  assert.equal(textAnimationUnit({ preset: "unknown" }), "word");
+});
+
+test("typewriter shows characters one by one", () => {
+  const anim = { preset: "typewriter", start: 1 };
+  // 0.05 с между символами, появление скачком
+  assert.deepEqual(textUnitState(anim, 0, 10, 0.99, ease), { opacity: 0 });
+  assert.equal(textUnitState(anim, 0, 10, 1, ease), null);
+  assert.deepEqual(textUnitState(anim, 2, 10, 1.09, ease), { opacity: 0 });
+  assert.equal(textUnitState(anim, 2, 10, 1.1, ease), null);
+});
+
+test("stagger, delay and order shift the start of each unit", () => {
+  const anim = { preset: "blurIn", delay: 0.5, stagger: 1, duration: 2 };
+  const at = (index, t, order) =>
+    textUnitState({ ...anim, order }, index, 5, t, linear);
+  assert.deepEqual(at(1, 2.5), { opacity: 0.5, blur: 6 });
+  // backward: последний — первым
+  assert.deepEqual(at(4, 1.5, "backward"), { opacity: 0.5, blur: 6 });
+  // center: от середины к краям, края — последними
+  assert.deepEqual(at(2, 1.5, "center"), { opacity: 0.5, blur: 6 });
+  assert.deepEqual(at(0, 3.5, "center"), { opacity: 0.5, blur: 6 });
+  assert.equal(at(0, 4.5, "center"), null);
+});
+
+test("pop scales up from scale and fades in quickly", () => {
+  const anim = { preset: "pop", scale: 0.5, duration: 1 };
+  const early = textUnitState(anim, 0, 1, 0.2, linear);
+  assert.ok(Math.abs(early.opacity - 0.6) < 1e-9);
+  assert.ok(Math.abs(early.scale - 0.6) < 1e-9);
+  assert.equal(textUnitState(anim, 0, 1, 1, linear), null);
+  // easeOutBack перелетает через 1
+  const over = textUnitState({ preset: "pop", duration: 1 }, 0, 1, 0.8, ease);
+  assert.ok(over.scale > 1);
+});
+
+test("slideUp moves lines by the line height in the given direction", () => {
+  const anim = { preset: "slideUp", duration: 1 };
+  assert.deepEqual(textUnitState(anim, 0, 2, 0.5, linear, 40), {
+    opacity: 0.5,
+    dx: 0,
+    dy: 20,
+  });
+  assert.deepEqual(
+    textUnitState(
+      { ...anim, direction: "right", distance: 100 },
+      0,
+      2,
+      0.25,
+      linear
+    ),
+    { opacity: 0.25, dx: -75, dy: 0 }
+  );
+});
@@ -0,0 +1,183 @@
+// text.test.js
+// ==================
+// Файл: test/text.test.js
+// Назначение: тесты вёрстки текста (text.js): переносы, maxLines, fit: "shrink",
+// выравнивание фрагментов. Вместо canvas — контекст, в котором ширина символа
+// равна половине кегля текущего шрифта.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  fontSizeOf,
+  layoutText,
+  textRuns,
+  withFontSize,
+  wrapText,
+} from "../src/text.js";
+
+// 2D-контекст с моноширинным «шрифтом»: символ шириной в полкегля
+function fakeCtx(font = "20px Mono") {
+  return {
+    font,
+    measureText(s) {
+      return { width: (s.length * fontSizeOf(this.font)) / 2 };
+    },
+  };
+}
+
+// Строки без ширины: [text, word, paragraphEnd]
+const brief = (lines) => lines.map((l) => [l.text, l.word, l.paragraphEnd]);
+
+test("font size helpers read and replace the px size", () => {
+  assert.equal(fontSizeOf("600 42.5px YSText"), 42.5);
+  assert.equal(fontSizeOf("bold Arial"), 42);
+  assert.equal(fontSizeOf(undefined, 10), 10);
+  assert.equal(withFontSize("600 42px YSText", 30), "600 30px YSText");
+  assert.equal(withFontSize("YSText", 30), "30px YSText");
+});
+
+test("wrapText wraps by words, keeps paragraphs and collapses spaces", () => {
+  const lines = wrapText(fakeCtx(), "hello  big world\n\nlast", 90);
+  assert.deepEqual(brief(lines), [
+    ["hello big", 0, false],
+    ["world", 2, true],
+    ["", 3, true],
+    ["last", 3, true],
+  ]);
+  assert.equal(lines[0].width, 90);
+  assert.deepEqual(brief(wrapText(fakeCtx(), " a  b ")), [["a b", 0, true]]);
+});
+
+test("words longer than the width are broken by characters", () => {
+  const lines = wrapText(fakeCtx(), "go abcdefghijkl end", 50);
+  assert.deepEqual(brief(lines), [
+    ["go", 0, false],
+    ["abcde", 1, false],
+    ["fghij", 1, false],
+    ["kl", 1, false],
+    ["end", 2, true],
+  ]);
+});
+
+test("layoutText measures height and cuts lines by maxLines", () => {
+  const ctx = fakeCtx();
+  const layout = layoutText(ctx, "one two three four", {
+    font: "600 20px Mono",
+    width: 80,
+    lineHeight: 1.5,
+    maxLines: 2,
+  });
+  assert.deepEqual(
+    layout.lines.map((l) => l.text),
+    ["one two", "three"]
+  );
+  assert.equal(layout.overflow, true);
+  assert.equal(layout.lines[1].paragraphEnd, true);
+  assert.equal(layout.lineHeight, 30);
+  assert.equal(layout.height, 20 + 30);
+  assert.equal(layout.width, 70);
+  assert.equal(ctx.font, "600 20px Mono");
+});
+
+test("wrap: false keeps one line per paragraph", () => {
+  const layout = layoutText(fakeCtx(), "a b c\nd", { width: 10, wrap: false });
+  assert.deepEqual(
+    layout.lines.map((l) => l.text),
+    ["a b c", "d"]
+  );
+});
+
+test('fit: "shrink" picks the largest size that fits', () => {
+  const ctx = fakeCtx();
+  const layout = layoutText(ctx, "abcdefghij", {
+    font: "600 40px Mono",
+    width: 100,
+    wrap: false,
+    fit: "shrink",
+  });
+  assert.equal(layout.fontSize, 20);
+  assert.equal(ctx.font, "600 20px Mono");
+  assert.equal(layout.width, 100);
+
+  // по высоте: две строки кеглем s занимают s + 1.2s
+  const tall = layoutText(fakeCtx(), "a\nb", {
+    font: "40px Mono",
+    height: 50,
+    fit: "shrink",
+  });
+  assert.equal(tall.fontSize, 22);
+
+  // не меньше minFontSize, даже если текст так и не поместился
+  const min = layoutText(fakeCtx(), "abcdefghij", {
+    font: "40px Mono",
+    width: 10,
+    wrap: false,
+    fit: "shrink",
+    minFontSize: 16,
+  });
+  assert.equal(min.fontSize, 16);
+});
+
+test("textRuns aligns lines in the box", () => {
+  const ctx = fakeCtx();
+  const layout = layoutText(ctx, "ab\nabcd", { font: "20px Mono" });
+  const box = { x: 100, y: 0, w: 100, h: 100 };
+  const runs = textRuns(ctx, layout, box, {
+    align: "center",
+    verticalAlign: "bottom",
+  });
+  // высота текста 20 + 24 = 44, свободно 56 снизу вверх
+  assert.deepEqual(
+    runs.map((r) => [r.text, r.x, r.y]),
+    [
+      ["ab", 140, 66],
+      ["abcd", 130, 90],
+    ]
+  );
+  const right = textRuns(ctx, layout, box, { align: "right" }, "word");
+  assert.deepEqual(
+    right.map((r) => [r.x, r.y, r.index]),
+    [
+      [180, 10, 0],
+      [160, 34, 1],
+    ]
+  );
+});
+
+test("justify spreads words over the box except the paragraph end", () => {
+  const ctx = fakeCtx();
+  const layout = layoutText(ctx, "a b c dd", { font: "20px Mono", width: 60 });
+  assert.deepEqual(
+    layout.lines.map((l) => l.text),
+    ["a b c", "dd"]
+  );
+  const runs = textRuns(
+    ctx,
+    layout,
+    { x: 0, y: 0, w: 60 },
+    { align: "justify" }
+  );
+  assert.deepEqual(
+    runs.map((r) => [r.text, r.x, r.index]),
+    [
+      ["a", 0, 0],
+      ["b", 25, 0],
+      ["c", 50, 0],
+      ["dd", 0, 1],
+    ]
+  );
+});
+
+test('unit "char" numbers characters without spaces', () => {
+  const ctx = fakeCtx();
+  const layout = layoutText(ctx, "ab c", { font: "20px Mono" });
+  const runs = textRuns(ctx, layout, { x: 0, y: 0, w: 100 }, {}, "char");
+  assert.deepEqual(
+    runs.map((r) => [r.text, r.x, r.index, r.word]),
+    [
+      ["a", 0, 0, 0],
+      ["b", 10, 1, 0],
+      ["c", 30, 2, 1],
+    ]
+  );
+});
@@ -0,0 +1,118 @@
+// transitions.test.js
+// ==================
+// Файл: test/transitions.test.js
+// Назначение: тесты поиска уходящей сцены, окна перехода и композиции слоёв
+// (transitions.js). Вместо canvas — контекст, который записывает вызовы.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  composeTransition,
+  findOutgoingScene,
+  transitionTail,
+  transitionWindow,
+} from "../src/transitions.js";
+
+const a = { start: 0, end: 6 };
+const b = {
+  start: 6.0000001,
+  end: 9,
+  transition: { type: "crossfade", duration: 0.5 },
+};
+const c = { start: 10, end: 11, transition: { type: "wipe", duration: 2 } };
+const track = [a, b, c];
+
+test("findOutgoingScene matches the scene ending at start", () => {
+  assert.equal(findOutgoingScene(track, b), a);
+  assert.equal(findOutgoingScene(track, a), null);
+  // перед сценой дыра — переход от фона
+  assert.equal(findOutgoingScene(track, c), null);
+});
+
+test("transitionWindow is clamped to the scene length", () => {
+  assert.deepEqual(transitionWindow(b), { start: b.start, end: b.start + 0.5 });
+  assert.deepEqual(transitionWindow(c), { start: 10, end: 11 });
+  assert.equal(transitionWindow(a), null);
+  assert.equal(
+    transitionWindow({ start: 0, end: 1, transition: { duration: 0 } }),
+    null
+  );
+});
+
+test("transitionTail extends the outgoing scene by the transition", () => {
+  assert.equal(transitionTail(track, a), 0.5);
+  assert.equal(transitionTail(track, b), 0);
+  assert.equal(transitionTail(undefined, a), 0);
+});
+
+// Контекст, записывающий drawImage (слой, x, y, alpha) и clip-прямоугольники
+function recorder() {
+  const calls = [];
+  let alpha = 1;
+  return {
+    calls,
+    set globalAlpha(v) {
+      alpha = v;
+    },
+    get globalAlpha() {
+      return alpha;
+    },
+    save() {},
+    restore() {},
+    translate() {},
+    scale() {},
+    beginPath() {},
+    clip() {},
+    arc() {},
+    rect: (x, y, w, h) => calls.push(["rect", x, y, w, h]),
+    // + 0 превращает -0 (сдвиг -dy * (1 - t) при dy = 0) в 0
+    drawImage: (layer, x, y) => calls.push([layer, x + 0, y + 0, alpha]),
+  };
+}
+
+test("slide moves the incoming layer over the still outgoing one", () => {
+  const ctx = recorder();
+  composeTransition(ctx, "out", "in", 100, 50, {
+    type: "slide",
+    direction: "left",
+    t: 0.25,
+  });
+  assert.deepEqual(ctx.calls, [
+    ["out", 0, 0, 1],
+    ["in", 75, 0, 1],
+  ]);
+});
+
+test("push moves both layers", () => {
+  const ctx = recorder();
+  composeTransition(ctx, "out", "in", 100, 50, {
+    type: "push",
+    direction: "down",
+    t: 0.5,
+  });
+  assert.deepEqual(ctx.calls, [
+    ["out", 0, 25, 1],
+    ["in", 0, -25, 1],
+  ]);
+});
+
+test("wipe clips the incoming layer from the direction edge", () => {
+  const ctx = recorder();
+  composeTransition(ctx, "out", "in", 100, 50, { type: "wipe", t: 0.3 });
+  assert.deepEqual(ctx.calls[1], ["rect", 70, 0, 30, 50]);
+});
+
+test("crossfade fades the outgoing layer only when transparent", () => {
+  const opaque = recorder();
+  composeTransition(opaque, "out", "in", 100, 50, { t: 0.4 });
+  assert.deepEqual(opaque.calls, [
+    ["out", 0, 0, 1],
+    ["in", 0, 0, 0.4],
+  ]);
+  const transparent = recorder();
+  composeTransition(transparent, "out", "in", 100, 50, {
+    t: 0.4,
+    transparent: true,
+  });
+  assert.equal(transparent.calls[0][3], 0.6);
+});
@@ -0,0 +1,182 @@
+// validate.test.js
+// ==================
+// Файл: test/validate.test.js
+// Назначение: тесты проверки project.json по схеме (validate.js) и CLI
+// tools/validate.js.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import {
+  formatValidationErrors,
+  validateDefinition,
+  validateProject,
+} from "../src/validate.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Проект из одной сцены с объектом o
+function withObject(o) {
+  return {
+    project: { width: 1080, height: 1920, fps: 30 },
+    videoTrack: [{ start: 0, end: 2, objects: [o] }],
+  };
+}
+
+const image = { type: "image", src: "a.png", x: 0, y: 0, w: 10, h: 10 };
+
+test("the sample project is valid", () => {
+  const proj = JSON.parse(fs.readFileSync(path.join(root, "project.json")));
+  assert.deepEqual(validateProject(proj), []);
+});
+
+test("unknown properties are reported with a suggestion", () => {
+  const problems = validateProject(withObject({ ...image, typ: "image" }));
+  assert.deepEqual(problems, [
+    {
+      path: "/videoTrack/0/objects/0/typ",
+      message: 'unknown property "typ" (did you mean "type"?)',
+    },
+  ]);
+});
+
+test("wrong types name the expected type and the value", () => {
+  const proj = withObject(image);
+  proj.videoTrack[0].start = "1.5";
+  assert.equal(
+    formatValidationErrors(validateProject(proj)),
+    '  /videoTrack/0/start: must be number, got "1.5"'
+  );
+});
+
+test("easing strings are checked by easing.js", () => {
+  const anim = (easing) =>
+    validateProject(
+      withObject({
+        ...image,
+        animations: [{ type: "zoom", from: 1, to: 2, easing }],
+      })
+    );
+  assert.deepEqual(anim("cubic-bezier(0.4, 0, 0.2, 1)"), []);
+  const [problem] = anim("easeOutWobble");
+  assert.equal(problem.path, "/videoTrack/0/objects/0/animations/0/easing");
+  assert.match(problem.message, /^unknown easing "easeOutWobble"/);
+});
+
+test("zoom and move accept a missing from or to", () => {
+  const to = { zoom: 1.1, move: { x: 40 } };
+  for (const type of ["zoom", "move"]) {
+    const proj = withObject({
+      ...image,
+      animations: [{ type, to: to[type] }],
+    });
+    assert.deepEqual(validateProject(proj), []);
+  }
+});
+
+test("objects accept rotation, pivot, skew, scale and flip", () => {
+  const transformed = {
+    ...image,
+    rotation: -15,
+    pivot: { x: 0, y: 1 },
+    skew: { x: 10, y: 0 },
+    scaleX: -1,
+    scaleY: 2,
+    flipX: true,
+    animations: [
+      {
+        type: "keyframes",
+        keyframes: [{ rotation: 0, skewX: 0, pivotY: 0.5, flipY: false }],
+      },
+    ],
+  };
+  assert.deepEqual(validateProject(withObject(transformed)), []);
+  assert.deepEqual(
+    validateProject(withObject({ ...image, flipX: "yes", scale: -1 })).map(
+      (p) => p.path
+    ),
+    ["/videoTrack/0/objects/0/scale", "/videoTrack/0/objects/0/flipX"]
+  );
+});
+
+test("media fit, focus and fitBackground are checked", () => {
+  const video = { ...image, type: "video", src: "a.mp4" };
+  for (const fitBackground of ["blur", { blur: 30, dim: 0.4 }]) {
+    const o = {
+      ...video,
+      fit: "contain",
+      focus: { x: 0.2, y: 1 },
+      fitBackground,
+    };
+    assert.deepEqual(validateProject(withObject(o)), []);
+  }
+  assert.deepEqual(
+    validateProject(withObject({ ...image, fit: "stretch" })).map(
+      (p) => p.message
+    ),
+    ['must be one of "fill", "cover", "contain", "none", got "stretch"']
+  );
+  assert.equal(
+    validateProject(withObject({ ...image, focus: { x: 1.5 } }))[0].path,
+    "/videoTrack/0/objects/0/focus/x"
+  );
+  assert.ok(
+    validateProject(withObject({ ...video, fitBackground: "dim" })).length > 0
+  );
+  assert.ok(
+    validateProject(withObject({ ...video, fitBackground: { dim: 2 } }))
+      .length > 0
+  );
+});
+
+test("validateDefinition checks a single schema definition", () => {
+  assert.deepEqual(validateDefinition("object", image), []);
+  assert.equal(
+    validateDefinition("object", { ...image, x: "left" }).length > 0,
+    true
+  );
+});
+
+test("the schema rejects a codec in a container it cannot be written to", () => {
+  const proj = withObject(image);
+  proj.output = { codec: "prores", container: "mp4" };
+  assert.equal(
+    formatValidationErrors(validateProject(proj)),
+    '  /output/container: must be one of "mov", "mkv", got "mp4"'
+  );
+});
+
+test("tools/validate.js checks variant outputs merged with the project output", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "validate-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "p.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      ...withObject(image),
+      output: { container: "mp4" },
+      variants: [
+        {
+          id: "master",
+          width: 1080,
+          height: 1920,
+          output: { codec: "prores" },
+        },
+      ],
+    })
+  );
+  const r = spawnSync(process.execPath, ["tools/validate.js", file], {
+    cwd: root,
+    encoding: "utf8",
+    timeout: 20000,
+  });
+  assert.equal(r.status, 1);
+  assert.match(
+    r.stderr,
+    /invalid output\n.*codec "prores" cannot be written to container "mp4"/
+  );
+});
@@ -0,0 +1,185 @@
+// variants.test.js
+// ==================
+// Файл: test/variants.test.js
+// Назначение: тесты вариантов проекта (variants.js): выбор, пути файлов,
+// перенос объектов в кадр варианта и проверка ссылок на варианты.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  VariantError,
+  applyVariant,
+  checkVariants,
+  selectVariants,
+  variantOutPath,
+} from "../src/variants.js";
+
+const square = { id: "square", width: 1080, height: 1080 };
+
+// Проект 1080x1920: фоновое видео, логотип в правом верхнем углу, плашка в
+// центре и заголовок
+function project(extra = {}) {
+  return {
+    project: { width: 1080, height: 1920 },
+    videoTrack: [
+      {
+        start: 0,
+        end: 5,
+        objects: [
+          {
+            type: "video",
+            src: "bg.mp4",
+            x: 0,
+            y: 0,
+            w: 1080,
+            h: 1920,
+            focus: { x: 0.3, y: 0.5 },
+          },
+          { type: "image", src: "logo.png", x: 900, y: 60, w: 120, h: 120 },
+          { type: "rect", x: 490, y: 910, w: 100, h: 100, radius: 20 },
+          {
+            type: "text",
+            text: "Hi",
+            x: "10%",
+            y: 1700,
+            style: { font: "600 42px YSText", shadow: { blur: 8, x: 0, y: 4 } },
+            variants: { square: { y: "62%" } },
+          },
+        ],
+      },
+    ],
+    variants: [square, { id: "wide", width: 1920, height: 1080 }],
+    ...extra,
+  };
+}
+
+test("selectVariants picks by id and rejects unknown ones", () => {
+  const proj = project();
+  assert.equal(selectVariants(proj).length, 2);
+  assert.deepEqual(
+    selectVariants(proj, " wide, ,square").map((v) => v.id),
+    ["wide", "square"]
+  );
+  assert.throws(
+    () => selectVariants(proj, "sqare"),
+    (e) =>
+      e instanceof VariantError &&
+      /unknown variant "sqare" \(available: square, wide\)/.test(e.message)
+  );
+});
+
+test("variantOutPath substitutes {{variant}} or suffixes the name", () => {
+  assert.equal(
+    variantOutPath("out/story.mp4", "square"),
+    "out/story-square.mp4"
+  );
+  assert.equal(
+    variantOutPath("out/{{variant}}/a.webm", "wide"),
+    "out/wide/a.webm"
+  );
+  assert.equal(variantOutPath("out/story", "wide"), "out/story-wide");
+});
+
+test("the background covers the variant frame and keeps its focus", () => {
+  const [bg] = applyVariant(project(), square).videoTrack[0].objects;
+  assert.deepEqual(bg, {
+    type: "video",
+    src: "bg.mp4",
+    x: 0,
+    y: 0,
+    w: 1080,
+    h: 1080,
+    fit: "cover",
+    focus: { x: 0.3, y: 0.5 },
+  });
+});
+
+test("corner objects stay pinned, centred objects keep their place", () => {
+  const out = applyVariant(project(), square);
+  const [, logo, plate, title] = out.videoTrack[0].objects;
+  // k = min(1080 / 1080, 1080 / 1920) = 0.5625
+  assert.deepEqual(
+    [logo.x, logo.y, logo.w, logo.h],
+    [978.75, 33.75, 67.5, 67.5]
+  );
+  assert.deepEqual(
+    [plate.x, plate.y, plate.w, plate.radius],
+    [511.88, 511.88, 56.25, 11.25]
+  );
+  // поля варианта у объекта — поверх переноса
+  assert.equal(title.y, "62%");
+  assert.equal(title.x, "10%");
+  assert.equal(title.style.font, "600 23.63px YSText");
+  assert.deepEqual(title.style.shadow, { blur: 4.5, x: 0, y: 2.25 });
+  assert.equal(title.variants, undefined);
+  assert.deepEqual(out.project, { width: 1080, height: 1080 });
+  assert.equal(out.variants, undefined);
+});
+
+test("reframe: false only changes the frame and applies overrides", () => {
+  const proj = project();
+  const out = applyVariant(proj, { ...square, reframe: false });
+  const [bg, logo, , title] = out.videoTrack[0].objects;
+  assert.equal(bg.h, 1920);
+  assert.equal(logo.x, 900);
+  assert.equal(title.y, "62%");
+  // исходный проект не меняется
+  assert.equal(proj.videoTrack[0].objects[3].y, 1700);
+  assert.equal(proj.project.height, 1920);
+});
+
+test("subtitle style, safe area and output follow the variant", () => {
+  const proj = project({
+    subtitles: [{ start: 0, end: 1, text: "hi" }],
+    output: { codec: "h264", crf: 18 },
+  });
+  const out = applyVariant(proj, {
+    ...square,
+    safeArea: "title-safe",
+    subtitleStyle: { color: "#ff0" },
+    output: { crf: 22 },
+  });
+  assert.equal(out.project.safeArea, "title-safe");
+  assert.equal(out.subtitleStyle.fontSize, 30.38);
+  // центр плашки сохраняет долю высоты кадра
+  assert.equal(out.subtitleStyle.y, 787.5);
+  assert.equal(out.subtitleStyle.color, "#ff0");
+  assert.deepEqual(out.output, { codec: "h264", crf: 22 });
+});
+
+test("invalid overrides are reported with the variant id", () => {
+  const proj = project();
+  proj.videoTrack[0].objects[1].variants = { square: { w: "wide" } };
+  assert.throws(
+    () => applyVariant(proj, square),
+    (e) =>
+      e instanceof VariantError &&
+      e.errors.length > 0 &&
+      e.errors.every(
+        (x) =>
+          x.path === "/videoTrack/0/objects/1/w" &&
+          x.message.endsWith('(variant "square")')
+      )
+  );
+});
+
+test("checkVariants reports duplicates and unknown references together", () => {
+  const proj = project({
+    overlays: [{ src: "a.png", x: 0, y: 0, variants: { tall: { x: 1 } } }],
+  });
+  proj.variants.push({ id: "wide", width: 100, height: 100 });
+  assert.throws(
+    () => checkVariants(proj),
+    (e) => {
+      assert.deepEqual(
+        e.errors.map((x) => `${x.path}: ${x.message}`),
+        [
+          '/variants/2/id: duplicate variant "wide"',
+          '/overlays/0/variants/tall: unknown variant "tall" (declared: square, wide, wide)',
+        ]
+      );
+      return true;
+    }
+  );
+  assert.doesNotThrow(() => checkVariants(project()));
+});
@@ -0,0 +1,118 @@
+// video-frames.test.js
+// ==================
+// Файл: test/video-frames.test.js
+// Назначение: тесты video-frames.js — частота кадров через ffprobe и
+// извлечение кадров видеообъектов в кэш.
+// Описание: ffprobe и ffmpeg подменяются sh-скриптами (см. fake-bin.js):
+// ffprobe печатает готовый JSON, ffmpeg создаёт три кадра по шаблону имени из
+// последнего аргумента и сохраняет свои аргументы в args.txt.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { extractVideoFrames, probeVideo } from "../src/video-frames.js";
+import { fakeBin } from "./fake-bin.js";
+
+const probeJson = (avg, r) =>
+  JSON.stringify({
+    streams: [{ avg_frame_rate: avg, r_frame_rate: r }],
+    format: { duration: "4.000000" },
+  });
+
+const FAKE_FFMPEG = `for a; do out="$a"; done
+dir=$(dirname "$out")
+touch "$dir/000000.png" "$dir/000001.png" "$dir/000002.png"
+echo "$@" > "$dir/../args.txt"`;
+
+test("probeVideo prefers avg_frame_rate", async () => {
+  const bin = fakeBin({
+    ffprobe: `echo '${probeJson("30000/1001", "60/1")}'`,
+  });
+  try {
+    const info = await probeVideo("clip.mp4");
+    assert.ok(Math.abs(info.fps - 29.97) < 0.001);
+    assert.equal(info.duration, 4);
+  } finally {
+    bin.restore();
+  }
+});
+
+test("probeVideo falls back to r_frame_rate when the average is unknown", async () => {
+  const bin = fakeBin({ ffprobe: `echo '${probeJson("0/0", "25/1")}'` });
+  try {
+    assert.equal((await probeVideo("clip.mp4")).fps, 25);
+  } finally {
+    bin.restore();
+  }
+});
+
+test("extractVideoFrames writes lossless PNG frames and caches them", async (t) => {
+  // сообщения о ходе извлечения в выводе тестов не нужны
+  t.mock.method(console, "log", () => {});
+  const bin = fakeBin({
+    ffprobe: `echo '${probeJson("25/1", "25/1")}'`,
+    ffmpeg: FAKE_FFMPEG,
+  });
+  try {
+    fs.writeFileSync(path.join(bin.dir, "clip.mp4"), "video");
+    const cacheDir = path.join(bin.dir, "cache");
+    const project = () => ({
+      videoTrack: [
+        {
+          start: 0,
+          end: 2,
+          objects: [{ type: "video", src: "clip.mp4" }],
+        },
+      ],
+    });
+    const opts = { fps: 30, projectDir: bin.dir, cacheDir, cacheUrl: "/c" };
+
+    const first = project();
+    await extractVideoFrames(first, opts);
+    const { frames, sourceFps } = first.videoTrack[0].objects[0];
+    assert.equal(sourceFps, 25);
+    assert.equal(frames.count, 3);
+    assert.equal(frames.fps, 30);
+    assert.match(frames.base, /^\/c\/[0-9a-f]{16}\/$/);
+    const args = fs.readFileSync(path.join(cacheDir, "args.txt"), "utf8");
+    assert.match(args, /-vf fps=30 /);
+    assert.match(args, /%06d\.png/);
+    assert.doesNotMatch(args, /-q:v/);
+
+    // второй рендер берёт кадры из кэша и ffmpeg не запускает
+    fs.writeFileSync(path.join(bin.dir, "ffmpeg"), "#!/bin/sh\nexit 1\n");
+    const second = project();
+    await extractVideoFrames(second, opts);
+    assert.deepEqual(second.videoTrack[0].objects[0].frames, frames);
+  } finally {
+    bin.restore();
+  }
+});
+
+test("extractVideoFrames with onlyProbe only records the source fps", async () => {
+  const bin = fakeBin({
+    ffprobe: `echo '${probeJson("24/1", "24/1")}'`,
+    ffmpeg: "exit 1",
+  });
+  try {
+    fs.writeFileSync(path.join(bin.dir, "clip.mp4"), "video");
+    const proj = {
+      videoTrack: [
+        { start: 0, end: 1, objects: [{ type: "video", src: "/clip.mp4" }] },
+      ],
+    };
+    await extractVideoFrames(proj, {
+      fps: 30,
+      projectDir: bin.dir,
+      cacheDir: path.join(bin.dir, "cache"),
+      cacheUrl: "/c",
+      onlyProbe: true,
+    });
+    const o = proj.videoTrack[0].objects[0];
+    assert.equal(o.sourceFps, 24);
+    assert.equal(o.frames, undefined);
+  } finally {
+    bin.restore();
+  }
+});
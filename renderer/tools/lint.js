@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { validateProject, formatValidationErrors } from "../src/validate.js";
+import { lintProject, formatLintIssues } from "../src/lint.js";
+import { loadSubtitles, SubtitleError } from "../src/subtitles.js";
+import { expandGraphics, TemplateError } from "../src/templates.js";
+
+// tools/lint.js
+// ==================
+// CLI-проверка таймлайна project.json (дыры и наложения сцен, субтитры и
+// оверлеи вне ролика, аудио за концом) без рендера. См. src/lint.js.
+// Использование: node tools/lint.js [--strict] [project.json ...]
+// Без --strict предупреждения только печатаются (код выхода 0); с --strict
+// они считаются ошибками (код выхода 1). Проект, не прошедший проверку по
+// схеме, — всегда ошибка.
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const files = args.filter((a) => a !== "--strict");
+if (files.length === 0) files.push("./project.json");
+
+let failed = 0;
+for (const file of files) {
+  const projectPath = path.resolve(file);
+  let proj;
+  try {
+    proj = JSON.parse(fs.readFileSync(projectPath, "utf8"));
+  } catch (e) {
+    console.error(`${file}: ${e.message}`);
+    failed++;
+    continue;
+  }
+  // lint рассчитывает на корректную структуру, поэтому сначала — схема
+  const problems = validateProject(proj);
+  if (problems.length > 0) {
+    console.error(`${file}: invalid project`);
+    console.error(formatValidationErrors(problems));
+    failed++;
+    continue;
+  }
+  // субтитры из локального файла проверяются так же, как встроенные
+  try {
+    loadSubtitles(proj, { projectDir: path.dirname(projectPath) });
+  } catch (e) {
+    if (!(e instanceof SubtitleError)) throw e;
+    console.error(e.message);
+    failed++;
+    continue;
+  }
+  // вставки шаблонов графики: их время может зависеть от duration шаблона
+  try {
+    expandGraphics(proj, { projectDir: path.dirname(projectPath) });
+  } catch (e) {
+    if (!(e instanceof TemplateError)) throw e;
+    console.error(e.message);
+    failed++;
+    continue;
+  }
+  const issues = lintProject(proj);
+  if (issues.length === 0) {
+    console.log(`${file}: ok`);
+    continue;
+  }
+  if (strict) failed++;
+  const out = strict ? console.error : console.warn;
+  out(`${file}: ${issues.length} timeline issue(s)`);
+  out(formatLintIssues(issues, strict ? "error" : "warning"));
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { validateProject, formatValidationErrors } from "../src/validate.js";
+import { loadSubtitles, SubtitleError } from "../src/subtitles.js";
+import { expandGraphics, TemplateError } from "../src/templates.js";
+import { checkVariants, VariantError } from "../src/variants.js";
+import { OutputError, resolveOutput } from "../src/output.js";
+
+// tools/validate.js
+// ==================
+// CLI-проверка project.json по схеме (src/project.schema.json) без рендера.
+// Использование: node tools/validate.js [project.json ...]
+// Для каждого файла печатает либо "ok", либо список ошибок с JSON-pointer путями.
+// Локальный файл субтитров ({ "subtitles": { "src": ... } }) тоже разбирается:
+// ошибки SRT/VTT/ASS печатаются с номерами строк. Вставки шаблонов графики
+// (graphics) разворачиваются: проверяются параметры и объекты шаблонов.
+// Варианты (variants) проверяются вместе с переопределениями объектов.
+// Настройки вывода (output проекта и вариантов) сводятся, как при рендере:
+// например, кодек в неподходящем контейнере — ошибка.
+// Код выхода 1, если хотя бы один файл не прошёл проверку.
+
+const files = process.argv.slice(2);
+if (files.length === 0) files.push("./project.json");
+
+let failed = 0;
+for (const file of files) {
+  const projectPath = path.resolve(file);
+  let proj;
+  try {
+    proj = JSON.parse(fs.readFileSync(projectPath, "utf8"));
+  } catch (e) {
+    // нет файла или синтаксическая ошибка JSON (сообщение содержит позицию)
+    console.error(`${file}: ${e.message}`);
+    failed++;
+    continue;
+  }
+  const problems = validateProject(proj);
+  if (problems.length > 0) {
+    failed++;
+    console.error(`${file}: ${problems.length} problem(s)`);
+    console.error(formatValidationErrors(problems));
+    continue;
+  }
+  try {
+    loadSubtitles(proj, { projectDir: path.dirname(projectPath) });
+  } catch (e) {
+    if (!(e instanceof SubtitleError)) throw e;
+    failed++;
+    console.error(`${file}: invalid subtitles`);
+    console.error(e.message);
+    continue;
+  }
+  try {
+    expandGraphics(proj, { projectDir: path.dirname(projectPath) });
+  } catch (e) {
+    if (!(e instanceof TemplateError)) throw e;
+    failed++;
+    console.error(`${file}: invalid graphics`);
+    console.error(e.message);
+    continue;
+  }
+  try {
+    checkVariants(proj);
+  } catch (e) {
+    if (!(e instanceof VariantError)) throw e;
+    failed++;
+    console.error(`${file}: invalid variants`);
+    console.error(e.message);
+    continue;
+  }
+  try {
+    resolveOutput(proj.output);
+    for (const v of proj.variants || []) {
+      if (v.output) resolveOutput({ ...proj.output, ...v.output });
+    }
+  } catch (e) {
+    if (!(e instanceof OutputError)) throw e;
+    failed++;
+    console.error(`${file}: invalid output`);
+    console.error(`  ${e.message}`);
+    continue;
+  }
+  console.log(`${file}: ok`);
+}
+
+process.exit(failed > 0 ? 1 : 0);